@@ -3,32 +3,71 @@
 // Incrementally integrates all modules and orchestrates app flow
 
 import { initScene, getScene, getCamera, getRenderer } from './scene/SceneManager.js';
-import { createGroundMesh } from './terrain/TerrainGenerator.js';
-import { createInstancedTrees } from './forest/TreeGenerator.js';
-import { createInstancedMushrooms, initMushroomTemplates, spawnMushroom } from './mushrooms/MushroomGenerator.js';
-import { daySettings, nightSettings, applySceneState } from './lighting/DayNightCycle.js';
+import { getTerrainHeight, getTerrainNormal, getWaterLevel, setTerrainConfig, setTerrainHeightmap, applyTerrainErosion, addTerrainModifier } from './terrain/TerrainGenerator.js';
+import { createFlattenModifier, createTrailModifier } from './terrain/TerrainModifiers.js';
+import { loadHeightmapImage, loadHeightmapFloat32 } from './terrain/Heightmap.js';
+import { createTerrainChunkManager } from './terrain/TerrainChunkManager.js';
+import { createWaterSurface, updateWaterSurface } from './terrain/Water.js';
+import { createInstancedTrees, createTreeTemplates, createTreePool, releaseInstancedTrees, updateTreeLod } from './forest/TreeGenerator.js';
+import { createInstancedMushrooms, createMushroomTemplates, createMushroomMaterials, createSpawnedMushroomPool, spawnMushroom, releaseSpawnedMushroom, updateSpawnedMushroomPool } from './mushrooms/MushroomGenerator.js';
+import { DEFAULT_MUSHROOM_LIFECYCLE, MUSHROOM_STAGES, createMushroomLifecycle, startMushroomLifecycle, updateMushroomLifecycle, applyMushroomLifecycle, getFairyRingPositions } from './mushrooms/MushroomLifecycle.js';
+import { daySettings, SUNRISE_HOUR, SUNSET_HOUR, applySceneState, createTimeOfDaySettings, getTimeOfDaySettings, getKeyframeHour, isDaytimeAt } from './lighting/DayNightCycle.js';
+import { getSkyState, getSunTimes, getDateAtLocalSolarHours } from './lighting/Astronomy.js';
+import { createSkyDome, updateSkyDome } from './lighting/SkyDome.js';
+import { createWeather, updateWeather, applyWeatherToSettings, applyWeatherToScene } from './weather/Weather.js';
+import { createPrecipitation, updatePrecipitation } from './weather/Precipitation.js';
 import { createCameraControls } from './controls/CameraControls.js';
 import { initDayNightToggle } from './ui/DayNightToggle.js';
-import { portalVertexShader, portalFragmentShader, createPortalMaterial } from './shaders/PortalShader.js';
+import { createPortalMaterial } from './shaders/PortalShader.js';
+import { createTerrainSplatMaterial } from './shaders/TerrainSplatShader.js';
+import { applyWindToMaterial, applyWindShadows, setWind, updateWind } from './shaders/WindShader.js';
+import { applyGlowToMaterial, setGlow, updateGlow, getGlowStrength } from './shaders/GlowShader.js';
+import { applyMoonPhaseToMaterial } from './shaders/MoonShader.js';
+import { createGlowLights, updateGlowLights } from './lighting/GlowLights.js';
 import { loadGatewayModel } from './models/GatewayLoader.js';
-import { SeededRandom, getPlacementPrng } from './utils/Random.js';
+import { SeededRandom, getChunkPrng } from './utils/Random.js';
+import { createPlacementContext, createBoxExclusion, addPlacementExclusionZone, removePlacementExclusionZone } from './utils/Placement.js';
+import { setPlacementDensityMap } from './utils/PlacementRules.js';
+import { updateCellCulling, setCellCullingEnabled } from './utils/CellCulling.js';
+import { DEFAULT_PHYSICS_SETTINGS, createPhysicsWorld, createBody, createCapsuleCollider } from './physics/PhysicsWorld.js';
 import * as CONST from './utils/Constants.js';
 import * as THREE from 'three';
+import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 
 // --- Top-level app state ---
 let controls;
 let ambientLight, directionalLight;
-let sunMesh, moonMesh;
+let sunMesh, moonMesh, skyDome;
+let weather, precipitation;
+let glowLights;
 let groundMaterial, trunkMaterial, deciduousFoliageMaterial, coniferousFoliageMaterial;
-let mushroomStemMaterial, mushroomCapMaterialVariety1, mushroomCapMaterialVariety2, mushroomCapMaterialVariety3;
-let mushroomGate, portalMesh;
-let placementPrng;
-let isDaytime = true;
-let dayTimeProgress = 0;
-let nightTimeProgress = 0;
+let mushroomMaterials;
+let mushroomGate, portalMesh, portalMaterial;
+let portalLaunchPoint;
+let terrainChunks, water;
+let physicsWorld;
+let treePool; // Tree batches shared by all terrain chunks
+let refreshDayNightToggle;
+let timeOfDay = CONST.TIME_OF_DAY_START; // Hours on the 24-hour clock
+let astronomyDay = 0; // Days since ASTRONOMY_DATE, counted by the clock wrapping past midnight
+let sunTimes = null; // Sunrise and sunset on the astronomy day
+// Real sun and moon for the clock (ASTRONOMY_ENABLED only, see updateSky)
+const sky = CONST.ASTRONOMY_ENABLED ? { sunDirection: new THREE.Vector3(), moonDirection: new THREE.Vector3(), celestialPole: new THREE.Vector3(), moonFraction: 1 } : null;
+let isDaytime = isDaytimeAt(timeOfDay);
+const timeOfDaySettings = createTimeOfDaySettings();
+let sceneDays = 0; // Scene time in days (one day and one night), drives the mushroom lifecycles
 const clock = new THREE.Clock();
-let spawnedMushrooms = [];
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+const worldUp = new THREE.Vector3(0, 1, 0);
+const sproutYaw = new THREE.Quaternion();
+let spawnedMushrooms = []; // Records of the live spawned mushrooms, oldest first
+const spreadingMushrooms = [];
+let spawnedMushroomPool;
 let mushroomTemplates;
+const cullingReport = { elapsed: 0, frames: 0, renderTime: 0, cullTime: 0, visibleCells: 0, visibleInstances: 0 };
+let cullingStats = null; // Latest culling measurement, see getCullingStats
 
 // --- Initialization ---
 function init() {
@@ -47,50 +86,567 @@ function init() {
   scene.add(ambientLight);
   directionalLight = new THREE.DirectionalLight(daySettings.directionalLightColor, daySettings.directionalLightIntensity);
   directionalLight.castShadow = true;
+  directionalLight.shadow.mapSize.width = 2048;
+  directionalLight.shadow.mapSize.height = 2048;
+  directionalLight.shadow.camera.near = 0.5;
+  directionalLight.shadow.camera.far = CONST.LIGHT_ORBIT_RADIUS * 2 + 10;
+  directionalLight.shadow.camera.left = -30;
+  directionalLight.shadow.camera.right = 30;
+  directionalLight.shadow.camera.top = 30;
+  directionalLight.shadow.camera.bottom = -30;
+  directionalLight.shadow.bias = -0.0005;
   scene.add(directionalLight);
-  directionalLight.target.position.set(0, 0, 0);
+  // The light and its target follow the camera's focus (see placeDirectionalLight)
   scene.add(directionalLight.target);
+  glowLights = createGlowLights({ scene, count: CONST.MUSHROOM_GLOW_LIGHTS, distance: CONST.MUSHROOM_GLOW_LIGHT_DISTANCE });
 
-  // 4. Sun and Moon meshes
-  sunMesh = new THREE.Mesh(new THREE.SphereGeometry(1, 16, 16), new THREE.MeshBasicMaterial({ color: 0xFFFF00, transparent: true, opacity: 1.0 }));
-  scene.add(sunMesh);
-  moonMesh = new THREE.Mesh(new THREE.SphereGeometry(0.8, 16, 16), new THREE.MeshBasicMaterial({ color: 0xe0e0ff, transparent: true, opacity: 1.0 }));
+  // 4. Sky dome with the Sun and Moon meshes (they move with the dome, unfogged)
+  skyDome = createSkyDome({
+    radius: CONST.SKY_DOME_RADIUS,
+    orbitRadius: CONST.LIGHT_ORBIT_RADIUS,
+    cloudCover: CONST.SKY_CLOUD_COVER,
+    cloudSpeed: CONST.SKY_CLOUD_SPEED,
+    windDirection: CONST.WIND_DIRECTION
+  });
+  scene.add(skyDome);
+  sunMesh = new THREE.Mesh(new THREE.SphereGeometry(1, 16, 16), new THREE.MeshBasicMaterial({ color: 0xFFFF00, transparent: true, opacity: 1.0, fog: false }));
+  skyDome.add(sunMesh);
+  moonMesh = new THREE.Mesh(new THREE.SphereGeometry(0.8, 16, 16), new THREE.MeshBasicMaterial({ color: 0xe0e0ff, transparent: true, opacity: 1.0, fog: false }));
   moonMesh.visible = false;
-  scene.add(moonMesh);
-
-  // 5. Textures and Materials (TODO: load textures, set up materials)
-  // ...
+  applyMoonPhaseToMaterial(moonMesh.material);
+  skyDome.add(moonMesh);
+  // Weather, with its rain and snow following the camera like the sky
+  if (CONST.WEATHER_ENABLED) {
+    weather = createWeather({
+      seed: CONST.WEATHER_SEED,
+      schedule: CONST.WEATHER_SCHEDULE,
+      initialState: CONST.WEATHER_INITIAL_STATE,
+      transitionTime: CONST.WEATHER_TRANSITION_TIME
+    });
+    precipitation = createPrecipitation({
+      counts: { rain: CONST.RAIN_PARTICLES, snow: CONST.SNOW_PARTICLES },
+      windDirection: CONST.WIND_DIRECTION
+    });
+    scene.add(precipitation);
+  }
+  updateSky();
+  isDaytime = isDaytimeAt(getTimeOfDayKeyframeHour());
 
-  // 6. Terrain
-  // groundMaterial = ...
-  // const groundMesh = createGroundMesh(groundMaterial);
-  // scene.add(groundMesh);
+  // 5. Textures and Materials (the forest is built once they have loaded, see step 6)
+  let onTexturesLoaded;
+  const texturesLoaded = new Promise(resolve => { onTexturesLoaded = resolve; });
+  const textureLoader = new THREE.TextureLoader(new THREE.LoadingManager(() => onTexturesLoaded()));
+  const barkTexture = textureLoader.load('bark_texture.png');
+  const foliageTexture = textureLoader.load('foliage_texture.png');
+  const grassTexture = textureLoader.load('grass_texture.png');
+  [barkTexture, foliageTexture, grassTexture].forEach(tex => {
+    tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+    tex.anisotropy = renderer.capabilities.getMaxAnisotropy();
+  });
+  barkTexture.repeat.set(1, 2);
+  foliageTexture.repeat.set(4, 4);
+  groundMaterial = createTerrainSplatMaterial({
+    detailMap: grassTexture,
+    colors: daySettings.terrainSplatColors,
+    options: { maxHeight: CONST.TERRAIN_MAX_HEIGHT }
+  });
+  trunkMaterial = new THREE.MeshStandardMaterial({ map: barkTexture, color: daySettings.trunkColor, roughness: 0.9, metalness: 0.1 });
+  deciduousFoliageMaterial = new THREE.MeshStandardMaterial({ map: foliageTexture, color: daySettings.deciduousFoliageColor, roughness: 0.8, metalness: 0.1 });
+  coniferousFoliageMaterial = new THREE.MeshStandardMaterial({ map: foliageTexture, color: daySettings.coniferousFoliageColor, roughness: 0.8, metalness: 0.1 });
+  // Shared by every species in mushrooms/MushroomSpecies.js; colors come from the instances
+  mushroomMaterials = createMushroomMaterials();
+  // Trunks and stems sway with their foliage and caps so the parts stay attached
+  applyWindToMaterial(trunkMaterial, { flexibility: CONST.TREE_WIND_FLEXIBILITY });
+  applyWindToMaterial(deciduousFoliageMaterial, { flexibility: CONST.TREE_WIND_FLEXIBILITY, flutter: 0.3 });
+  applyWindToMaterial(coniferousFoliageMaterial, { flexibility: CONST.TREE_WIND_FLEXIBILITY, flutter: 0.1 });
+  Object.values(mushroomMaterials)
+    .forEach(material => applyWindToMaterial(material, { flexibility: CONST.MUSHROOM_WIND_FLEXIBILITY }));
+  setWind({ direction: CONST.WIND_DIRECTION, frequency: CONST.WIND_FREQUENCY });
+  // Bioluminescent caps and gills; the glow goes on top of the wind patch
+  [mushroomMaterials.cap, mushroomMaterials.detail].forEach(material => applyGlowToMaterial(material));
+  setGlow({ fadeTime: CONST.MUSHROOM_GLOW_FADE_TIME });
 
-  // 7. Trees
-  // createInstancedTrees({ ... });
+  portalMaterial = createPortalMaterial({
+    uTime: { value: 0 },
+    uResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) }
+  });
 
-  // 8. Mushrooms
-  // createInstancedMushrooms({ ... });
-  // mushroomTemplates = initMushroomTemplates();
+  // 5b. Water filling the low terrain
+  water = createWaterSurface({
+    size: (CONST.TERRAIN_VIEW_RADIUS * 2 + 3) * CONST.TERRAIN_CHUNK_SIZE,
+    level: getWaterLevel(),
+    color: daySettings.waterColor,
+    textureSize: CONST.WATER_TEXTURE_SIZE,
+    distortion: CONST.WATER_DISTORTION,
+    opacity: CONST.WATER_OPACITY
+  });
+  scene.add(water);
 
-  // 9. Gateway Model and Portal
-  // loadGatewayModel({ ... });
+  // 6-9. Terrain, forest and gateway, once the terrain height source and the textures baked into tree impostors are ready
+  const heightSourceReady = new Promise(resolve => loadTerrainHeightSource(resolve));
+  Promise.all([heightSourceReady, texturesLoaded]).then(() => buildWorld(scene, camera));
 
   // 10. UI
-  initDayNightToggle({
+  refreshDayNightToggle = initDayNightToggle({
     getIsDaytime: () => isDaytime,
     onToggle: () => {
-      isDaytime = !isDaytime;
-      // TODO: update scene state
+      setTimeOfDay(isDaytime ? CONST.NIGHT_TOGGLE_HOUR : CONST.DAY_TOGGLE_HOUR);
+      isDaytime = isDaytimeAt(getTimeOfDayKeyframeHour());
+      applyCurrentSceneState();
     }
   });
 
   // 11. Event Listeners (resize, pointer, etc.)
   window.addEventListener('resize', onWindowResize, false);
-  // window.addEventListener('pointerdown', onPointerDown, false);
+  window.addEventListener('pointerdown', onPointerDown, false);
 
   // 12. Initial scene state
-  // applySceneState({ ... });
+  applyCurrentSceneState();
+}
+
+/**
+ * Installs the optional heightmap from TERRAIN_HEIGHTMAP_URL as the terrain height source,
+ * then calls onReady. Falls back to procedural terrain if no heightmap is configured or it fails to load.
+ * @param {function} onReady
+ */
+function loadTerrainHeightSource(onReady) {
+  const url = CONST.TERRAIN_HEIGHTMAP_URL;
+  if (!url) {
+    onReady();
+    return;
+  }
+  const onLoaded = (heightmap) => {
+    setTerrainHeightmap(heightmap, { edgeBlend: CONST.TERRAIN_HEIGHTMAP_EDGE_BLEND });
+    onReady();
+  };
+  if (url.toLowerCase().endsWith('.png')) {
+    loadHeightmapImage({
+      url,
+      worldSize: CONST.TERRAIN_HEIGHTMAP_WORLD_SIZE,
+      minHeight: CONST.TERRAIN_HEIGHTMAP_MIN_HEIGHT,
+      maxHeight: CONST.TERRAIN_HEIGHTMAP_MAX_HEIGHT,
+      onLoaded,
+      onError: onReady
+    });
+  } else {
+    loadHeightmapFloat32({
+      url,
+      worldSize: CONST.TERRAIN_HEIGHTMAP_WORLD_SIZE,
+      onLoaded,
+      onError: onReady
+    });
+  }
+}
+
+/**
+ * Loads the optional placement density maps from PLACEMENT_DENSITY_MAPS and rebuilds the
+ * chunks each one covers, so their trees and mushrooms follow the painted densities.
+ */
+function loadPlacementDensityMaps() {
+  for (const [name, { url, worldSize, centerX = 0, centerZ = 0 }] of Object.entries(CONST.PLACEMENT_DENSITY_MAPS)) {
+    loadHeightmapImage({
+      url,
+      worldSize,
+      minHeight: 0,
+      maxHeight: 1,
+      centerX,
+      centerZ,
+      onLoaded: (map) => {
+        setPlacementDensityMap(name, map);
+        const half = worldSize / 2;
+        terrainChunks.rebuild({ minX: centerX - half, maxX: centerX + half, minZ: centerZ - half, maxZ: centerZ + half });
+      }
+    });
+  }
+}
+
+/**
+ * Terrain configuration of this world (see setTerrainConfig): the noise settings from
+ * utils/Constants.js, with the seed taken from the page's ?seed= parameter when it has one,
+ * so another world is a link away.
+ * @returns {object}
+ */
+function createWorldTerrainConfig() {
+  const seedParam = new URLSearchParams(window.location.search).get('seed');
+  const seed = seedParam === null ? NaN : Number(seedParam);
+  return {
+    seed: Number.isFinite(seed) ? seed : CONST.TERRAIN_SEED,
+    noiseType: CONST.TERRAIN_NOISE_TYPE,
+    maxHeight: CONST.TERRAIN_MAX_HEIGHT,
+    baseFrequency: CONST.TERRAIN_BASE_FREQUENCY,
+    octaves: CONST.TERRAIN_OCTAVES,
+    persistence: CONST.TERRAIN_PERSISTENCE,
+    lacunarity: CONST.TERRAIN_LACUNARITY,
+    warpStrength: CONST.TERRAIN_WARP_STRENGTH
+  };
+}
+
+/**
+ * Sets the world's terrain configuration, runs the optional erosion pass, shapes the gateway
+ * clearing, grows the shared tree templates (baking their impostors) and the tree batches all
+ * chunks draw from, creates the terrain chunk streamer, placement density maps and spawn
+ * templates, and loads the gateway model.
+ * @param {THREE.Scene} scene
+ * @param {THREE.PerspectiveCamera} camera
+ */
+function buildWorld(scene, camera) {
+  // Before anything samples the terrain, so erosion, chunks and placement all see this world
+  setTerrainConfig(createWorldTerrainConfig());
+  if (CONST.TERRAIN_EROSION_ENABLED) {
+    applyTerrainErosion({
+      resolution: CONST.TERRAIN_EROSION_RESOLUTION,
+      worldSize: CONST.TERRAIN_EROSION_WORLD_SIZE
+    });
+  }
+
+  addGatewayTerrainModifiers();
+  const treeTemplates = createTreeTemplates({
+    prng: new SeededRandom(CONST.TREE_TEMPLATE_SEED),
+    variantsPerSpecies: CONST.TREE_VARIANTS_PER_SPECIES,
+    renderer: getRenderer(),
+    trunkMaterial,
+    deciduousFoliageMaterial,
+    coniferousFoliageMaterial,
+    impostorTileSize: CONST.TREE_IMPOSTOR_TILE_SIZE,
+    impostorFrames: CONST.TREE_IMPOSTOR_FRAMES
+  });
+  // Chunks stay loaded up to one ring beyond the view radius
+  const maxLoadedChunks = (CONST.TERRAIN_VIEW_RADIUS * 2 + 3) ** 2;
+  treePool = createTreePool({
+    scene,
+    templates: treeTemplates,
+    trunkMaterial,
+    deciduousFoliageMaterial,
+    coniferousFoliageMaterial,
+    capacity: maxLoadedChunks * CONST.TREES_PER_CHUNK
+  });
+  treePool.batches.forEach(batch => applyWindShadows(batch));
+  physicsWorld = createPhysicsWorld({
+    getTerrainHeight,
+    getTerrainNormal,
+    waterLevel: getWaterLevel(),
+    settings: {
+      ...DEFAULT_PHYSICS_SETTINGS,
+      timeStep: CONST.PHYSICS_TIME_STEP,
+      maxSubSteps: CONST.PHYSICS_MAX_SUBSTEPS,
+      gravity: CONST.GRAVITY,
+      waterDrag: CONST.WATER_DRAG,
+      waterSinkSpeed: CONST.WATER_SINK_SPEED
+    }
+  });
+  mushroomTemplates = createMushroomTemplates();
+  spawnedMushroomPool = createSpawnedMushroomPool({
+    scene,
+    templates: mushroomTemplates,
+    materials: mushroomMaterials,
+    capacity: CONST.MAX_SPAWNED_MUSHROOMS
+  });
+  spawnedMushroomPool.meshes.forEach(mesh => applyWindShadows(mesh));
+  let gatewayExclusion = addPlacementExclusionZone(createBoxExclusion({
+    minX: -CONST.GATEWAY_EXCLUSION_HALF_SIZE,
+    maxX: CONST.GATEWAY_EXCLUSION_HALF_SIZE,
+    minZ: -CONST.GATEWAY_EXCLUSION_HALF_SIZE,
+    maxZ: CONST.GATEWAY_EXCLUSION_HALF_SIZE
+  }));
+
+  // 6-8. Terrain chunks, each populated with its own trees and mushrooms
+  terrainChunks = createTerrainChunkManager({
+    scene,
+    groundMaterial,
+    populateChunk: populateTerrainChunk,
+    chunkSize: CONST.TERRAIN_CHUNK_SIZE,
+    chunkSegments: CONST.TERRAIN_CHUNK_SEGMENTS,
+    lodLevels: CONST.TERRAIN_LOD_LEVELS,
+    lodDistance: CONST.TERRAIN_LOD_DISTANCE,
+    viewRadius: CONST.TERRAIN_VIEW_RADIUS,
+    chunksPerUpdate: CONST.TERRAIN_CHUNKS_PER_UPDATE
+  });
+  terrainChunks.update(camera.position);
+  loadPlacementDensityMaps();
+
+  // 9. Gateway Model and Portal
+  loadGatewayModel({
+    scene,
+    mtlLoader: new MTLLoader(),
+    objLoader: new OBJLoader(),
+    getTerrainHeight,
+    portalMaterial,
+    onLoaded: ({ gateway, portalMesh: loadedPortalMesh, worldCenter, size, worldBoundingBox }) => {
+      mushroomGate = gateway;
+      portalMesh = loadedPortalMesh;
+      // Keep trees and mushrooms out of the actual gateway footprint
+      const footprint = worldBoundingBox.clone().expandByScalar(CONST.GATEWAY_EXCLUSION_MARGIN);
+      const bounds = { minX: footprint.min.x, maxX: footprint.max.x, minZ: footprint.min.z, maxZ: footprint.max.z };
+      removePlacementExclusionZone(gatewayExclusion);
+      gatewayExclusion = addPlacementExclusionZone(createBoxExclusion(bounds));
+      terrainChunks.rebuild(bounds);
+      physicsWorld.addColliders(createGatewayColliders({ portalMesh, worldBoundingBox }));
+      // Mushrooms leave the portal at the back of the gateway, clear of its colliders
+      portalLaunchPoint = new THREE.Vector3(portalMesh.position.x, portalMesh.position.y + 0.5, worldBoundingBox.min.z);
+      const cameraTarget = worldCenter.clone();
+      cameraTarget.y = worldCenter.y + size.y * 0.1;
+      const cameraOffset = new THREE.Vector3(0, size.y * 0.4, worldBoundingBox.max.z + 2);
+      camera.position.copy(cameraTarget).add(cameraOffset);
+      controls.target.copy(cameraTarget);
+      controls.update();
+    }
+  });
+}
+
+/**
+ * Approximates the gateway for collisions with capsules around the portal opening: a pillar
+ * on each side and a lintel across the top, leaving the opening itself free.
+ * @param {THREE.Mesh} portalMesh - Portal plane, centered in the opening.
+ * @param {THREE.Box3} worldBoundingBox - Bounds of the gateway model.
+ * @returns {Array<object>} Colliders for the physics world.
+ */
+function createGatewayColliders({ portalMesh, worldBoundingBox: box }) {
+  const { width, height } = portalMesh.geometry.parameters;
+  const { x, z } = portalMesh.position;
+  const portalTop = portalMesh.position.y + height / 2;
+  const depth = box.max.z - box.min.z;
+  const pillarRadius = Math.min((box.max.x - box.min.x - width) / 4, depth / 2);
+  const lintelRadius = Math.min((box.max.y - portalTop) / 2, depth / 2);
+  const pillarOffset = width / 2 + pillarRadius;
+  const lintelY = portalTop + lintelRadius;
+  return [
+    createCapsuleCollider({ start: new THREE.Vector3(x - pillarOffset, box.min.y, z), end: new THREE.Vector3(x - pillarOffset, lintelY, z), radius: pillarRadius }),
+    createCapsuleCollider({ start: new THREE.Vector3(x + pillarOffset, box.min.y, z), end: new THREE.Vector3(x + pillarOffset, lintelY, z), radius: pillarRadius }),
+    createCapsuleCollider({ start: new THREE.Vector3(x - pillarOffset, lintelY, z), end: new THREE.Vector3(x + pillarOffset, lintelY, z), radius: lintelRadius })
+  ];
+}
+
+/**
+ * Levels a clearing under the gateway and wears a trail leading up to it.
+ */
+function addGatewayTerrainModifiers() {
+  addTerrainModifier(createFlattenModifier({
+    x: 0,
+    z: 0,
+    radius: CONST.GATEWAY_CLEARING_RADIUS,
+    falloff: CONST.GATEWAY_CLEARING_FALLOFF
+  }));
+  addTerrainModifier(createTrailModifier({
+    points: CONST.GATEWAY_PATH_POINTS,
+    width: CONST.GATEWAY_PATH_WIDTH,
+    depth: CONST.GATEWAY_PATH_DEPTH
+  }));
+}
+
+/**
+ * Populates a freshly generated terrain chunk with trees and mushrooms.
+ * Uses a per-chunk PRNG so a chunk always regenerates with the same layout, and one
+ * placement context so mushrooms keep clear of the chunk's tree trunks. The trunks also
+ * become colliders for the spawned mushrooms while the chunk is loaded.
+ * @param {object} params - { group, chunkX, chunkZ, centerX, centerZ, size } from the chunk manager
+ * @returns {{update: function(THREE.Vector3): void, dispose: function(): void}} Per-frame hook switching the trees' detail levels, and cleanup returning the trees to the pool and dropping the colliders
+ */
+function populateTerrainChunk({ group, chunkX, chunkZ, centerX, centerZ, size }) {
+  const prng = getChunkPrng(chunkX, chunkZ);
+  const placement = createPlacementContext({ centerX, centerZ, halfSize: size / 2 });
+  const forest = createInstancedTrees({
+    scene: group,
+    prng,
+    getTerrainHeight,
+    pool: treePool,
+    TREE_COUNT: CONST.TREES_PER_CHUNK,
+    SPREAD: size / 2,
+    MIN_DISTANCE_FROM_CENTER_TREES: CONST.MIN_DISTANCE_FROM_CENTER_TREES,
+    centerX,
+    centerZ,
+    waterLevel: getWaterLevel(),
+    placement,
+    lodDistances: CONST.TREE_LOD_DISTANCES
+  });
+  createInstancedMushrooms({
+    scene: group,
+    prng,
+    getTerrainHeight,
+    getTerrainNormal,
+    materials: mushroomMaterials,
+    templates: mushroomTemplates,
+    MUSHROOM_COUNT: CONST.MUSHROOMS_PER_CHUNK,
+    SPREAD: size / 2,
+    MIN_DISTANCE_FROM_GATEWAY_CENTER: CONST.MIN_DISTANCE_FROM_GATEWAY_CENTER,
+    MAX_DISTANCE_FROM_CENTER: Infinity,
+    centerX,
+    centerZ,
+    waterLevel: getWaterLevel(),
+    placement
+  });
+  applyWindShadows(group);
+  const trunkColliders = physicsWorld.addColliders(forest.userData.treeTrunks.map(({ base, radius, height }) => createCapsuleCollider({
+    start: base,
+    end: new THREE.Vector3(base.x, base.y + height, base.z),
+    radius
+  })));
+  return {
+    update: focus => updateTreeLod(forest, focus),
+    dispose: () => {
+      releaseInstancedTrees(forest);
+      physicsWorld.removeColliders(trunkColliders);
+    }
+  };
+}
+
+/**
+ * Moves the real sun and moon to the time on the clock (ASTRONOMY_ENABLED only). The clock reads
+ * local solar time at ASTRONOMY_LONGITUDE, astronomyDay days after ASTRONOMY_DATE.
+ */
+function updateSky() {
+  if (!sky) return;
+  const day = Date.parse(CONST.ASTRONOMY_DATE) + astronomyDay * 24 * 3600 * 1000;
+  const place = { latitude: CONST.ASTRONOMY_LATITUDE, longitude: CONST.ASTRONOMY_LONGITUDE };
+  if (!sunTimes || sunTimes.day !== day) sunTimes = { day, ...getSunTimes({ day, ...place }) };
+  getSkyState({ date: getDateAtLocalSolarHours(day, timeOfDay, place.longitude), ...place, target: sky });
+}
+
+/**
+ * Sets the clock; wrapping past midnight starts the next astronomy day.
+ * @param {number} hours - Time of day in [0, 24).
+ */
+function setTimeOfDay(hours) {
+  if (hours < timeOfDay) astronomyDay++;
+  timeOfDay = hours;
+  updateSky();
+}
+
+/**
+ * Hour to look the time-of-day keyframes up at: the clock, or with the real sun the clock
+ * fitted to that day's sunrise and sunset.
+ */
+function getTimeOfDayKeyframeHour() {
+  return sky ? getKeyframeHour(timeOfDay, sunTimes) : timeOfDay;
+}
+
+/**
+ * Hours from sunrise to sunset on the current day.
+ */
+function getDaylightHours() {
+  if (!sky) return SUNSET_HOUR - SUNRISE_HOUR;
+  if (sunTimes.polar) return sunTimes.polar === 'day' ? 24 : 0;
+  return THREE.MathUtils.euclideanModulo(sunTimes.sunset - sunTimes.sunrise, 24);
+}
+
+/**
+ * Applies the settings interpolated for the current time of day.
+ */
+function applyCurrentSceneState() {
+  const settings = getTimeOfDaySettings(getTimeOfDayKeyframeHour(), timeOfDaySettings);
+  if (weather) applyWeatherToSettings(settings, weather);
+  applySceneState({
+    scene: getScene(),
+    ambientLight,
+    directionalLight,
+    focus: controls.target,
+    groundMaterial,
+    trunkMaterial,
+    deciduousFoliageMaterial,
+    coniferousFoliageMaterial,
+    waterMaterial: water ? water.material : null,
+    settings,
+    hours: timeOfDay,
+    sky,
+    skyDome,
+    sunMesh,
+    moonMesh,
+    LIGHT_ORBIT_RADIUS: CONST.LIGHT_ORBIT_RADIUS
+  });
+  if (weather) {
+    applyWeatherToScene({
+      weather,
+      directionalLight,
+      focus: controls.target,
+      ambientLight,
+      skyDome,
+      lightningIntensity: CONST.LIGHTNING_INTENSITY,
+      lightningDistance: CONST.LIGHT_ORBIT_RADIUS
+    });
+  }
+}
+
+/**
+ * Returns the record the app keeps for a pooled mushroom handle. Records live on their handle
+ * and are reused with it, so spawning allocates nothing once every handle has been used.
+ * @param {THREE.Object3D} mushroom - Handle from spawnMushroom.
+ * @returns {object} Record { mushroom, lifecycle, body }; body is the mushroom's physics body (physics/PhysicsWorld.js)
+ */
+function getSpawnRecord(mushroom) {
+  if (!mushroom.userData.record) {
+    mushroom.userData.record = { mushroom, lifecycle: {}, body: {} };
+  }
+  return mushroom.userData.record;
+}
+
+/**
+ * Gives a freshly spawned mushroom its physics body, matching the handle's pose and size.
+ * @param {object} record - Record from getSpawnRecord.
+ * @param {object} options - Further createBody options (buoyant, sleeping).
+ */
+function addSpawnedMushroomBody(record, options) {
+  const { mushroom, body } = record;
+  createBody({
+    radius: mushroom.userData.radius * mushroom.scale.x,
+    restitution: CONST.MUSHROOM_RESTITUTION,
+    friction: CONST.MUSHROOM_FRICTION,
+    rolls: mushroom.userData.rolls,
+    settleUpright: true,
+    ...options,
+    target: body
+  });
+  body.position.copy(mushroom.position);
+  body.orientation.copy(mushroom.quaternion);
+  physicsWorld.addBody(body);
+}
+
+/**
+ * Returns a spawned mushroom to the pool.
+ * @param {object} record - Entry of spawnedMushrooms.
+ */
+function removeSpawnedMushroom(record) {
+  physicsWorld.removeBody(record.body);
+  releaseSpawnedMushroom(spawnedMushroomPool, record.mushroom);
+}
+
+/**
+ * Spawns a mushroom at the portal and launches it out of the gateway as a sprout; it starts
+ * growing once it comes to rest. Replaces the oldest spawned mushroom once the pool is full.
+ */
+function launchMushroomFromPortal() {
+  if (!portalLaunchPoint || !spawnedMushroomPool) return;
+  if (spawnedMushrooms.length >= spawnedMushroomPool.capacity) {
+    removeSpawnedMushroom(spawnedMushrooms.shift());
+  }
+  const mushroom = spawnMushroom({ pool: spawnedMushroomPool, position: portalLaunchPoint, getRandom: Math.random });
+  const record = getSpawnRecord(mushroom);
+  createMushroomLifecycle({ getRandom: Math.random, target: record.lifecycle });
+  applyMushroomLifecycle(mushroom, record.lifecycle);
+  addSpawnedMushroomBody(record, { buoyant: Math.random() < CONST.SPAWNED_MUSHROOM_FLOAT_CHANCE });
+  record.body.velocity.set(
+    (Math.random() - 0.5) * 4,
+    Math.random() * 3 + 7,
+    (Math.random() * -3) - 5
+  );
+  record.body.angularVelocity.set(
+    (Math.random() - 0.5) * 8,
+    (Math.random() - 0.5) * 8,
+    (Math.random() - 0.5) * 8
+  );
+  spawnedMushrooms.push(record);
+}
+
+/**
+ * Spawns a mushroom when the gateway is clicked.
+ * @param {PointerEvent} event
+ */
+function onPointerDown(event) {
+  if (!mushroomGate) return;
+  pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+  pointer.y = - (event.clientY / window.innerHeight) * 2 + 1;
+  raycaster.setFromCamera(pointer, getCamera());
+  if (raycaster.intersectObject(mushroomGate, true).length > 0) {
+    launchMushroomFromPortal();
+  }
 }
 
 function onWindowResize() {
@@ -99,14 +655,196 @@ function onWindowResize() {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
-  // TODO: update portalMaterial resolution uniform
+  if (portalMaterial) {
+    portalMaterial.uniforms.uResolution.value.set(window.innerWidth, window.innerHeight);
+  }
+}
+
+/**
+ * Steps the spawned mushrooms' physics and moves their handles to the interpolated poses.
+ * Mushrooms start their lifecycle once they come to rest, or once they have floated for
+ * SPAWNED_MUSHROOM_FLOAT_SETTLE_TIME; their collision spheres follow their growth.
+ * @param {number} delta - Frame time in seconds.
+ */
+function updateSpawnedMushrooms(delta) {
+  if (!physicsWorld) return;
+  physicsWorld.update(delta);
+  spawnedMushrooms.forEach(({ mushroom, lifecycle, body }) => {
+    // Floating bodies never sleep, so they count as settled after bobbing on the water a while
+    if (body.sleeping || body.floatTime >= CONST.SPAWNED_MUSHROOM_FLOAT_SETTLE_TIME) startMushroomLifecycle(lifecycle, sceneDays);
+    body.radius = mushroom.userData.radius * mushroom.scale.x;
+    mushroom.position.copy(body.renderPosition);
+    mushroom.quaternion.copy(body.renderOrientation);
+  });
+}
+
+/**
+ * Advances the lifecycles of spawned mushrooms on scene time: sprouts grow, old mushrooms
+ * wither and decay away, and spreading mushrooms ring themselves with sprouts.
+ */
+function updateMushroomLifecycles() {
+  spreadingMushrooms.length = 0;
+  let kept = 0;
+  for (const record of spawnedMushrooms) {
+    const { stage, spread } = updateMushroomLifecycle(record.lifecycle, sceneDays);
+    if (stage === MUSHROOM_STAGES.GONE) {
+      removeSpawnedMushroom(record);
+      continue;
+    }
+    applyMushroomLifecycle(record.mushroom, record.lifecycle);
+    if (spread) spreadingMushrooms.push(record);
+    spawnedMushrooms[kept++] = record;
+  }
+  spawnedMushrooms.length = kept;
+  spreadingMushrooms.forEach(spreadFairyRing);
+}
+
+/**
+ * Sprouts a fairy ring of the parent's species around it, on dry ground clear of the gateway
+ * and of other spawned mushrooms, as long as the pool has room.
+ * @param {object} parent - Entry of spawnedMushrooms that matured and spreads.
+ */
+function spreadFairyRing(parent) {
+  const { x, z } = parent.mushroom.position;
+  const { generation } = parent.lifecycle;
+  const waterLevel = getWaterLevel();
+  const placement = createPlacementContext({ centerX: x, centerZ: z, halfSize: DEFAULT_MUSHROOM_LIFECYCLE.ringRadius * (generation + 2) });
+  spawnedMushrooms.forEach(({ mushroom }) => placement.add(mushroom.position.x, mushroom.position.z, 'mushroom'));
+  for (const position of getFairyRingPositions({ x, z, generation, getRandom: Math.random })) {
+    if (getTerrainHeight(position.x, position.z) < waterLevel || !placement.isClear(position.x, position.z, 'mushroom')) continue;
+    const mushroom = spawnMushroom({
+      pool: spawnedMushroomPool,
+      position: new THREE.Vector3(position.x, getTerrainHeight(position.x, position.z), position.z),
+      getRandom: Math.random,
+      species: parent.mushroom.userData.species
+    });
+    if (!mushroom) return;
+    placement.add(position.x, position.z, 'mushroom');
+    sproutYaw.setFromAxisAngle(worldUp, Math.random() * Math.PI * 2);
+    mushroom.quaternion.setFromUnitVectors(worldUp, getTerrainNormal(position.x, position.z)).multiply(sproutYaw);
+    const record = getSpawnRecord(mushroom);
+    createMushroomLifecycle({ getRandom: Math.random, generation: generation + 1, target: record.lifecycle });
+    startMushroomLifecycle(record.lifecycle, sceneDays);
+    applyMushroomLifecycle(mushroom, record.lifecycle);
+    addSpawnedMushroomBody(record, { sleeping: true });
+    spawnedMushrooms.push(record);
+  }
+}
+
+/**
+ * Advances the clock and applies the scene state for the new time of day.
+ * Daytime (sunrise to sunset) lasts DAY_CYCLE_DURATION seconds, the night NIGHT_CYCLE_DURATION.
+ * @param {number} delta - Frame time in seconds.
+ */
+function updateDayNightCycle(delta) {
+  const dayHours = getDaylightHours();
+  const hours = isDaytime ? delta * dayHours / CONST.DAY_CYCLE_DURATION : delta * (24 - dayHours) / CONST.NIGHT_CYCLE_DURATION;
+  sceneDays += hours / 24;
+  setTimeOfDay((timeOfDay + hours) % 24);
+  applyCurrentSceneState();
+  if (isDaytimeAt(getTimeOfDayKeyframeHour()) !== isDaytime) {
+    isDaytime = !isDaytime;
+    refreshDayNightToggle();
+  }
 }
 
 function animate() {
   requestAnimationFrame(animate);
-  // TODO: update time, transitions, mushrooms, controls, render
+  const delta = clock.getDelta();
+  const elapsedTime = clock.getElapsedTime();
+  if (portalMaterial) {
+    portalMaterial.uniforms.uTime.value = elapsedTime;
+  }
+  updateSpawnedMushrooms(delta);
+  if (weather) updateWeather(weather, delta);
+  updateDayNightCycle(delta);
+  updateMushroomLifecycles();
+  if (spawnedMushroomPool) updateSpawnedMushroomPool(spawnedMushroomPool);
+  updateWind(elapsedTime);
+  updateGlow(elapsedTime, delta);
+  updateGlowLights({
+    lights: glowLights,
+    scene: getScene(),
+    focus: getCamera().position,
+    strength: getGlowStrength(),
+    intensity: CONST.MUSHROOM_GLOW_LIGHT_INTENSITY,
+    time: elapsedTime
+  });
+  if (water) updateWaterSurface({ water, time: elapsedTime, focus: getCamera().position });
+  updateSkyDome({ skyDome, time: elapsedTime, focus: getCamera().position });
+  if (precipitation) {
+    updatePrecipitation({
+      precipitation,
+      delta,
+      time: elapsedTime,
+      focus: getCamera().position,
+      amounts: weather.current,
+      wind: timeOfDaySettings.windStrength,
+      color: timeOfDaySettings.fog.color,
+      viewHeight: getRenderer().domElement.height
+    });
+  }
+  if (terrainChunks) terrainChunks.update(getCamera().position);
+  controls.update();
+  renderFrame(delta);
+}
+
+/**
+ * Culls the vegetation cells and renders the frame. With CELL_CULLING_STATS_INTERVAL set, one
+ * frame every that many seconds is rendered without culling and its render time (CPU side, GPU
+ * work is not included) is compared with the average of the culled frames (see getCullingStats).
+ */
+function renderFrame(delta) {
+  const scene = getScene();
+  const camera = getCamera();
+  const interval = CONST.CELL_CULLING_STATS_INTERVAL;
+  cullingReport.elapsed += delta;
+  const measureUnculled = interval > 0 && cullingReport.elapsed >= interval && cullingReport.frames > 0;
+  setCellCullingEnabled(!measureUnculled);
+  const stats = updateCellCulling({
+    scene,
+    camera,
+    maxDistance: scene.fog ? scene.fog.far : Infinity,
+    frustumMargin: CONST.CELL_CULLING_FRUSTUM_MARGIN
+  });
+  const start = performance.now();
+  getRenderer().render(scene, camera);
+  const renderTime = performance.now() - start;
+  if (interval <= 0) return;
+  if (!measureUnculled) {
+    cullingReport.frames++;
+    cullingReport.renderTime += renderTime;
+    cullingReport.cullTime += stats.cullTime;
+    cullingReport.visibleCells = stats.visibleCells;
+    cullingReport.visibleInstances = stats.visibleInstances;
+    return;
+  }
+  const culledRenderTime = cullingReport.renderTime / cullingReport.frames;
+  const cullTime = cullingReport.cullTime / cullingReport.frames;
+  cullingStats = {
+    visibleCells: cullingReport.visibleCells,
+    cells: stats.cells,
+    visibleInstances: cullingReport.visibleInstances,
+    instances: stats.instances,
+    culledRenderTime,
+    cullTime,
+    unculledRenderTime: renderTime,
+    savedTime: renderTime - culledRenderTime - cullTime
+  };
+  Object.assign(cullingReport, { elapsed: 0, frames: 0, renderTime: 0, cullTime: 0 });
+}
+
+/**
+ * Debug hook for the cell culling savings, e.g. from the browser console:
+ * `(await import('./app.js')).getCullingStats()`.
+ * @returns {object|null} Latest measurement (times in ms per frame: culledRenderTime, cullTime,
+ *   unculledRenderTime, savedTime; visibleCells/cells, visibleInstances/instances), or null
+ *   until one has been taken; measuring needs CELL_CULLING_STATS_INTERVAL above 0.
+ */
+export function getCullingStats() {
+  return cullingStats;
 }
 
 // --- App Entry Point ---
 init();
-animate(); 
\ No newline at end of file
+animate();
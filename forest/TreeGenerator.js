@@ -1,124 +1,688 @@
 // forest/TreeGenerator.js
 import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { createPlacementContext } from '../utils/Placement.js';
+import { DEFAULT_PLACEMENT_RULES, createPlacementDensity } from '../utils/PlacementRules.js';
+import { bakeTreeImpostors } from './TreeImpostors.js';
+import { DEFAULT_CULLING_CELL_SIZE, partitionIntoCells, createCullingCell, attachCullingCells } from '../utils/CellCulling.js';
 // import { getTerrainHeight } from '../terrain/TerrainGenerator.js';
 // import { placementPrng } from '../utils/Random.js';
 
 /**
  * Provides functions for creating tree geometries and instanced placement.
+ * Trees can be drawn at three levels of detail, switched per tree by distance from the camera:
+ * the full mesh, a low-poly version grown from the same turtle walk, and a baked billboard
+ * impostor (see forest/TreeImpostors.js).
  */
 
 /**
- * Creates geometry for a single deciduous tree (trunk and foliage).
+ * Tilts a tree's geometries away from vertical by a random lean about its base.
  * @param {object} prng - Seeded random number generator.
- * @returns {{trunkGeo: THREE.CylinderGeometry, foliageGeo: THREE.SphereGeometry}}
+ * @param {Array<THREE.BufferGeometry>} geometries - Tree parts, built with the trunk base at the origin.
+ * @param {number} maxLean - Maximum lean angle in radians.
+ */
+function applyRandomLean(prng, geometries, maxLean) {
+    const heading = prng.random() * Math.PI * 2;
+    const axis = new THREE.Vector3(Math.cos(heading), 0, Math.sin(heading));
+    const lean = new THREE.Matrix4().makeRotationAxis(axis, prng.randFloat(0, maxLean));
+    geometries.forEach(geometry => geometry.applyMatrix4(lean));
+}
+
+/**
+ * Stochastic L-system grammars for the tree species, interpreted by a 3D turtle.
+ * Symbols:
+ *   F      grow a branch segment of the current length
+ *   + -    turn left/right (yaw) by angle        & ^   pitch down/up by angle
+ *   / \    roll by rollAngle                     [ ]   push/pop the turtle state
+ *   '      shrink: length *= lengthScale, radius *= radiusScale, leafSize *= leafScale
+ *   L      leaf cluster (low-poly sphere)         C     foliage tier (upright cone)
+ * Any other symbol is a placeholder that only drives rewriting.
+ * Rules map a symbol to weighted successors; after the last iteration, symbols with a
+ * terminal entry are replaced once more (e.g. growing tips become leaf clusters).
+ * Lengths and radii are in world units, angles in degrees, jitter is relative (0.2 = ±20%).
+ * tropism bends each segment towards +Y (positive) or -Y (negative) for upward or drooping growth.
+ */
+export const TREE_GRAMMARS = {
+    deciduous: {
+        axiom: "FF/A",
+        rules: {
+            A: [
+                { weight: 0.55, successor: "F['&FA]/////['&FA]/////['&FA]" },
+                { weight: 0.3, successor: "F['&FA]///////['&FA]" },
+                { weight: 0.15, successor: "F['&FA]//////'A" }
+            ]
+        },
+        terminal: { A: "L" },
+        iterations: 3,
+        length: [0.4, 0.65],
+        lengthScale: 0.8,
+        radius: [0.12, 0.18],
+        radiusScale: 0.6,
+        taper: 0.85,
+        angle: 32,
+        rollAngle: 28,
+        jitter: 0.3,
+        tropism: 0.08,
+        leafSize: [0.45, 0.65],
+        leafScale: 0.9
+    },
+    coniferous: {
+        axiom: "FFW",
+        rules: {
+            W: [
+                { weight: 0.8, successor: "F[C]'W" },
+                { weight: 0.2, successor: "F[C]/[&&&&'F]/'W" }
+            ]
+        },
+        terminal: { W: "FC" },
+        iterations: 5,
+        length: [0.35, 0.5],
+        lengthScale: 0.9,
+        radius: [0.1, 0.14],
+        radiusScale: 0.85,
+        taper: 0.95,
+        angle: 15,
+        rollAngle: 120,
+        jitter: 0.2,
+        tropism: -0.05,
+        leafSize: [0.75, 0.95],
+        leafScale: 0.82
+    }
+};
+
+// Mesh resolution of baked branches and foliage clusters
+const BRANCH_RADIAL_SEGMENTS = 6;
+const LEAF_CLUSTER_SEGMENTS = [7, 5];
+const FOLIAGE_TIER_SEGMENTS = 10;
+// Mesh resolution of the low-detail version used at mid range
+const LOW_DETAIL_BRANCH_RADIAL_SEGMENTS = 3;
+const LOW_DETAIL_LEAF_CLUSTER_SEGMENTS = [4, 3];
+const LOW_DETAIL_FOLIAGE_TIER_SEGMENTS = 5;
+
+// Detail levels: full mesh, low-poly mesh, impostor card
+const TREE_LOD_FULL = 0;
+const TREE_LOD_LOW = 1;
+const TREE_LOD_IMPOSTOR = 2;
+// How far the focus must move before tree detail levels are re-evaluated
+const TREE_LOD_UPDATE_DISTANCE = 0.5;
+
+/**
+ * Picks a successor from a list of weighted rule alternatives.
+ * @param {object} prng - Seeded random number generator.
+ * @param {Array<{weight: number, successor: string}>} alternatives
+ * @returns {string}
+ */
+function pickSuccessor(prng, alternatives) {
+    const total = alternatives.reduce((sum, alternative) => sum + alternative.weight, 0);
+    let roll = prng.random() * total;
+    for (const alternative of alternatives) {
+        roll -= alternative.weight;
+        if (roll < 0) return alternative.successor;
+    }
+    return alternatives[alternatives.length - 1].successor;
+}
+
+/**
+ * Rewrites an L-system grammar's axiom for its number of iterations.
+ * @param {object} grammar - Grammar (see TREE_GRAMMARS).
+ * @param {object} prng - Seeded random number generator.
+ * @returns {string} The final symbol string, with terminal replacements applied.
+ */
+export function expandLSystem(grammar, prng) {
+    let current = grammar.axiom;
+    for (let i = 0; i < grammar.iterations; i++) {
+        let next = '';
+        for (const symbol of current) {
+            const alternatives = grammar.rules[symbol];
+            next += alternatives ? pickSuccessor(prng, alternatives) : symbol;
+        }
+        current = next;
+    }
+    const terminal = grammar.terminal || {};
+    return [...current].map(symbol => terminal[symbol] ?? symbol).join('');
+}
+
+/**
+ * Grows a tree from an L-system grammar with a 3D turtle and bakes it into two geometries,
+ * one for the woody parts and one for the foliage, each merged into a single indexed
+ * BufferGeometry ready for instancing or batching. The tree base sits at the origin.
+ * The same walk also yields a low-detail pair with the identical shape and fewer segments,
+ * and the base radius and height of the main stem, e.g. for collisions.
+ * @param {object} prng - Seeded random number generator.
+ * @param {object} grammar - Grammar (see TREE_GRAMMARS).
+ * @returns {{trunkGeo: THREE.BufferGeometry, foliageGeo: THREE.BufferGeometry, lowDetail: {trunkGeo: THREE.BufferGeometry, foliageGeo: THREE.BufferGeometry}, trunk: {radius: number, height: number}}}
+ */
+export function createLSystemTreeGeometry(prng, grammar) {
+    const symbols = expandLSystem(grammar, prng);
+    const jitter = () => prng.randFloat(1 - grammar.jitter, 1 + grammar.jitter);
+    const turn = (axis, degrees) => {
+        const rotation = new THREE.Quaternion().setFromAxisAngle(axis, THREE.MathUtils.degToRad(degrees * jitter()));
+        state.orientation.multiply(rotation);
+    };
+    const xAxis = new THREE.Vector3(1, 0, 0);
+    const yAxis = new THREE.Vector3(0, 1, 0);
+    const zAxis = new THREE.Vector3(0, 0, 1);
+    const tropismDirection = new THREE.Vector3(0, Math.sign(grammar.tropism), 0);
+    const heading = new THREE.Vector3();
+    const bendAxis = new THREE.Vector3();
+    const bend = new THREE.Quaternion();
+    const branches = [];
+    const foliage = [];
+    const lowDetailBranches = [];
+    const lowDetailFoliage = [];
+    const stack = [];
+    const place = (geometry, list) => {
+        geometry.translate(state.position.x, state.position.y, state.position.z);
+        list.push(geometry);
+    };
+    let state = {
+        position: new THREE.Vector3(),
+        orientation: new THREE.Quaternion(),
+        length: prng.randFloat(grammar.length[0], grammar.length[1]),
+        radius: prng.randFloat(grammar.radius[0], grammar.radius[1]),
+        leafSize: prng.randFloat(grammar.leafSize[0], grammar.leafSize[1])
+    };
+    const trunk = { radius: state.radius, height: 0 };
+    for (const symbol of symbols) {
+        switch (symbol) {
+            case 'F': {
+                const length = state.length * jitter();
+                const endRadius = state.radius * grammar.taper;
+                for (const [radialSegments, list] of [[BRANCH_RADIAL_SEGMENTS, branches], [LOW_DETAIL_BRANCH_RADIAL_SEGMENTS, lowDetailBranches]]) {
+                    const segment = new THREE.CylinderGeometry(endRadius, state.radius, length, radialSegments, 1, true);
+                    segment.translate(0, length / 2, 0);
+                    segment.applyQuaternion(state.orientation);
+                    place(segment, list);
+                }
+                heading.copy(yAxis).applyQuaternion(state.orientation);
+                state.position.addScaledVector(heading, length);
+                state.radius = endRadius;
+                // Segments outside any branch bracket make up the main stem
+                if (stack.length === 0) trunk.height = Math.max(trunk.height, state.position.y);
+                // Tropism: bend the heading towards (or away from) the vertical
+                bendAxis.crossVectors(heading, tropismDirection);
+                const bendAmount = bendAxis.length();
+                if (bendAmount > 1e-6) {
+                    bend.setFromAxisAngle(bendAxis.normalize(), Math.abs(grammar.tropism) * bendAmount);
+                    state.orientation.premultiply(bend);
+                }
+                break;
+            }
+            case '+': turn(zAxis, grammar.angle); break;
+            case '-': turn(zAxis, -grammar.angle); break;
+            case '&': turn(xAxis, grammar.angle); break;
+            case '^': turn(xAxis, -grammar.angle); break;
+            case '/': turn(yAxis, grammar.rollAngle); break;
+            case '\\': turn(yAxis, -grammar.rollAngle); break;
+            case "'":
+                state.length *= grammar.lengthScale;
+                state.radius *= grammar.radiusScale;
+                state.leafSize *= grammar.leafScale;
+                break;
+            case '[':
+                stack.push(state);
+                state = {
+                    ...state,
+                    position: state.position.clone(),
+                    orientation: state.orientation.clone()
+                };
+                break;
+            case ']':
+                state = stack.pop();
+                break;
+            case 'L': {
+                const size = state.leafSize * jitter();
+                const scale = [jitter(), 0.8 * jitter(), jitter()];
+                for (const [segments, list] of [[LEAF_CLUSTER_SEGMENTS, foliage], [LOW_DETAIL_LEAF_CLUSTER_SEGMENTS, lowDetailFoliage]]) {
+                    const cluster = new THREE.SphereGeometry(size, segments[0], segments[1]);
+                    cluster.scale(...scale);
+                    place(cluster, list);
+                }
+                break;
+            }
+            case 'C': {
+                const size = state.leafSize * jitter();
+                for (const [radialSegments, list] of [[FOLIAGE_TIER_SEGMENTS, foliage], [LOW_DETAIL_FOLIAGE_TIER_SEGMENTS, lowDetailFoliage]]) {
+                    const tier = new THREE.ConeGeometry(size, size * 1.4, radialSegments);
+                    tier.translate(0, size * 0.5, 0);
+                    place(tier, list);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    }
+    const trunkGeo = mergeGeometries(branches);
+    const foliageGeo = mergeGeometries(foliage);
+    const lowDetail = { trunkGeo: mergeGeometries(lowDetailBranches), foliageGeo: mergeGeometries(lowDetailFoliage) };
+    [...branches, ...foliage, ...lowDetailBranches, ...lowDetailFoliage].forEach(geometry => geometry.dispose());
+    return { trunkGeo, foliageGeo, lowDetail, trunk };
+}
+
+/**
+ * All geometries of a tree variant, both detail levels.
+ * @param {object} tree - Variant from createLSystemTreeGeometry.
+ * @returns {Array<THREE.BufferGeometry>}
+ */
+function getTreeGeometries(tree) {
+    return [tree.trunkGeo, tree.foliageGeo, tree.lowDetail.trunkGeo, tree.lowDetail.foliageGeo];
+}
+
+/**
+ * Creates geometry for a single deciduous tree (trunk, branches and leaf clusters).
+ * Each call grows a different variant from the deciduous grammar, with its own lean.
+ * @param {object} prng - Seeded random number generator.
+ * @returns {{trunkGeo: THREE.BufferGeometry, foliageGeo: THREE.BufferGeometry, lowDetail: object}}
  */
 export function createDeciduousTreeGeometry(prng) {
-    const trunkHeight = prng.randFloat(1.5, 2.5);
-    const trunkRadius = trunkHeight * 0.1;
-    const foliageRadius = trunkHeight * 0.5;
-    const trunkGeo = new THREE.CylinderGeometry(trunkRadius * 0.7, trunkRadius, trunkHeight, 16);
-    trunkGeo.translate(0, trunkHeight / 2, 0);
-    const foliageGeo = new THREE.SphereGeometry(foliageRadius, 16, 12);
-    foliageGeo.translate(
-        prng.randFloat(-trunkRadius * 0.5, trunkRadius * 0.5),
-        trunkHeight + foliageRadius * 0.6,
-        prng.randFloat(-trunkRadius * 0.5, trunkRadius * 0.5)
-    );
-    return { trunkGeo, foliageGeo };
+    const tree = createLSystemTreeGeometry(prng, TREE_GRAMMARS.deciduous);
+    applyRandomLean(prng, getTreeGeometries(tree), 0.12);
+    return tree;
 }
 
 /**
- * Creates geometry for a single coniferous tree (trunk and foliage).
+ * Creates geometry for a single coniferous tree (trunk and stacked foliage tiers).
+ * Each call grows a different variant from the coniferous grammar, with its own lean.
  * @param {object} prng - Seeded random number generator.
- * @returns {{trunkGeo: THREE.CylinderGeometry, foliageGeo: THREE.ConeGeometry}}
+ * @returns {{trunkGeo: THREE.BufferGeometry, foliageGeo: THREE.BufferGeometry, lowDetail: object}}
  */
 export function createConiferousTreeGeometry(prng) {
-    const trunkHeight = prng.randFloat(2.0, 3.5);
-    const trunkRadius = trunkHeight * 0.08;
-    const coneRadius = trunkHeight * 0.3;
-    const coneHeight = trunkHeight * 0.9;
-    const trunkGeo = new THREE.CylinderGeometry(trunkRadius * 0.7, trunkRadius, trunkHeight, 16);
-    trunkGeo.translate(0, trunkHeight / 2, 0);
-    const foliageGeo = new THREE.ConeGeometry(coneRadius, coneHeight, 16);
-    foliageGeo.translate(0, trunkHeight + coneHeight / 2 - trunkHeight * 0.1, 0);
-    return { trunkGeo, foliageGeo };
+    const tree = createLSystemTreeGeometry(prng, TREE_GRAMMARS.coniferous);
+    applyRandomLean(prng, getTreeGeometries(tree), 0.08);
+    return tree;
 }
 
 /**
- * Creates and places all instanced trees in the scene using procedural placement.
- * Adds instanced meshes to the scene.
- * @param {THREE.Scene} scene - The scene to add trees to.
+ * Creates the tree templates shared by every chunk: seeded variants per species, each with
+ * its low-detail version, and baked impostors when a renderer is given.
  * @param {object} prng - Seeded random number generator.
- * @param {function} getTerrainHeight - Function to get terrain height at (x, z).
+ * @param {number} variantsPerSpecies - Number of variants grown per species.
+ * @param {THREE.WebGLRenderer} [renderer] - Renderer to bake impostors with; no impostors if omitted.
+ * @param {THREE.Material} [trunkMaterial] - Materials whose map and color are baked into the impostors.
+ * @param {THREE.Material} [deciduousFoliageMaterial]
+ * @param {THREE.Material} [coniferousFoliageMaterial]
+ * @param {number} [impostorTileSize=128] - Atlas tile size in pixels.
+ * @param {number} [impostorFrames=8] - Viewing angles baked per variant.
+ * @returns {{deciduous: Array<object>, coniferous: Array<object>, impostors: object|null}} Variants per species, plus
+ *   impostors { material, renderTarget, cards: { deciduous, coniferous } } with one card geometry per variant.
+ */
+export function createTreeTemplates({
+    prng,
+    variantsPerSpecies,
+    renderer,
+    trunkMaterial,
+    deciduousFoliageMaterial,
+    coniferousFoliageMaterial,
+    impostorTileSize = 128,
+    impostorFrames = 8
+}) {
+    const deciduous = [];
+    const coniferous = [];
+    for (let i = 0; i < variantsPerSpecies; i++) {
+        deciduous.push(createDeciduousTreeGeometry(prng));
+        coniferous.push(createConiferousTreeGeometry(prng));
+    }
+    let impostors = null;
+    if (renderer) {
+        const parts = (variant, foliageMaterial) => [
+            { geometry: variant.trunkGeo, material: trunkMaterial },
+            { geometry: variant.foliageGeo, material: foliageMaterial }
+        ];
+        const { material, cards, renderTarget } = bakeTreeImpostors({
+            renderer,
+            templates: [
+                ...deciduous.map(variant => parts(variant, deciduousFoliageMaterial)),
+                ...coniferous.map(variant => parts(variant, coniferousFoliageMaterial))
+            ],
+            tileSize: impostorTileSize,
+            frames: impostorFrames
+        });
+        impostors = {
+            material,
+            renderTarget,
+            cards: { deciduous: cards.slice(0, variantsPerSpecies), coniferous: cards.slice(variantsPerSpecies) }
+        };
+    }
+    return { deciduous, coniferous, impostors };
+}
+
+/**
+ * Disposes the geometries, impostor atlas and impostor materials of a set of tree templates.
+ * @param {object} templates - Templates from createTreeTemplates.
+ */
+export function disposeTreeTemplates(templates) {
+    [...templates.deciduous, ...templates.coniferous].forEach(tree => getTreeGeometries(tree).forEach(geometry => geometry.dispose()));
+    if (templates.impostors) {
+        const { material, renderTarget, cards } = templates.impostors;
+        [...cards.deciduous, ...cards.coniferous].forEach(card => card.dispose());
+        material.userData.impostorDepthMaterial.dispose();
+        material.dispose();
+        renderTarget.dispose();
+    }
+}
+
+/**
+ * Copies a set of variant geometries into one BatchedMesh, so all variants sharing a
+ * material render in a single draw call. The source geometries are left untouched.
+ * three.js r166 cannot delete batch instances or change their geometry, so released instances
+ * are hidden and kept on a free list per geometry, to be reused by the next instance of it.
+ * @param {Array<THREE.BufferGeometry>} geometries - Variant geometries (same attribute layout).
+ * @param {number} maxInstances - Instance capacity.
+ * @param {THREE.Material} material
+ * @returns {{batch: THREE.BatchedMesh, geometryIds: Array<number>, free: Array<Array<number>>, maxInstances: number, instanceCount: number}}
+ */
+function createVariantBatch(geometries, maxInstances, material) {
+    const vertexCount = geometries.reduce((total, geometry) => total + geometry.attributes.position.count, 0);
+    const indexCount = geometries.reduce((total, geometry) => total + geometry.index.count, 0);
+    const batch = new THREE.BatchedMesh(Math.max(1, maxInstances), vertexCount, indexCount, material);
+    const geometryIds = geometries.map(geometry => batch.addGeometry(geometry));
+    batch.castShadow = true;
+    // Instances come and go with the chunks, so the batch bounds would always be stale;
+    // perObjectFrustumCulled still culls the instances one by one
+    batch.frustumCulled = false;
+    return { batch, geometryIds, free: geometryIds.map(() => []), maxInstances: Math.max(1, maxInstances), instanceCount: 0 };
+}
+
+/**
+ * Whether a variant batch can take another instance of a geometry.
+ * @param {object} variantBatch - Batch from createVariantBatch.
+ * @param {number} index - Index into the batch's geometries.
+ * @returns {boolean}
+ */
+function hasFreeInstance(variantBatch, index) {
+    return variantBatch.free[index].length > 0 || variantBatch.instanceCount < variantBatch.maxInstances;
+}
+
+/**
+ * Takes an instance of a geometry from a variant batch, reusing a released one if possible.
+ * @param {object} variantBatch - Batch from createVariantBatch.
+ * @param {number} index - Index into the batch's geometries.
+ * @returns {number} Instance id.
+ */
+function allocateInstance(variantBatch, index) {
+    const free = variantBatch.free[index];
+    if (free.length > 0) return free.pop();
+    variantBatch.instanceCount++;
+    return variantBatch.batch.addInstance(variantBatch.geometryIds[index]);
+}
+
+/**
+ * Hides an instance and returns it to its geometry's free list.
+ * @param {object} variantBatch - Batch from createVariantBatch.
+ * @param {number} index - Index into the batch's geometries.
+ * @param {number} instanceId
+ */
+function releaseInstance(variantBatch, index, instanceId) {
+    variantBatch.batch.setVisibleAt(instanceId, false);
+    variantBatch.free[index].push(instanceId);
+}
+
+/**
+ * Creates the tree batches shared by every forest (e.g. all terrain chunks): one batch for the
+ * trunks, one for the foliage of each species and one for the impostor cards if the templates
+ * have them, each holding a single copy of every variant at every detail level. Forests take
+ * instances from the pool in createInstancedTrees and give them back with releaseInstancedTrees,
+ * so streaming chunks in and out neither copies nor uploads any geometry.
+ * @param {THREE.Object3D} scene - The scene to add the batches to.
+ * @param {object} templates - Templates from createTreeTemplates; forests read the variants' sizes from them.
  * @param {THREE.Material} trunkMaterial
  * @param {THREE.Material} deciduousFoliageMaterial
  * @param {THREE.Material} coniferousFoliageMaterial
- * @param {number} TREE_COUNT
+ * @param {number} capacity - Maximum number of trees alive at once. Released instances are only
+ *   reused by the same variant, so trees that no longer fit are left out.
+ * @returns {object} Pool { templates, variantCount, trunks, deciduousFoliage, coniferousFoliage, impostors, batches };
+ *   batches lists every BatchedMesh of the pool.
+ */
+export function createTreePool({
+    scene,
+    templates,
+    trunkMaterial,
+    deciduousFoliageMaterial,
+    coniferousFoliageMaterial,
+    capacity
+}) {
+    const { deciduous: deciduousVariants, coniferous: coniferousVariants, impostors } = templates;
+    const detailLevels = [tree => tree, tree => tree.lowDetail];
+    // Geometry ids are laid out level by level: trunks [level][species][variant], foliage [level][variant]
+    const trunks = createVariantBatch(
+        detailLevels.flatMap(level => [...deciduousVariants, ...coniferousVariants].map(variant => level(variant).trunkGeo)),
+        capacity * detailLevels.length,
+        trunkMaterial
+    );
+    const deciduousFoliage = createVariantBatch(
+        detailLevels.flatMap(level => deciduousVariants.map(variant => level(variant).foliageGeo)),
+        capacity * detailLevels.length,
+        deciduousFoliageMaterial
+    );
+    const coniferousFoliage = createVariantBatch(
+        detailLevels.flatMap(level => coniferousVariants.map(variant => level(variant).foliageGeo)),
+        capacity * detailLevels.length,
+        coniferousFoliageMaterial
+    );
+    const impostorCards = impostors
+        ? createVariantBatch([...impostors.cards.deciduous, ...impostors.cards.coniferous], capacity, impostors.material)
+        : null;
+    if (impostorCards) impostorCards.batch.customDepthMaterial = impostors.material.userData.impostorDepthMaterial;
+    const batches = [trunks.batch, deciduousFoliage.batch, coniferousFoliage.batch];
+    if (impostorCards) batches.push(impostorCards.batch);
+    batches.forEach(batch => scene.add(batch));
+    return {
+        templates,
+        variantCount: deciduousVariants.length,
+        trunks,
+        deciduousFoliage,
+        coniferousFoliage,
+        impostors: impostorCards,
+        batches
+    };
+}
+
+/**
+ * Creates and places all instanced trees in the scene using Poisson-disk placement.
+ * Variants are batched by material (one trunk batch, one foliage batch per species),
+ * so all forests together cost three draw calls however many variants they have, plus one
+ * for impostors. The batches come from a pool shared between forests (see createTreePool);
+ * without one, a private pool sized for this forest is added to the scene.
+ * With lodDistances, every tree gets an instance per detail level and updateTreeLod shows
+ * the one matching its distance from the camera.
+ * Trees are also bucketed into culling cells (utils/CellCulling.js); a culled cell hides all
+ * instances of its trees, so the batches skip them entirely.
+ * The returned forest is an empty Object3D added to the scene, carrying the cells and the
+ * trees' LOD state; it lists the trees' main stems in userData.treeTrunks as
+ * { base: THREE.Vector3, radius, height }, e.g. for collisions. Give its instances back to
+ * the pool with releaseInstancedTrees once it is removed.
+ * @param {THREE.Object3D} scene - The scene (or chunk group) to add the forest to.
+ * @param {object} prng - Seeded random number generator.
+ * @param {function} getTerrainHeight - Function to get terrain height at (x, z).
+ * @param {object} [pool] - Shared pool from createTreePool; a private one is created if omitted
+ * @param {THREE.Material} [trunkMaterial] - Materials of a private pool
+ * @param {THREE.Material} [deciduousFoliageMaterial]
+ * @param {THREE.Material} [coniferousFoliageMaterial]
+ * @param {number} TREE_COUNT - Trees wanted where the placement rules allow full density
  * @param {number} SPREAD
- * @param {number} MIN_DISTANCE_FROM_CENTER_TREES
+ * @param {number} MIN_DISTANCE_FROM_CENTER_TREES - Min XZ distance from the world origin (gateway)
+ * @param {number} [VARIANTS_PER_SPECIES=1] - Number of geometry variants generated per species when neither pool nor templates are given
+ * @param {number} [centerX=0] - World X of the center of the placement square
+ * @param {number} [centerZ=0] - World Z of the center of the placement square
+ * @param {number} [waterLevel=-Infinity] - Spots with terrain below this height are submerged and left empty
+ * @param {object} [placement] - Shared placement context (utils/Placement.js); a private one covering the placement square is used if omitted
+ * @param {object} [rules=DEFAULT_PLACEMENT_RULES] - Placement rules (utils/PlacementRules.js); rules.deciduous and rules.coniferous set the species densities
+ * @param {object} [templates] - Templates from createTreeTemplates for a private pool; private variants are grown from prng if omitted
+ * @param {Array<number>} [lodDistances] - [low-detail, impostor] switch distances; full detail everywhere if omitted
+ * @param {number} [cellSize=DEFAULT_CULLING_CELL_SIZE] - Edge length of the culling cells
+ * @returns {THREE.Object3D} The forest that was added
  */
 export function createInstancedTrees({
     scene,
     prng,
     getTerrainHeight,
+    pool,
     trunkMaterial,
     deciduousFoliageMaterial,
     coniferousFoliageMaterial,
     TREE_COUNT,
     SPREAD,
-    MIN_DISTANCE_FROM_CENTER_TREES
+    MIN_DISTANCE_FROM_CENTER_TREES,
+    VARIANTS_PER_SPECIES = 1,
+    centerX = 0,
+    centerZ = 0,
+    waterLevel = -Infinity,
+    placement = createPlacementContext({ centerX, centerZ, halfSize: SPREAD }),
+    rules = DEFAULT_PLACEMENT_RULES,
+    templates,
+    lodDistances,
+    cellSize = DEFAULT_CULLING_CELL_SIZE
 }) {
-    const deciduousTemplate = createDeciduousTreeGeometry(prng);
-    const coniferousTemplate = createConiferousTreeGeometry(prng);
+    const privateTemplates = pool || templates ? null : createTreeTemplates({ prng, variantsPerSpecies: VARIANTS_PER_SPECIES });
+    const treePool = pool || createTreePool({
+        scene,
+        templates: templates || privateTemplates,
+        trunkMaterial,
+        deciduousFoliageMaterial,
+        coniferousFoliageMaterial,
+        capacity: TREE_COUNT
+    });
+    const { variantCount, trunks, deciduousFoliage, coniferousFoliage } = treePool;
+    const { deciduous: deciduousVariants, coniferous: coniferousVariants } = treePool.templates;
+    const levelCount = lodDistances ? 2 : 1;
+    const impostorCards = lodDistances ? treePool.impostors : null;
     const deciduousCount = Math.floor(TREE_COUNT / 2);
     const coniferousCount = TREE_COUNT - deciduousCount;
-    const deciduousTrunkInstances = new THREE.InstancedMesh(deciduousTemplate.trunkGeo, trunkMaterial, deciduousCount);
-    const deciduousFoliageInstances = new THREE.InstancedMesh(deciduousTemplate.foliageGeo, deciduousFoliageMaterial, deciduousCount);
-    const coniferousTrunkInstances = new THREE.InstancedMesh(coniferousTemplate.trunkGeo, trunkMaterial, coniferousCount);
-    const coniferousFoliageInstances = new THREE.InstancedMesh(coniferousTemplate.foliageGeo, coniferousFoliageMaterial, coniferousCount);
-    deciduousTrunkInstances.castShadow = true;
-    deciduousFoliageInstances.castShadow = true;
-    coniferousTrunkInstances.castShadow = true;
-    coniferousFoliageInstances.castShadow = true;
+    const species = [
+        { count: deciduousCount, scale: [0.8, 1.2], offset: 0, foliage: deciduousFoliage, rule: rules.deciduous },
+        { count: coniferousCount, scale: [0.7, 1.1], offset: variantCount, foliage: coniferousFoliage, rule: rules.coniferous }
+    ];
+    const variants = [...deciduousVariants, ...coniferousVariants];
+    // Bounding sphere of each full-detail variant, indexed like the trunk geometries
+    const variantSpheres = variants.map(variant => {
+        variant.trunkGeo.computeBoundingSphere();
+        variant.foliageGeo.computeBoundingSphere();
+        return variant.trunkGeo.boundingSphere.clone().union(variant.foliageGeo.boundingSphere);
+    });
+    const trees = [];
     const dummy = new THREE.Object3D();
-    for (let i = 0; i < deciduousCount; i++) {
-        let x, z, dist;
-        do {
-            x = prng.randFloat(-SPREAD, SPREAD);
-            z = prng.randFloat(-SPREAD, SPREAD);
-            dist = Math.sqrt(x * x + z * z);
-        } while (dist < MIN_DISTANCE_FROM_CENTER_TREES);
-        const terrainY = getTerrainHeight(x, z);
-        const scaleVariation = prng.randFloat(0.8, 1.2);
-        dummy.position.set(x, terrainY, z);
-        dummy.rotation.y = prng.random() * Math.PI * 2;
-        dummy.scale.set(scaleVariation, scaleVariation, scaleVariation);
-        dummy.updateMatrix();
-        deciduousTrunkInstances.setMatrixAt(i, dummy.matrix);
-        deciduousFoliageInstances.setMatrixAt(i, dummy.matrix);
+    const accept = (x, z) => Math.sqrt(x * x + z * z) >= MIN_DISTANCE_FROM_CENTER_TREES && getTerrainHeight(x, z) >= waterLevel;
+    species.forEach(({ count, scale, offset, foliage, rule }) => {
+        const density = rule && createPlacementDensity({ rule, getTerrainHeight, placement });
+        const points = placement.scatter({ prng, category: 'tree', count, accept, density });
+        for (const { x, z } of points) {
+            const variant = prng.randInt(0, variantCount);
+            const scaleVariation = prng.randFloat(scale[0], scale[1]);
+            dummy.position.set(x, getTerrainHeight(x, z), z);
+            dummy.rotation.y = prng.random() * Math.PI * 2;
+            dummy.scale.set(scaleVariation, scaleVariation, scaleVariation);
+            dummy.updateMatrix();
+            // Indices into the pool's geometries: trunks [level][species][variant], foliage [level][variant]
+            const trunkIndices = [];
+            const foliageIndices = [];
+            for (let level = 0; level < levelCount; level++) {
+                trunkIndices.push(level * variantCount * 2 + offset + variant);
+                foliageIndices.push(level * variantCount + variant);
+            }
+            const fits = trunkIndices.every(index => hasFreeInstance(trunks, index))
+                && foliageIndices.every(index => hasFreeInstance(foliage, index))
+                && (!impostorCards || hasFreeInstance(impostorCards, offset + variant));
+            if (!fits) continue;
+            const levels = trunkIndices.map((trunkIndex, level) => {
+                const trunkId = allocateInstance(trunks, trunkIndex);
+                const foliageId = allocateInstance(foliage, foliageIndices[level]);
+                trunks.batch.setMatrixAt(trunkId, dummy.matrix);
+                foliage.batch.setMatrixAt(foliageId, dummy.matrix);
+                trunks.batch.setVisibleAt(trunkId, level === TREE_LOD_FULL);
+                foliage.batch.setVisibleAt(foliageId, level === TREE_LOD_FULL);
+                return { trunkId, trunkIndex, foliageId, foliageIndex: foliageIndices[level] };
+            });
+            let impostorId = -1;
+            if (impostorCards) {
+                impostorId = allocateInstance(impostorCards, offset + variant);
+                impostorCards.batch.setMatrixAt(impostorId, dummy.matrix);
+                impostorCards.batch.setVisibleAt(impostorId, false);
+            }
+            const sphere = variantSpheres[offset + variant].clone().applyMatrix4(dummy.matrix);
+            const { radius, height } = variants[offset + variant].trunk;
+            const trunk = { base: dummy.position.clone(), radius: radius * scaleVariation, height: height * scaleVariation };
+            trees.push({ x, z, sphere, trunk, foliage, levels, impostorIndex: offset + variant, impostorId, level: TREE_LOD_FULL, cell: null });
+        }
+    });
+    // The batches hold their own copy of the geometry
+    if (privateTemplates) disposeTreeTemplates(privateTemplates);
+    const forest = new THREE.Object3D();
+    const lod = { trees, lodDistances, trunks, impostors: impostorCards, focus: null };
+    forest.userData.treeLod = lod;
+    forest.userData.treeTrunks = trees.map(tree => tree.trunk);
+    attachCullingCells(forest, partitionIntoCells(trees, cellSize).map(indices => {
+        const cellTrees = indices.map(index => trees[index]);
+        const sphere = cellTrees[0].sphere.clone();
+        cellTrees.forEach(tree => sphere.union(tree.sphere));
+        const cell = createCullingCell({
+            sphere,
+            instanceCount: cellTrees.length,
+            setVisible: visible => cellTrees.forEach(tree => setTreeLevelVisible(lod, tree, tree.level, visible))
+        });
+        cellTrees.forEach(tree => { tree.cell = cell; });
+        return cell;
+    }));
+    scene.add(forest);
+    return forest;
+}
+
+/**
+ * Gives a forest's instances back to its pool, hiding them. Call once the forest is removed
+ * from the scene (e.g. when its terrain chunk unloads); the forest must not be used afterwards.
+ * @param {THREE.Object3D} forest - Forest from createInstancedTrees.
+ */
+export function releaseInstancedTrees(forest) {
+    const lod = forest.userData.treeLod;
+    for (const tree of lod.trees) {
+        tree.levels.forEach(({ trunkId, trunkIndex, foliageId, foliageIndex }) => {
+            releaseInstance(lod.trunks, trunkIndex, trunkId);
+            releaseInstance(tree.foliage, foliageIndex, foliageId);
+        });
+        if (lod.impostors) releaseInstance(lod.impostors, tree.impostorIndex, tree.impostorId);
     }
-    for (let i = 0; i < coniferousCount; i++) {
-        let x, z, dist;
-        do {
-            x = prng.randFloat(-SPREAD, SPREAD);
-            z = prng.randFloat(-SPREAD, SPREAD);
-            dist = Math.sqrt(x * x + z * z);
-        } while (dist < MIN_DISTANCE_FROM_CENTER_TREES);
-        const terrainY = getTerrainHeight(x, z);
-        const scaleVariation = prng.randFloat(0.7, 1.1);
-        dummy.position.set(x, terrainY, z);
-        dummy.rotation.y = prng.random() * Math.PI * 2;
-        dummy.scale.set(scaleVariation, scaleVariation, scaleVariation);
-        dummy.updateMatrix();
-        coniferousTrunkInstances.setMatrixAt(i, dummy.matrix);
-        coniferousFoliageInstances.setMatrixAt(i, dummy.matrix);
+    lod.trees = [];
+}
+
+/**
+ * Shows or hides one detail level of a tree.
+ * @param {object} lod - LOD state from createInstancedTrees.
+ * @param {object} tree - Tree entry of the LOD state.
+ * @param {number} level - TREE_LOD_FULL, TREE_LOD_LOW or TREE_LOD_IMPOSTOR.
+ * @param {boolean} visible
+ */
+function setTreeLevelVisible(lod, tree, level, visible) {
+    if (level === TREE_LOD_IMPOSTOR) {
+        lod.impostors.batch.setVisibleAt(tree.impostorId, visible);
+        return;
     }
-    deciduousTrunkInstances.instanceMatrix.needsUpdate = true;
-    deciduousFoliageInstances.instanceMatrix.needsUpdate = true;
-    coniferousTrunkInstances.instanceMatrix.needsUpdate = true;
-    coniferousFoliageInstances.instanceMatrix.needsUpdate = true;
-    scene.add(deciduousTrunkInstances);
-    scene.add(deciduousFoliageInstances);
-    scene.add(coniferousTrunkInstances);
-    scene.add(coniferousFoliageInstances);
-} 
\ No newline at end of file
+    lod.trunks.batch.setVisibleAt(tree.levels[level].trunkId, visible);
+    tree.foliage.batch.setVisibleAt(tree.levels[level].foliageId, visible);
+}
+
+/**
+ * Switches each tree to the detail level matching its horizontal distance from the focus:
+ * full mesh up close, low-poly mesh beyond lodDistances[0] and impostor beyond lodDistances[1].
+ * Does nothing for trees created without lodDistances, or until the focus has moved a little.
+ * @param {THREE.Object3D} forest - Forest from createInstancedTrees.
+ * @param {THREE.Vector3} focus - Usually the camera position.
+ */
+export function updateTreeLod(forest, focus) {
+    const lod = forest.userData.treeLod;
+    if (!lod || !lod.lodDistances) return;
+    if (lod.focus && lod.focus.distanceToSquared(focus) < TREE_LOD_UPDATE_DISTANCE * TREE_LOD_UPDATE_DISTANCE) return;
+    lod.focus = (lod.focus || new THREE.Vector3()).copy(focus);
+    const [lowDetailDistance, impostorDistance] = lod.lodDistances;
+    const farLevel = lod.impostors ? TREE_LOD_IMPOSTOR : TREE_LOD_LOW;
+    for (const tree of lod.trees) {
+        const distance = Math.hypot(tree.x - focus.x, tree.z - focus.z);
+        const level = distance < lowDetailDistance ? TREE_LOD_FULL : distance < impostorDistance ? TREE_LOD_LOW : farLevel;
+        if (level === tree.level) continue;
+        // Trees in culled cells stay hidden; their cell shows the new level when it comes back
+        if (tree.cell.visible) {
+            setTreeLevelVisible(lod, tree, tree.level, false);
+            setTreeLevelVisible(lod, tree, level, true);
+        }
+        tree.level = level;
+    }
+}
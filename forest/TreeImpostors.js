@@ -0,0 +1,98 @@
+// forest/TreeImpostors.js
+import * as THREE from 'three';
+import { createImpostorMaterial } from '../shaders/ImpostorShader.js';
+
+/**
+ * Bakes billboard impostors for tree templates.
+ * Every template is rendered with an orthographic camera from several angles around its
+ * vertical axis into one atlas: one row per template, one square tile per angle. Each template
+ * also gets a card geometry whose UVs cover the first tile of its row; the impostor shader
+ * (shaders/ImpostorShader.js) shifts them to the tile matching the viewing angle.
+ * Tiles are baked unlit (albedo only), the impostor material lights the cards in the scene.
+ */
+
+// Clear color of the atlas; a foliage tone keeps mipmapped silhouette edges from darkening
+const ATLAS_CLEAR_COLOR = 0x3B4A2A;
+
+/**
+ * Computes the framing of a template: the square card that holds the tree from any angle.
+ * @param {Array<THREE.BufferGeometry>} geometries - The template parts.
+ * @returns {{size: number, baseY: number}} Card edge length and the height of its bottom edge.
+ */
+function measureTemplate(geometries) {
+    let radius = 0;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const geometry of geometries) {
+        const position = geometry.attributes.position;
+        for (let i = 0; i < position.count; i++) {
+            radius = Math.max(radius, Math.hypot(position.getX(i), position.getZ(i)));
+            minY = Math.min(minY, position.getY(i));
+            maxY = Math.max(maxY, position.getY(i));
+        }
+    }
+    return { size: Math.max(radius * 2, maxY - minY), baseY: minY };
+}
+
+/**
+ * Bakes the impostor atlas, cards and material for a set of tree templates.
+ * @param {THREE.WebGLRenderer} renderer - Renderer used for baking; its state is restored afterwards.
+ * @param {Array<Array<{geometry: THREE.BufferGeometry, material: THREE.Material}>>} templates - Parts of each template, base at the origin.
+ * @param {number} [tileSize=128] - Edge length of one atlas tile in pixels.
+ * @param {number} [frames=8] - Viewing angles baked per template.
+ * @returns {{material: THREE.MeshStandardMaterial, cards: Array<THREE.BufferGeometry>, renderTarget: THREE.WebGLRenderTarget}}
+ */
+export function bakeTreeImpostors({ renderer, templates, tileSize = 128, frames = 8 }) {
+    const rows = templates.length;
+    const renderTarget = new THREE.WebGLRenderTarget(tileSize * frames, tileSize * rows, {
+        minFilter: THREE.LinearMipmapLinearFilter,
+        generateMipmaps: true
+    });
+    const scene = new THREE.Scene();
+    const camera = new THREE.OrthographicCamera();
+    const previousTarget = renderer.getRenderTarget();
+    const previousClearColor = renderer.getClearColor(new THREE.Color());
+    const previousClearAlpha = renderer.getClearAlpha();
+    renderer.setClearColor(ATLAS_CLEAR_COLOR, 0);
+    renderTarget.scissorTest = true;
+    const cards = templates.map((parts, row) => {
+        const meshes = parts.map(({ geometry, material }) => new THREE.Mesh(
+            geometry,
+            new THREE.MeshBasicMaterial({ map: material.map, color: material.color })
+        ));
+        meshes.forEach(mesh => scene.add(mesh));
+        const { size, baseY } = measureTemplate(parts.map(part => part.geometry));
+        camera.left = -size / 2;
+        camera.right = size / 2;
+        camera.top = size;
+        camera.bottom = 0;
+        camera.near = 0.01;
+        camera.far = size * 4;
+        camera.updateProjectionMatrix();
+        for (let frame = 0; frame < frames; frame++) {
+            const angle = (frame / frames) * Math.PI * 2;
+            camera.position.set(Math.sin(angle) * size * 2, baseY, Math.cos(angle) * size * 2);
+            camera.lookAt(0, baseY, 0);
+            renderTarget.viewport.set(frame * tileSize, row * tileSize, tileSize, tileSize);
+            renderTarget.scissor.copy(renderTarget.viewport);
+            renderer.setRenderTarget(renderTarget);
+            renderer.clear();
+            renderer.render(scene, camera);
+        }
+        meshes.forEach(mesh => {
+            scene.remove(mesh);
+            mesh.material.dispose();
+        });
+        const card = new THREE.PlaneGeometry(size, size);
+        card.translate(0, baseY + size / 2, 0);
+        const uv = card.attributes.uv;
+        for (let i = 0; i < uv.count; i++) {
+            uv.setXY(i, uv.getX(i) / frames, (row + uv.getY(i)) / rows);
+        }
+        return card;
+    });
+    renderer.setRenderTarget(previousTarget);
+    renderer.setClearColor(previousClearColor, previousClearAlpha);
+    const material = createImpostorMaterial({ map: renderTarget.texture, frames });
+    return { material, cards, renderTarget };
+}
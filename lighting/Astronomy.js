@@ -0,0 +1,241 @@
+// lighting/Astronomy.js
+import * as THREE from 'three';
+
+/**
+ * Sun and moon positions and the moon phase for a place on Earth and a moment in time.
+ * Uses the low-precision series from Jean Meeus' "Astronomical Algorithms" (as popularized by
+ * Astronomy Answers): good to a fraction of a degree for the sun and about a degree for the
+ * moon over the next centuries, which is plenty for lighting a scene. Everything is computed
+ * offline from the date; no data tables or services are involved.
+ * Angles are in radians. Azimuths are measured from north towards east. In the scene, north
+ * is +Z and east is -X (see getSkyDirection), so the default view of the gateway looks south.
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588; // Julian day of the Unix epoch (at noon)
+const J2000 = 2451545; // Julian day of the J2000.0 epoch
+const OBLIQUITY = 23.4397 * RAD; // Tilt of the Earth's axis
+const SUN_DISTANCE_KM = 149598000;
+// Altitude of the sun's center at sunrise and sunset: its radius plus the refraction at the horizon
+const SUNRISE_ALTITUDE = -0.833 * RAD;
+
+/**
+ * Converts a date to a Julian day.
+ * @param {Date|number} date - Date or Unix time in milliseconds.
+ * @returns {number}
+ */
+export function toJulianDay(date) {
+    return date.valueOf() / DAY_MS - 0.5 + J1970;
+}
+
+/**
+ * Days since the J2000.0 epoch.
+ */
+function toDays(date) {
+    return toJulianDay(date) - J2000;
+}
+
+function getRightAscension(longitude, latitude) {
+    return Math.atan2(Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY), Math.cos(longitude));
+}
+
+function getDeclination(longitude, latitude) {
+    return Math.asin(Math.sin(latitude) * Math.cos(OBLIQUITY) + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude));
+}
+
+function getSiderealTime(days, westLongitude) {
+    return RAD * (280.16 + 360.9856235 * days) - westLongitude;
+}
+
+/**
+ * Horizontal coordinates of an object from its hour angle, the observer's latitude and its declination.
+ */
+function toHorizontal(hourAngle, latitude, declination) {
+    return {
+        altitude: Math.asin(Math.sin(latitude) * Math.sin(declination) + Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle)),
+        // atan2 measures from south towards west; turned half a circle to measure from north towards east
+        azimuth: Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(latitude) - Math.tan(declination) * Math.cos(latitude)) + Math.PI
+    };
+}
+
+/**
+ * Equatorial coordinates of the sun.
+ */
+function getSunCoordinates(days) {
+    const meanAnomaly = RAD * (357.5291 + 0.98560028 * days);
+    const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+    const perihelion = RAD * 102.9372;
+    const eclipticLongitude = meanAnomaly + center + perihelion + Math.PI;
+    return {
+        declination: getDeclination(eclipticLongitude, 0),
+        rightAscension: getRightAscension(eclipticLongitude, 0)
+    };
+}
+
+/**
+ * Equatorial coordinates and distance of the moon.
+ */
+function getMoonCoordinates(days) {
+    const meanLongitude = RAD * (218.316 + 13.176396 * days);
+    const meanAnomaly = RAD * (134.963 + 13.064993 * days);
+    const meanDistance = RAD * (93.272 + 13.229350 * days);
+    const longitude = meanLongitude + RAD * 6.289 * Math.sin(meanAnomaly);
+    const latitude = RAD * 5.128 * Math.sin(meanDistance);
+    return {
+        rightAscension: getRightAscension(longitude, latitude),
+        declination: getDeclination(longitude, latitude),
+        distance: 385001 - 20905 * Math.cos(meanAnomaly)
+    };
+}
+
+/**
+ * Position of the sun in the sky.
+ * @param {Date|number} date
+ * @param {number} latitude - Degrees north.
+ * @param {number} longitude - Degrees east.
+ * @returns {{altitude: number, azimuth: number}}
+ */
+export function getSunPosition({ date, latitude, longitude }) {
+    const days = toDays(date);
+    const { rightAscension, declination } = getSunCoordinates(days);
+    const hourAngle = getSiderealTime(days, -longitude * RAD) - rightAscension;
+    return toHorizontal(hourAngle, latitude * RAD, declination);
+}
+
+/**
+ * Position of the moon in the sky, with the refraction near the horizon.
+ * @param {Date|number} date
+ * @param {number} latitude - Degrees north.
+ * @param {number} longitude - Degrees east.
+ * @returns {{altitude: number, azimuth: number, distance: number}} Distance in kilometers.
+ */
+export function getMoonPosition({ date, latitude, longitude }) {
+    const days = toDays(date);
+    const { rightAscension, declination, distance } = getMoonCoordinates(days);
+    const hourAngle = getSiderealTime(days, -longitude * RAD) - rightAscension;
+    const position = toHorizontal(hourAngle, latitude * RAD, declination);
+    const altitude = Math.max(position.altitude, 0);
+    position.altitude += 0.0002967 / Math.tan(altitude + 0.00312536 / (altitude + 0.08901179));
+    return { ...position, distance };
+}
+
+/**
+ * Illuminated share and phase of the moon.
+ * @param {Date|number} date
+ * @returns {{fraction: number, phase: number}} fraction: lit share of the disc in [0, 1];
+ *   phase: 0 new moon, 0.25 first quarter, 0.5 full moon, 0.75 last quarter.
+ */
+export function getMoonIllumination({ date }) {
+    const days = toDays(date);
+    const sun = getSunCoordinates(days);
+    const moon = getMoonCoordinates(days);
+    const elongation = Math.acos(Math.sin(sun.declination) * Math.sin(moon.declination) +
+        Math.cos(sun.declination) * Math.cos(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension));
+    const phaseAngle = Math.atan2(SUN_DISTANCE_KM * Math.sin(elongation), moon.distance - SUN_DISTANCE_KM * Math.cos(elongation));
+    // Waxing while the moon's bright limb points west of north, i.e. the sun is to its west
+    const limbAngle = Math.atan2(Math.cos(sun.declination) * Math.sin(sun.rightAscension - moon.rightAscension),
+        Math.sin(sun.declination) * Math.cos(moon.declination) - Math.cos(sun.declination) * Math.sin(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension));
+    return {
+        fraction: (1 + Math.cos(phaseAngle)) / 2,
+        phase: 0.5 + 0.5 * phaseAngle * (limbAngle < 0 ? -1 : 1) / Math.PI
+    };
+}
+
+/**
+ * Local mean solar time at a longitude, the time a 24-hour scene clock reads there.
+ * @param {Date|number} date
+ * @param {number} longitude - Degrees east.
+ * @returns {number} Hours in [0, 24).
+ */
+export function getLocalSolarHours(date, longitude) {
+    return THREE.MathUtils.euclideanModulo(date.valueOf() / 3600000 + longitude / 15, 24);
+}
+
+/**
+ * The moment a local mean solar time is reached on a given day.
+ * @param {Date|number} day - Any moment of the (UTC) calendar day.
+ * @param {number} hours - Local mean solar time.
+ * @param {number} longitude - Degrees east.
+ * @returns {Date}
+ */
+export function getDateAtLocalSolarHours(day, hours, longitude) {
+    const midnight = Math.floor(day.valueOf() / DAY_MS) * DAY_MS;
+    return new Date(midnight + (hours - longitude / 15) * 3600000);
+}
+
+/**
+ * Sunrise and sunset on a day, in local mean solar time, found by scanning the sun's altitude
+ * over the day and refining the crossings of the horizon.
+ * @param {Date|number} day - Any moment of the (UTC) calendar day.
+ * @param {number} latitude - Degrees north.
+ * @param {number} longitude - Degrees east.
+ * @returns {{sunrise: number|null, sunset: number|null, polar: string|null}} Hours, or null with
+ *   polar set to 'day' (the sun never sets) or 'night' (it never rises).
+ */
+export function getSunTimes({ day, latitude, longitude }) {
+    const altitudeAt = hours => getSunPosition({ date: getDateAtLocalSolarHours(day, hours, longitude), latitude, longitude }).altitude - SUNRISE_ALTITUDE;
+    const refine = (low, high) => {
+        const rising = altitudeAt(low) < 0;
+        for (let i = 0; i < 24; i++) {
+            const middle = (low + high) / 2;
+            if ((altitudeAt(middle) < 0) === rising) low = middle;
+            else high = middle;
+        }
+        return (low + high) / 2;
+    };
+    const step = 0.25;
+    let sunrise = null;
+    let sunset = null;
+    let previous = altitudeAt(0);
+    for (let hours = step; hours <= 24 + 1e-9; hours += step) {
+        const current = altitudeAt(hours);
+        if (previous < 0 && current >= 0 && sunrise === null) sunrise = refine(hours - step, hours);
+        if (previous >= 0 && current < 0 && sunset === null) sunset = refine(hours - step, hours);
+        previous = current;
+    }
+    if (sunrise === null || sunset === null) {
+        return { sunrise: null, sunset: null, polar: altitudeAt(12) >= 0 ? 'day' : 'night' };
+    }
+    return { sunrise, sunset, polar: null };
+}
+
+/**
+ * Converts horizontal coordinates to a unit direction in the scene.
+ * @param {number} altitude
+ * @param {number} azimuth - From north towards east.
+ * @param {THREE.Vector3} [target]
+ * @returns {THREE.Vector3}
+ */
+export function getSkyDirection(altitude, azimuth, target = new THREE.Vector3()) {
+    const horizontal = Math.cos(altitude);
+    return target.set(-horizontal * Math.sin(azimuth), Math.sin(altitude), horizontal * Math.cos(azimuth));
+}
+
+/**
+ * Sun and moon directions and the moon's illumination for the scene, plus what turns the stars:
+ * the sky turns about the celestial pole by the local sidereal time.
+ * @param {Date|number} date
+ * @param {number} latitude - Degrees north.
+ * @param {number} longitude - Degrees east.
+ * @param {object} [target] - Sky state to write into.
+ * @returns {{sunDirection: THREE.Vector3, moonDirection: THREE.Vector3, moonFraction: number, moonPhase: number,
+ *   celestialPole: THREE.Vector3, siderealTime: number}} siderealTime in radians.
+ */
+export function getSkyState({
+    date,
+    latitude,
+    longitude,
+    target = { sunDirection: new THREE.Vector3(), moonDirection: new THREE.Vector3(), celestialPole: new THREE.Vector3() }
+}) {
+    const sun = getSunPosition({ date, latitude, longitude });
+    const moon = getMoonPosition({ date, latitude, longitude });
+    const { fraction, phase } = getMoonIllumination({ date });
+    getSkyDirection(sun.altitude, sun.azimuth, target.sunDirection);
+    getSkyDirection(moon.altitude, moon.azimuth, target.moonDirection);
+    getSkyDirection(latitude * RAD, 0, target.celestialPole);
+    target.moonFraction = fraction;
+    target.moonPhase = phase;
+    target.siderealTime = THREE.MathUtils.euclideanModulo(getSiderealTime(toDays(date), -longitude * RAD), 2 * Math.PI);
+    return target;
+}
@@ -0,0 +1,59 @@
+// lighting/Astronomy.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSunPosition, getMoonIllumination, getSunTimes } from './Astronomy.js';
+
+/**
+ * Checks the astronomy against published ephemeris values (HM Nautical Almanac Office,
+ * timeanddate.com). Run with `node --test lighting/`.
+ */
+
+const DEG = 180 / Math.PI;
+const LONDON = { latitude: 51.5074, longitude: -0.1278 };
+const TROMSO = { latitude: 69.6496, longitude: 18.956 };
+
+/**
+ * Asserts that a value lies within a tolerance of the expected one.
+ */
+function assertNear(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('sun stands about 62° high, due south, over London at noon of the June solstice', () => {
+    const { altitude, azimuth } = getSunPosition({ date: Date.UTC(2024, 5, 21, 12, 0), ...LONDON });
+    assertNear(altitude * DEG, 61.97, 0.3, 'altitude');
+    assertNear(azimuth * DEG, 179.3, 1, 'azimuth');
+});
+
+test('sun is below the horizon over London at midnight', () => {
+    const { altitude } = getSunPosition({ date: Date.UTC(2024, 5, 21, 0, 0), ...LONDON });
+    assert.ok(altitude < 0);
+});
+
+test('moon is full on 2024-06-22 at 01:08 UTC', () => {
+    const { fraction, phase } = getMoonIllumination({ date: Date.UTC(2024, 5, 22, 1, 8) });
+    assert.ok(fraction > 0.995, `fraction ${fraction}`);
+    // The phase follows the phase angle, which at full moon only drops to the moon's distance
+    // from the ecliptic (up to 5°, a phase of 0.014)
+    assertNear(phase, 0.5, 0.015, 'phase');
+});
+
+test('moon is new on 2024-07-05 at 22:57 UTC, and waxing after it', () => {
+    const { fraction } = getMoonIllumination({ date: Date.UTC(2024, 6, 5, 22, 57) });
+    assert.ok(fraction < 0.005, `fraction ${fraction}`);
+    const { phase } = getMoonIllumination({ date: Date.UTC(2024, 6, 9, 0, 0) });
+    assert.ok(phase > 0 && phase < 0.25, `phase ${phase}`);
+});
+
+test('London sunrise and sunset on the June solstice', () => {
+    // 04:43 and 21:21 BST, i.e. 03:43 and 20:21 UTC; local mean solar time is 31 s behind UTC
+    const { sunrise, sunset, polar } = getSunTimes({ day: Date.UTC(2024, 5, 21), ...LONDON });
+    assert.equal(polar, null);
+    assertNear(sunrise, 3 + 43 / 60, 0.05, 'sunrise');
+    assertNear(sunset, 20 + 21 / 60, 0.05, 'sunset');
+});
+
+test('midnight sun and polar night at Tromsø', () => {
+    assert.deepEqual(getSunTimes({ day: Date.UTC(2024, 5, 21), ...TROMSO }), { sunrise: null, sunset: null, polar: 'day' });
+    assert.deepEqual(getSunTimes({ day: Date.UTC(2024, 11, 21), ...TROMSO }), { sunrise: null, sunset: null, polar: 'night' });
+});
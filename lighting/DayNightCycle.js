@@ -1,11 +1,27 @@
 import * as THREE from 'three';
+import { isTerrainSplatMaterial, setTerrainSplatColors } from '../shaders/TerrainSplatShader.js';
+import { setWind } from '../shaders/WindShader.js';
+import { setGlow } from '../shaders/GlowShader.js';
+import { setMoonSunDirection } from '../shaders/MoonShader.js';
+import { setSkyDomeState } from './SkyDome.js';
 
 /**
- * Provides lighting setup, day/night transitions, and celestial body logic for the scene.
+ * Provides lighting setup, the time-of-day model, and celestial body logic for the scene.
+ * Time is a 24-hour clock. Scene settings (sky, fog, lights, material tints, wind, mushroom
+ * glow) are keyframed over the day (TIME_OF_DAY_KEYFRAMES) and interpolated for any hour by
+ * getTimeOfDaySettings; the sun and moon follow the same clock, or, given a sky state from
+ * lighting/Astronomy.js, sit where they are in the real sky with the moon in its real phase.
+ * The sky dome (lighting/SkyDome.js), if any, is drawn from the same settings and positions.
  */
 
+// The sun is above the horizon between these hours; the moon between them the other way round
+export const SUNRISE_HOUR = 6;
+export const SUNSET_HOUR = 18;
+// Share of the full moon's light that is left at new moon
+const NEW_MOON_LIGHT = 0.1;
+
 /**
- * Day and night settings for lighting, fog, and colors.
+ * Day and night settings for lighting, fog, and colors: the noon and midnight keyframes.
  */
 export const daySettings = {
     background: new THREE.Color(0x87CEEB),
@@ -14,6 +30,10 @@ export const daySettings = {
     directionalLightIntensity: 0.8,
     directionalLightColor: 0xffffff,
     groundColor: 0x8FBC8F,
+    terrainSplatColors: { grass: 0x8FBC8F, dirt: 0x9A7B55, moss: 0x6B8E4E, rock: 0x9A968C },
+    waterColor: 0x2E6F8E,
+    windStrength: 0.2,
+    mushroomGlow: 0,
     trunkColor: 0xA0522D,
     deciduousFoliageColor: 0x556B2F,
     coniferousFoliageColor: 0x228B22
@@ -26,65 +46,319 @@ export const nightSettings = {
     directionalLightIntensity: 0.8,
     directionalLightColor: 0xc0c0ff,
     groundColor: 0x6A7F6A,
+    terrainSplatColors: { grass: 0x6A7F6A, dirt: 0x6E6052, moss: 0x55735A, rock: 0x767A86 },
+    waterColor: 0x0E1F3A,
+    windStrength: 0.35,
+    mushroomGlow: 1,
     trunkColor: 0xA06A35,
     deciduousFoliageColor: 0x4E8B57,
     coniferousFoliageColor: 0x208420
 };
 
 /**
- * Updates the position and visibility of the sun or moon mesh and the directional light
- * based on the current progress through the day or night cycle.
- * @param {object} params - { progress, isDay, directionalLight, sunMesh, moonMesh, LIGHT_ORBIT_RADIUS, isDaytime }
+ * Settings keyframed over the day, by hour in ascending order; the clock wraps from the last
+ * keyframe around to the first. Keyframes use the format of daySettings.
+ */
+export const TIME_OF_DAY_KEYFRAMES = [
+    { hour: 0, name: 'midnight', settings: nightSettings },
+    {
+        hour: 5,
+        name: 'dawn',
+        settings: {
+            background: new THREE.Color(0x2B3A67),
+            fog: new THREE.Fog(0x3A4670, 20, 60),
+            ambientLightIntensity: 0.45,
+            directionalLightIntensity: 0.6,
+            directionalLightColor: 0x9AA8E0,
+            groundColor: 0x6A7A70,
+            terrainSplatColors: { grass: 0x6C806E, dirt: 0x6C6256, moss: 0x58735C, rock: 0x787C88 },
+            waterColor: 0x1A2E4E,
+            windStrength: 0.3,
+            mushroomGlow: 0.9,
+            trunkColor: 0xA0643A,
+            deciduousFoliageColor: 0x4F8053,
+            coniferousFoliageColor: 0x228030
+        }
+    },
+    {
+        hour: 6.5,
+        name: 'sunrise',
+        settings: {
+            background: new THREE.Color(0xF4A582),
+            fog: new THREE.Fog(0xF2C6A0, 10, 45),
+            ambientLightIntensity: 0.4,
+            directionalLightIntensity: 0.6,
+            directionalLightColor: 0xFFB070,
+            groundColor: 0x8A9E78,
+            terrainSplatColors: { grass: 0x86A17A, dirt: 0x9A7558, moss: 0x667F50, rock: 0x9A8E88 },
+            waterColor: 0x3E5F7A,
+            windStrength: 0.25,
+            mushroomGlow: 0.3,
+            trunkColor: 0xA05A38,
+            deciduousFoliageColor: 0x5A6B38,
+            coniferousFoliageColor: 0x2A7A35
+        }
+    },
+    { hour: 12, name: 'noon', settings: daySettings },
+    {
+        hour: 17,
+        name: 'golden hour',
+        settings: {
+            background: new THREE.Color(0xF6C27A),
+            fog: new THREE.Fog(0xF3D3A0, 10, 48),
+            ambientLightIntensity: 0.45,
+            directionalLightIntensity: 0.75,
+            directionalLightColor: 0xFFC880,
+            groundColor: 0x97B37F,
+            terrainSplatColors: { grass: 0x97B57C, dirt: 0xA77F55, moss: 0x72904C, rock: 0xA69A86 },
+            waterColor: 0x3A6F80,
+            windStrength: 0.25,
+            mushroomGlow: 0,
+            trunkColor: 0xB0592D,
+            deciduousFoliageColor: 0x627333,
+            coniferousFoliageColor: 0x2E8A2A
+        }
+    },
+    {
+        hour: 19,
+        name: 'dusk',
+        settings: {
+            background: new THREE.Color(0x4B3B6E),
+            fog: new THREE.Fog(0x5A4A78, 18, 60),
+            ambientLightIntensity: 0.45,
+            directionalLightIntensity: 0.6,
+            directionalLightColor: 0xB08CD0,
+            groundColor: 0x7A7F78,
+            terrainSplatColors: { grass: 0x738270, dirt: 0x76655A, moss: 0x5E7460, rock: 0x80808C },
+            waterColor: 0x1C2A4A,
+            windStrength: 0.3,
+            mushroomGlow: 0.8,
+            trunkColor: 0xA0603A,
+            deciduousFoliageColor: 0x50805A,
+            coniferousFoliageColor: 0x208626
+        }
+    },
+    { hour: 21, name: 'night', settings: nightSettings }
+];
+
+// Settings interpolated as colors and as plain numbers
+const COLOR_KEYS = ['background', 'directionalLightColor', 'groundColor', 'waterColor', 'trunkColor', 'deciduousFoliageColor', 'coniferousFoliageColor'];
+const NUMBER_KEYS = ['ambientLightIntensity', 'directionalLightIntensity', 'windStrength', 'mushroomGlow'];
+const SPLAT_LAYERS = ['grass', 'dirt', 'moss', 'rock'];
+
+// Scratch colors for the interpolation and scratch vectors for the orbits
+const fromColor = new THREE.Color();
+const toColor = new THREE.Color();
+const orbitPosition = new THREE.Vector3();
+const sunPosition = new THREE.Vector3();
+const starAxis = new THREE.Vector3();
+// Scratch basis of the light's view and scratch vector for placing the light
+const lightBasis = new THREE.Matrix4();
+const lightFocus = new THREE.Vector3();
+// Axis the sun, moon and stars turn about on the orbit (see getOrbitPosition)
+const ORBIT_AXIS = new THREE.Vector3(1, -1, 0).normalize();
+
+/**
+ * Whether the sun is up at the given hour.
+ * @param {number} hours - Time of day in hours; wraps around every 24.
+ * @returns {boolean}
+ */
+export function isDaytimeAt(hours) {
+    const time = THREE.MathUtils.euclideanModulo(hours, 24);
+    return time >= SUNRISE_HOUR && time < SUNSET_HOUR;
+}
+
+/**
+ * Maps a local solar time onto the keyframe clock, so that the keyframes follow the real
+ * sunrise and sunset of a day (see getSunTimes in lighting/Astronomy.js) rather than
+ * SUNRISE_HOUR and SUNSET_HOUR. Day and night are each stretched or squeezed evenly.
+ * @param {number} hours - Local solar time in hours.
+ * @param {object} sunTimes - { sunrise, sunset, polar } from getSunTimes.
+ * @returns {number} Hour to look the keyframes up at: noon all day long in polar day, midnight
+ *   all day long in polar night.
+ */
+export function getKeyframeHour(hours, { sunrise, sunset, polar }) {
+    if (polar) return polar === 'day' ? 12 : 0;
+    const time = THREE.MathUtils.euclideanModulo(hours, 24);
+    const dayLength = THREE.MathUtils.euclideanModulo(sunset - sunrise, 24);
+    const sinceSunrise = THREE.MathUtils.euclideanModulo(time - sunrise, 24);
+    const keyframeDayLength = SUNSET_HOUR - SUNRISE_HOUR;
+    const keyframeHour = sinceSunrise < dayLength
+        ? SUNRISE_HOUR + sinceSunrise / dayLength * keyframeDayLength
+        : SUNSET_HOUR + (sinceSunrise - dayLength) / (24 - dayLength) * (24 - keyframeDayLength);
+    return THREE.MathUtils.euclideanModulo(keyframeHour, 24);
+}
+
+/**
+ * Creates a settings object to interpolate into with getTimeOfDaySettings.
+ * @returns {object} Settings in the format of daySettings, with THREE.Color values.
+ */
+export function createTimeOfDaySettings() {
+    const settings = { fog: new THREE.Fog(0xffffff), terrainSplatColors: {} };
+    COLOR_KEYS.forEach(key => { settings[key] = new THREE.Color(); });
+    NUMBER_KEYS.forEach(key => { settings[key] = 0; });
+    SPLAT_LAYERS.forEach(layer => { settings.terrainSplatColors[layer] = new THREE.Color(); });
+    return settings;
+}
+
+/**
+ * Blends two colors given as THREE.Color or hex into target.
+ */
+function lerpColor(target, from, to, t) {
+    return target.lerpColors(fromColor.set(from), toColor.set(to), t);
+}
+
+/**
+ * Interpolates the scene settings for a time of day between the surrounding keyframes.
+ * @param {number} hours - Time of day in hours; wraps around every 24.
+ * @param {object} [target] - Settings from createTimeOfDaySettings to write into.
+ * @param {Array<object>} [keyframes=TIME_OF_DAY_KEYFRAMES]
+ * @returns {object} The interpolated settings.
+ */
+export function getTimeOfDaySettings(hours, target = createTimeOfDaySettings(), keyframes = TIME_OF_DAY_KEYFRAMES) {
+    const time = THREE.MathUtils.euclideanModulo(hours, 24);
+    let index = keyframes.length - 1;
+    while (index > 0 && keyframes[index].hour > time) index--;
+    const from = keyframes[index];
+    const to = keyframes[(index + 1) % keyframes.length];
+    // Past the last keyframe (or before the first) the gradient wraps around midnight
+    const start = from.hour > time ? from.hour - 24 : from.hour;
+    const end = to.hour <= start ? to.hour + 24 : to.hour;
+    const t = end > start ? (time - start) / (end - start) : 0;
+    const a = from.settings;
+    const b = to.settings;
+    COLOR_KEYS.forEach(key => lerpColor(target[key], a[key], b[key], t));
+    NUMBER_KEYS.forEach(key => { target[key] = THREE.MathUtils.lerp(a[key], b[key], t); });
+    SPLAT_LAYERS.forEach(layer => lerpColor(target.terrainSplatColors[layer], a.terrainSplatColors[layer], b.terrainSplatColors[layer], t));
+    lerpColor(target.fog.color, a.fog.color, b.fog.color, t);
+    target.fog.near = THREE.MathUtils.lerp(a.fog.near, b.fog.near, t);
+    target.fog.far = THREE.MathUtils.lerp(a.fog.far, b.fog.far, t);
+    return target;
+}
+
+/**
+ * Position on the shared sun/moon orbit. Progress runs from rising (0) over the zenith (0.5)
+ * to setting (1) and on below the horizon back to rising (2).
+ * @param {number} progress
+ * @param {number} radius - Orbit radius.
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3}
+ */
+function getOrbitPosition(progress, radius, target) {
+    const alpha = (1.0 - progress) * Math.PI;
+    return target.set(radius * Math.sin(alpha), radius * Math.sin(alpha), radius * Math.cos(alpha));
+}
+
+/**
+ * Places the sun or moon mesh on its orbit, fading it in as it clears the horizon.
+ * @returns {number} The body's height above the horizon as a share of the orbit radius.
+ */
+function updateCelestialMesh(mesh, position, radius, sizeFactor) {
+    const heightFactor = Math.max(0, position.y / radius);
+    if (mesh) {
+        mesh.position.copy(position);
+        mesh.material.opacity = THREE.MathUtils.smoothstep(heightFactor, 0.05, 0.15);
+        mesh.material.transparent = true;
+        mesh.scale.setScalar(Math.max(0.5, heightFactor * sizeFactor + 0.1));
+        mesh.visible = position.y > -0.1;
+    }
+    return heightFactor;
+}
+
+/**
+ * Puts the directional light at an offset from a focus point and aims it there, so its shadow
+ * camera covers the area around the focus wherever that goes. The focus is snapped to the shadow
+ * map's texels across the light's view, so the shadows do not swim as the focus moves.
+ * @param {THREE.DirectionalLight} directionalLight - Light with its target added to the scene.
+ * @param {THREE.Vector3} offset - Position of the light relative to the focus, e.g. the sun's on the orbit.
+ * @param {THREE.Vector3} [focus] - World position to center the shadows on; the origin when omitted.
+ */
+export function placeDirectionalLight(directionalLight, offset, focus) {
+    lightFocus.set(0, 0, 0);
+    if (focus) {
+        const shadowCamera = directionalLight.shadow.camera;
+        const texelSize = (shadowCamera.right - shadowCamera.left) / shadowCamera.zoom / directionalLight.shadow.mapSize.width;
+        // The shadow camera looks from the offset towards the focus with the default up, as here
+        lightBasis.lookAt(offset, lightFocus, shadowCamera.up);
+        lightFocus.copy(focus).applyMatrix4(lightBasis.transpose());
+        lightFocus.x = Math.round(lightFocus.x / texelSize) * texelSize;
+        lightFocus.y = Math.round(lightFocus.y / texelSize) * texelSize;
+        lightFocus.applyMatrix4(lightBasis.transpose());
+    }
+    directionalLight.target.position.copy(lightFocus);
+    directionalLight.target.updateMatrixWorld();
+    directionalLight.position.copy(lightFocus).add(offset);
+}
+
+/**
+ * Moves the sun and moon along their orbit for the time of day and puts the directional light
+ * on whichever of them is up. The sun crosses the sky between SUNRISE_HOUR and SUNSET_HOUR,
+ * the moon during the rest of the day. With a sky state the clock is ignored and both sit in
+ * the directions it gives instead; the moonlight then dims towards new moon.
+ * Also turns the lit side of the moon towards the sun.
+ * @param {object} params - { hours, sky, directionalLight, focus, sunMesh, moonMesh, LIGHT_ORBIT_RADIUS }
+ *   sky: optional { sunDirection, moonDirection, moonFraction } from getSkyState (lighting/Astronomy.js).
+ *   focus: optional world position the light and its shadows follow (see placeDirectionalLight).
+ * @returns {number} Strength of the directional light in [0, 1]: it fades out as the body lighting
+ *   the scene nears the horizon, so the hand-over between sun and moon does not flip the shadows.
  */
 export function updateCelestialBodyPosition({
-    progress,
-    isDay,
+    hours,
+    sky,
     directionalLight,
+    focus,
     sunMesh,
     moonMesh,
-    LIGHT_ORBIT_RADIUS,
-    isDaytime
+    LIGHT_ORBIT_RADIUS
 }) {
-    const alpha = (1.0 - progress) * Math.PI;
-    const x = LIGHT_ORBIT_RADIUS * Math.cos(alpha);
-    const y = LIGHT_ORBIT_RADIUS * Math.sin(alpha);
-    const z = LIGHT_ORBIT_RADIUS * Math.cos(alpha - Math.PI / 2);
-    if (directionalLight) {
-        directionalLight.position.set(z, y, x);
-        directionalLight.target.position.set(0, 0, 0);
-        directionalLight.target.updateMatrixWorld();
-    }
-    const meshToUpdate = isDay ? sunMesh : moonMesh;
-    if (meshToUpdate) {
-        meshToUpdate.position.set(z, y, x);
-        const heightFactor = Math.max(0, y / LIGHT_ORBIT_RADIUS);
-        meshToUpdate.material.opacity = THREE.MathUtils.smoothstep(heightFactor, 0.05, 0.15);
-        meshToUpdate.material.transparent = true;
-        meshToUpdate.scale.setScalar(Math.max(0.5, heightFactor * (isDay ? 1.2 : 1.0) + 0.1));
-        meshToUpdate.visible = (isDay === isDaytime) && y > -0.1;
-    }
-    const meshToHide = isDay ? moonMesh : sunMesh;
-    if (meshToHide) {
-        meshToHide.visible = false;
+    let moonFraction = 1;
+    if (sky) {
+        sunPosition.copy(sky.sunDirection).multiplyScalar(LIGHT_ORBIT_RADIUS);
+        orbitPosition.copy(sky.moonDirection).multiplyScalar(LIGHT_ORBIT_RADIUS);
+        moonFraction = sky.moonFraction;
+    } else {
+        const time = THREE.MathUtils.euclideanModulo(hours, 24);
+        const dayLength = SUNSET_HOUR - SUNRISE_HOUR;
+        const sinceSunrise = THREE.MathUtils.euclideanModulo(time - SUNRISE_HOUR, 24);
+        const sinceSunset = THREE.MathUtils.euclideanModulo(time - SUNSET_HOUR, 24);
+        // Each body spends its own half of the day above the horizon and the other half below it
+        const sunProgress = sinceSunrise < dayLength ? sinceSunrise / dayLength : 1 + (sinceSunrise - dayLength) / (24 - dayLength);
+        const moonProgress = sinceSunset < 24 - dayLength ? sinceSunset / (24 - dayLength) : 1 + (sinceSunset - 24 + dayLength) / dayLength;
+        getOrbitPosition(sunProgress, LIGHT_ORBIT_RADIUS, sunPosition);
+        getOrbitPosition(moonProgress, LIGHT_ORBIT_RADIUS, orbitPosition);
     }
+    const sunHeight = updateCelestialMesh(sunMesh, sunPosition, LIGHT_ORBIT_RADIUS, 1.2);
+    const moonHeight = updateCelestialMesh(moonMesh, orbitPosition, LIGHT_ORBIT_RADIUS, 1.0);
+    // The sun is far enough away for its direction to be the same from the moon as from here
+    setMoonSunDirection(sunPosition);
+    const sunUp = sunPosition.y >= 0;
+    if (directionalLight) placeDirectionalLight(directionalLight, sunUp ? sunPosition : orbitPosition, focus);
+    const strength = THREE.MathUtils.smoothstep(sunUp ? sunHeight : moonHeight, 0, 0.1);
+    return sunUp ? strength : strength * THREE.MathUtils.lerp(NEW_MOON_LIGHT, 1, moonFraction);
 }
 
 /**
- * Applies the current scene state (lighting, fog, colors) for day or night.
- * Also updates celestial body positions.
- * @param {object} params - { scene, ambientLight, directionalLight, groundMaterial, trunkMaterial, deciduousFoliageMaterial, coniferousFoliageMaterial, settings, progress, isDaytime, sunMesh, moonMesh, LIGHT_ORBIT_RADIUS }
+ * Applies the scene state (lighting, fog, colors, wind, mushroom glow) for the time of day,
+ * usually settings from getTimeOfDaySettings for the same hour.
+ * The mushroom glow fades towards its new strength (see updateGlow in shaders/GlowShader.js).
+ * Also updates celestial body positions, from the sky state when one is given, and the sky dome.
+ * The stars turn with the clock, or with the real sky by the sidereal time.
+ * @param {object} params - { scene, ambientLight, directionalLight, focus, groundMaterial, trunkMaterial, deciduousFoliageMaterial, coniferousFoliageMaterial, waterMaterial, settings, hours, sky, skyDome, sunMesh, moonMesh, LIGHT_ORBIT_RADIUS }
  */
 export function applySceneState({
     scene,
     ambientLight,
     directionalLight,
+    focus,
     groundMaterial,
     trunkMaterial,
     deciduousFoliageMaterial,
     coniferousFoliageMaterial,
+    waterMaterial,
     settings,
-    progress,
-    isDaytime,
+    hours,
+    sky,
+    skyDome,
     sunMesh,
     moonMesh,
     LIGHT_ORBIT_RADIUS
@@ -92,21 +366,41 @@ export function applySceneState({
     scene.background = settings.background;
     scene.fog = settings.fog;
     if (ambientLight) ambientLight.intensity = settings.ambientLightIntensity;
-    if (directionalLight) {
-        directionalLight.intensity = settings.directionalLightIntensity;
-        directionalLight.color.set(settings.directionalLightColor);
-    }
-    updateCelestialBodyPosition({
-        progress,
-        isDay: isDaytime,
+    const lightStrength = updateCelestialBodyPosition({
+        hours,
+        sky,
         directionalLight,
+        focus,
         sunMesh,
         moonMesh,
-        LIGHT_ORBIT_RADIUS,
-        isDaytime
+        LIGHT_ORBIT_RADIUS
     });
-    if (groundMaterial) groundMaterial.color.set(settings.groundColor);
+    if (skyDome) {
+        // The real sky turns from east to west: backwards about the celestial pole
+        if (sky) starAxis.copy(sky.celestialPole).negate();
+        setSkyDomeState({
+            skyDome,
+            settings,
+            sunDirection: sunPosition,
+            moonDirection: orbitPosition,
+            moonFraction: sky ? sky.moonFraction : 1,
+            starAxis: sky ? starAxis : ORBIT_AXIS,
+            starRotation: sky ? sky.siderealTime : hours / 24 * 2 * Math.PI
+        });
+    }
+    if (directionalLight) {
+        directionalLight.intensity = settings.directionalLightIntensity * lightStrength;
+        directionalLight.color.set(settings.directionalLightColor);
+    }
+    if (isTerrainSplatMaterial(groundMaterial)) {
+        setTerrainSplatColors(groundMaterial, settings.terrainSplatColors);
+    } else if (groundMaterial) {
+        groundMaterial.color.set(settings.groundColor);
+    }
     if (trunkMaterial) trunkMaterial.color.set(settings.trunkColor);
     if (deciduousFoliageMaterial) deciduousFoliageMaterial.color.set(settings.deciduousFoliageColor);
     if (coniferousFoliageMaterial) coniferousFoliageMaterial.color.set(settings.coniferousFoliageColor);
-} 
\ No newline at end of file
+    if (waterMaterial) waterMaterial.uniforms.uWaterColor.value.set(settings.waterColor);
+    setWind({ strength: settings.windStrength });
+    setGlow({ target: settings.mushroomGlow });
+}
@@ -0,0 +1,66 @@
+// lighting/GlowLights.js
+import * as THREE from 'three';
+
+/**
+ * Small local lights cast by clusters of glowing mushrooms.
+ * The generator records clusters in userData.glowClusters of its batches, each with the culling
+ * cell it lies in; every frame the lights of a fixed pool move to the nearest clusters whose
+ * cell is shown. The pool never changes size,
+ * since adding or removing lights would recompile every lit material in the scene; spare
+ * lights are simply turned down to zero.
+ */
+
+// Clusters gathered each update, reused between frames
+const candidates = [];
+
+/**
+ * Creates the light pool and adds it to the scene.
+ * @param {THREE.Scene} scene
+ * @param {number} count - Number of lights; 0 disables the lights.
+ * @param {number} distance - Range of each light.
+ * @returns {Array<THREE.PointLight>}
+ */
+export function createGlowLights({ scene, count, distance }) {
+    const lights = [];
+    for (let i = 0; i < count; i++) {
+        const light = new THREE.PointLight(0xffffff, 0, distance, 2);
+        scene.add(light);
+        lights.push(light);
+    }
+    return lights;
+}
+
+/**
+ * Moves the lights to the nearest visible glowing clusters and sets their brightness.
+ * @param {Array<THREE.PointLight>} lights - Pool from createGlowLights.
+ * @param {THREE.Scene} scene
+ * @param {THREE.Vector3} focus - Position the nearest clusters are lit around (e.g. the camera).
+ * @param {number} strength - Glow strength in [0, 1] (see getGlowStrength in shaders/GlowShader.js).
+ * @param {number} intensity - Light intensity of a single mushroom at full strength.
+ * @param {number} time - Elapsed time in seconds, for the flicker.
+ */
+export function updateGlowLights({ lights, scene, focus, strength, intensity, time }) {
+    if (lights.length === 0) return;
+    candidates.length = 0;
+    if (strength > 0) {
+        scene.traverseVisible(object => {
+            const clusters = object.userData.glowClusters;
+            if (!clusters) return;
+            clusters.forEach(cluster => {
+                if (!cluster.cell || cluster.cell.visible) candidates.push(cluster);
+            });
+        });
+        candidates.sort((a, b) => a.position.distanceToSquared(focus) - b.position.distanceToSquared(focus));
+    }
+    lights.forEach((light, index) => {
+        const cluster = candidates[index];
+        if (!cluster) {
+            light.intensity = 0;
+            return;
+        }
+        light.position.copy(cluster.position);
+        light.color.copy(cluster.color);
+        // Brighter with more mushrooms, flickering slowly out of step with other clusters
+        light.intensity = strength * intensity * Math.sqrt(cluster.size) * (0.8 + 0.2 * Math.sin(time * 1.3 + cluster.phase));
+    });
+}
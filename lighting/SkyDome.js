@@ -0,0 +1,95 @@
+// lighting/SkyDome.js
+import * as THREE from 'three';
+import { skyShader } from '../shaders/SkyShader.js';
+
+/**
+ * Sky dome around the camera: gradients, haze, stars and clouds from shaders/SkyShader.js.
+ * The dome follows the camera so the sky stays at infinity. It is built at the size of the sun and
+ * moon orbit and scaled up to its radius, so the sun and moon meshes, added as children and placed
+ * on the orbit as before (see updateCelestialBodyPosition in lighting/DayNightCycle.js), appear in
+ * front of the dome at their usual size but behind all of the scene.
+ */
+
+// The dome sits this much outside the orbit, so the sun and moon are drawn in front of it
+const DOME_MARGIN = 1.2;
+const FLASH_COLOR = new THREE.Color(0xE8EEFF);
+
+/**
+ * Creates the sky dome.
+ * @param {number} radius - World-space radius; must stay within the camera's far plane.
+ * @param {number} orbitRadius - Radius of the sun and moon orbit (LIGHT_ORBIT_RADIUS).
+ * @param {number} [cloudCover=0.45] - Share of the sky covered by clouds, 0 to 1.
+ * @param {number} [cloudSpeed=0.02] - Cloud drift speed.
+ * @param {Array<number>} [windDirection=[1, 0]] - XZ direction the clouds drift towards.
+ * @returns {THREE.Mesh} The dome; add the sun and moon meshes to it.
+ */
+export function createSkyDome({ radius, orbitRadius, cloudCover = 0.45, cloudSpeed = 0.02, windDirection = [1, 0] }) {
+    const material = new THREE.ShaderMaterial({
+        name: skyShader.name,
+        uniforms: THREE.UniformsUtils.clone(skyShader.uniforms),
+        vertexShader: skyShader.vertexShader,
+        fragmentShader: skyShader.fragmentShader,
+        side: THREE.BackSide,
+        depthWrite: false
+    });
+    material.uniforms.uCloudCover.value = cloudCover;
+    material.uniforms.uCloudSpeed.value = cloudSpeed;
+    material.uniforms.uCloudDirection.value.fromArray(windDirection).normalize();
+    const skyDome = new THREE.Mesh(new THREE.SphereGeometry(orbitRadius * DOME_MARGIN, 32, 16), material);
+    skyDome.name = 'skyDome';
+    skyDome.scale.setScalar(radius / (orbitRadius * DOME_MARGIN));
+    // Drawn before everything else, without writing depth, so the scene covers it
+    skyDome.renderOrder = -1;
+    skyDome.frustumCulled = false;
+    return skyDome;
+}
+
+/**
+ * Sets the sky for the time of day; called by applySceneState with the settings it applies.
+ * @param {THREE.Mesh} skyDome - Mesh from createSkyDome.
+ * @param {object} settings - Time-of-day settings: background is the zenith color, the fog color the
+ *   horizon color and directionalLightColor the color of the sun's haze and of the cloud light.
+ * @param {THREE.Vector3} sunDirection - Direction (or position on the orbit) of the sun.
+ * @param {THREE.Vector3} moonDirection - ... and of the moon.
+ * @param {number} [moonFraction=1] - Lit share of the moon, dims its haze.
+ * @param {THREE.Vector3} starAxis - Axis the stars turn about.
+ * @param {number} starRotation - Angle the stars have turned by, in radians.
+ */
+export function setSkyDomeState({ skyDome, settings, sunDirection, moonDirection, moonFraction = 1, starAxis, starRotation }) {
+    const uniforms = skyDome.material.uniforms;
+    uniforms.uZenithColor.value.set(settings.background);
+    uniforms.uHorizonColor.value.set(settings.fog.color);
+    uniforms.uLightColor.value.set(settings.directionalLightColor);
+    uniforms.uSunDirection.value.copy(sunDirection).normalize();
+    uniforms.uMoonDirection.value.copy(moonDirection).normalize();
+    uniforms.uMoonBrightness.value = moonFraction;
+    uniforms.uStarAxis.value.copy(starAxis).normalize();
+    uniforms.uStarRotation.value = starRotation;
+}
+
+/**
+ * Sets the weather's share of the sky under clouds and lights the sky up during lightning;
+ * call it after setSkyDomeState.
+ * @param {THREE.Mesh} skyDome - Mesh from createSkyDome.
+ * @param {number} cloudCover - Share of the sky covered by clouds, 0 to 1.
+ * @param {number} [flash=0] - Lightning brightness, 0 to 1.
+ */
+export function setSkyDomeWeather({ skyDome, cloudCover, flash = 0 }) {
+    const uniforms = skyDome.material.uniforms;
+    uniforms.uCloudCover.value = cloudCover;
+    if (flash > 0) {
+        uniforms.uZenithColor.value.lerp(FLASH_COLOR, flash * 0.6);
+        uniforms.uHorizonColor.value.lerp(FLASH_COLOR, flash * 0.6);
+    }
+}
+
+/**
+ * Drifts the clouds, twinkles the stars and keeps the dome centered on the camera.
+ * @param {THREE.Mesh} skyDome - Mesh from createSkyDome.
+ * @param {number} time - Elapsed time in seconds.
+ * @param {THREE.Vector3} focus - World position to center on (the camera).
+ */
+export function updateSkyDome({ skyDome, time, focus }) {
+    skyDome.material.uniforms.uTime.value = time;
+    skyDome.position.copy(focus);
+}
@@ -1,149 +1,577 @@
 // mushrooms/MushroomGenerator.js
 import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { createPlacementContext } from '../utils/Placement.js';
+import { DEFAULT_PLACEMENT_RULES, createPlacementDensity } from '../utils/PlacementRules.js';
+import { MUSHROOM_SPECIES } from './MushroomSpecies.js';
+import { createGlowAttribute } from '../shaders/GlowShader.js';
+import { DEFAULT_CULLING_CELL_SIZE, partitionIntoCells, createCullingCell, attachCullingCells } from '../utils/CellCulling.js';
 // import { getTerrainHeight } from '../terrain/TerrainGenerator.js';
 // import { placementPrng } from '../utils/Random.js';
 
 /**
  * Provides functions for creating mushroom geometries, instanced placement, and dynamic spawning.
+ * Species come from the catalog in mushrooms/MushroomSpecies.js: stems and caps are lathed from
+ * their profiles, spots and gills form a vertex-colored detail part, and every mushroom takes
+ * its stem and cap colors from the species ranges through per-instance colors, so all species
+ * share three materials (createMushroomMaterials).
+ * Caps and gills of glowing species carry a glow attribute (shaders/GlowShader.js), and
+ * clusters of glowing mushrooms are recorded for local lights (lighting/GlowLights.js).
  */
 
+// Radial segments of the lathed stems and caps
+const STEM_SEGMENTS = 6;
+const CAP_SEGMENTS = 12;
+// Angle between consecutive spots; spreads them around the cap without lining them up
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+// Part of the cap's top outline (by length, from the rim) that carries spots
+const SPOT_RANGE = [0.15, 0.85];
+// Glowing mushrooms within this distance of each other form a cluster; smaller clusters get no light
+const GLOW_CLUSTER_RADIUS = 2.5;
+const GLOW_CLUSTER_MIN_SIZE = 3;
+
+/**
+ * Lathes a catalog profile around the vertical axis.
+ * @param {Array<Array<number>>} profile - [radius, height] points in units of radius and height.
+ * @param {number} radius
+ * @param {number} height
+ * @param {number} segments - Radial segments.
+ * @param {number} [baseY=0] - Height of the profile's origin.
+ * @returns {THREE.LatheGeometry}
+ */
+function latheProfile(profile, radius, height, segments, baseY = 0) {
+    const points = profile.map(([r, y]) => new THREE.Vector2(r * radius, baseY + y * height));
+    return new THREE.LatheGeometry(points, segments);
+}
+
 /**
- * Creates geometry templates for different mushroom varieties.
- * @returns {Array<{stemGeo: THREE.CylinderGeometry, capGeo: THREE.Geometry, type: number}>}
+ * Adds a uniform vertex color attribute to a geometry.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {number} hex
+ * @returns {THREE.BufferGeometry} The same geometry.
  */
-export function createMushroomGeometries() {
+function paintGeometry(geometry, hex) {
+    const color = new THREE.Color(hex);
+    const colors = new Float32Array(geometry.attributes.position.count * 3);
+    for (let i = 0; i < colors.length; i += 3) color.toArray(colors, i);
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    return geometry;
+}
+
+/**
+ * Creates flattened spots sitting on the top of a species' cap.
+ * @param {object} species - Catalog entry with cap and spots.
+ * @param {number} capBaseY - Height of the cap profile's origin.
+ * @returns {Array<THREE.BufferGeometry>}
+ */
+function createCapSpots(species, capBaseY) {
+    const { cap, spots } = species;
+    // Top outline from the rim to the center, in (radius, y)
+    const outline = cap.profile.slice(1).map(([r, y]) => new THREE.Vector2(r * cap.radius, capBaseY + y * cap.height));
+    const lengths = [0];
+    for (let i = 1; i < outline.length; i++) lengths.push(lengths[i - 1] + outline[i].distanceTo(outline[i - 1]));
+    const totalLength = lengths[lengths.length - 1];
+    const up = new THREE.Vector3(0, 1, 0);
+    const normal = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
     const geometries = [];
-    const stem1Geo = new THREE.CylinderGeometry(0.05, 0.08, 0.3, 6);
-    stem1Geo.translate(0, 0.15, 0);
-    const cap1Geo = new THREE.SphereGeometry(0.2, 8, 6, 0, Math.PI * 2, 0, Math.PI / 2);
-    cap1Geo.scale(1, 0.7, 1);
-    cap1Geo.translate(0, 0.3 + 0.02, 0);
-    geometries.push({ stemGeo: stem1Geo, capGeo: cap1Geo, type: 1 });
-    const stem2Geo = new THREE.CylinderGeometry(0.03, 0.04, 0.5, 5);
-    stem2Geo.translate(0, 0.25, 0);
-    const cap2Geo = new THREE.ConeGeometry(0.1, 0.25, 8);
-    cap2Geo.translate(0, 0.5 - 0.07 - 0.05, 0);
-    geometries.push({ stemGeo: stem2Geo, capGeo: cap2Geo, type: 2 });
-    const stem3Geo = new THREE.CylinderGeometry(0.06, 0.06, 0.15, 6);
-    stem3Geo.translate(0, 0.075, 0);
-    const cap3Geo = new THREE.SphereGeometry(0.12, 8, 6);
-    cap3Geo.translate(0, 0.15 + 0.07 + 0.03, 0);
-    geometries.push({ stemGeo: stem3Geo, capGeo: cap3Geo, type: 3 });
+    for (let i = 0; i < spots.count; i++) {
+        const target = totalLength * (SPOT_RANGE[0] + (SPOT_RANGE[1] - SPOT_RANGE[0]) * (i + 0.5) / spots.count);
+        let segment = 0;
+        while (segment < lengths.length - 2 && lengths[segment + 1] < target) segment++;
+        const a = outline[segment];
+        const b = outline[segment + 1];
+        const t = (target - lengths[segment]) / (lengths[segment + 1] - lengths[segment]);
+        const radius = a.x + (b.x - a.x) * t;
+        const y = a.y + (b.y - a.y) * t;
+        const angle = i * GOLDEN_ANGLE;
+        // Outward normal of the outline segment, swept around the axis
+        normal.set((b.y - a.y) * Math.sin(angle), a.x - b.x, (b.y - a.y) * Math.cos(angle)).normalize();
+        const size = spots.size * (0.7 + 0.6 * ((i * 0.618) % 1));
+        const spot = new THREE.SphereGeometry(1, 6, 4);
+        spot.scale(size, size * 0.35, size);
+        spot.applyQuaternion(quaternion.setFromUnitVectors(up, normal));
+        spot.translate(radius * Math.sin(angle), y, radius * Math.cos(angle));
+        spot.setAttribute('glow', createGlowAttribute(spot));
+        geometries.push(paintGeometry(spot, spots.color));
+    }
     return geometries;
 }
 
 /**
- * Creates and places all instanced mushrooms in the scene using procedural placement.
- * Adds instanced meshes to the scene.
- * @param {THREE.Scene} scene - The scene to add mushrooms to.
+ * Creates the gill blades hanging under a species' cap, from the stem out to the rim.
+ * @param {object} species - Catalog entry with stem, cap and gills.
+ * @param {number} capBaseY - Height of the cap profile's origin.
+ * @returns {THREE.BufferGeometry}
+ */
+function createGills(species, capBaseY) {
+    const { stem, cap, gills } = species;
+    const [[innerR, innerY], [outerR, outerY]] = cap.profile;
+    const stemTopRadius = stem.profile[stem.profile.length - 1][0] * stem.radius;
+    const inner = new THREE.Vector2(Math.max(innerR * cap.radius, stemTopRadius), capBaseY + innerY * cap.height);
+    const outer = new THREE.Vector2(outerR * cap.radius * 0.95, capBaseY + outerY * cap.height);
+    const positions = [];
+    const uvs = [];
+    const indices = [];
+    for (let i = 0; i < gills.count; i++) {
+        const angle = (i / gills.count) * Math.PI * 2;
+        const sin = Math.sin(angle);
+        const cos = Math.cos(angle);
+        // Deepest next to the stem, tapering out towards the rim
+        const edge = [
+            [inner.x, inner.y], [outer.x, outer.y],
+            [outer.x, outer.y - gills.depth * 0.2], [inner.x, inner.y - gills.depth]
+        ];
+        edge.forEach(([r, y]) => positions.push(r * sin, y, r * cos));
+        uvs.push(0, 1, 1, 1, 1, 0, 0, 0);
+        const base = i * 4;
+        indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    geometry.setAttribute('glow', createGlowAttribute(geometry, species.glow));
+    return paintGeometry(geometry, gills.color);
+}
+
+/**
+ * Builds the geometry of one catalog species, base at the origin.
+ * @param {object} species - Entry of MUSHROOM_SPECIES.
+ * @returns {{stemGeo: THREE.BufferGeometry, capGeo: THREE.BufferGeometry, detailGeo: THREE.BufferGeometry|null}}
+ *   Stem and cap take instance colors; detailGeo (spots and gills) carries vertex colors and is null without either.
+ *   Caps and details carry the species' glow attribute.
+ */
+export function createMushroomGeometry(species) {
+    const { stem, cap } = species;
+    const stemGeo = latheProfile(stem.profile, stem.radius, stem.height, STEM_SEGMENTS);
+    const capBaseY = stem.height - cap.sink;
+    const capGeo = latheProfile(cap.profile, cap.radius, cap.height, CAP_SEGMENTS, capBaseY);
+    capGeo.setAttribute('glow', createGlowAttribute(capGeo, species.glow));
+    const details = [];
+    if (species.spots) details.push(...createCapSpots(species, capBaseY));
+    if (species.gills) details.push(createGills(species, capBaseY));
+    const detailGeo = details.length > 0 ? mergeGeometries(details) : null;
+    details.forEach(geometry => geometry.dispose());
+    return { stemGeo, capGeo, detailGeo };
+}
+
+/**
+ * Creates the geometry templates of a species catalog.
+ * @param {Array<object>} [species=MUSHROOM_SPECIES]
+ * @returns {Array<{species: object, stemGeo: THREE.BufferGeometry, capGeo: THREE.BufferGeometry, detailGeo: THREE.BufferGeometry|null}>}
+ */
+export function createMushroomTemplates({ species = MUSHROOM_SPECIES } = {}) {
+    return species.map(entry => ({ species: entry, ...createMushroomGeometry(entry) }));
+}
+
+/**
+ * Disposes the geometries of a set of mushroom templates.
+ * @param {Array<object>} templates - Templates from createMushroomTemplates.
+ */
+export function disposeMushroomTemplates(templates) {
+    templates.forEach(({ stemGeo, capGeo, detailGeo }) => {
+        stemGeo.dispose();
+        capGeo.dispose();
+        if (detailGeo) detailGeo.dispose();
+    });
+}
+
+/**
+ * Creates the materials shared by all species. Stem and cap colors come from the instances,
+ * spots and gills from the detail geometry's vertex colors.
+ * @returns {{stem: THREE.MeshStandardMaterial, cap: THREE.MeshStandardMaterial, detail: THREE.MeshStandardMaterial}}
+ */
+export function createMushroomMaterials() {
+    return {
+        stem: new THREE.MeshStandardMaterial({ roughness: 0.8, metalness: 0.1 }),
+        cap: new THREE.MeshStandardMaterial({ roughness: 0.7, metalness: 0.2 }),
+        // Gill blades are single quads, seen from both sides
+        detail: new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.8, metalness: 0.1, side: THREE.DoubleSide })
+    };
+}
+
+/**
+ * Picks a color within a catalog color range.
+ * @param {Array<number>} range - [from, to] hex colors.
+ * @param {number} t - Position in the range, in [0, 1].
+ * @param {THREE.Color} target
+ * @returns {THREE.Color} target
+ */
+function pickSpeciesColor([from, to], t, target) {
+    return target.setHex(from).lerp(new THREE.Color(to), t);
+}
+
+/**
+ * Picks a template index by weight.
+ * @param {Array<number>} weights
+ * @param {number} total - Sum of the weights.
+ * @param {number} random - Random number in [0, 1).
+ * @returns {number}
+ */
+function pickWeighted(weights, total, random) {
+    let pick = random * total;
+    let index = 0;
+    while (index < weights.length - 1 && pick >= weights[index]) pick -= weights[index++];
+    return index;
+}
+
+/**
+ * Groups glowing mushrooms into clusters for local lights.
+ * @param {Array<{templateIndex: number, matrix: THREE.Matrix4}>} mushrooms - Glowing mushrooms.
+ * @param {Array<object>} templates - Templates the mushrooms' templateIndex refers to.
+ * @returns {Array<{position: THREE.Vector3, color: THREE.Color, size: number, phase: number}>}
+ *   Clusters of at least GLOW_CLUSTER_MIN_SIZE, positioned at their mean cap height.
+ */
+function findGlowClusters(mushrooms, templates) {
+    const clusters = [];
+    const position = new THREE.Vector3();
+    mushrooms.forEach(({ templateIndex, matrix }) => {
+        const { stem, glow } = templates[templateIndex].species;
+        position.set(0, stem.height, 0).applyMatrix4(matrix);
+        let cluster = clusters.find(candidate => candidate.first.distanceTo(position) <= GLOW_CLUSTER_RADIUS);
+        if (!cluster) {
+            cluster = { first: position.clone(), sum: new THREE.Vector3(), color: new THREE.Color(0, 0, 0), size: 0 };
+            clusters.push(cluster);
+        }
+        cluster.sum.add(position);
+        cluster.color.add(new THREE.Color(glow.color).multiplyScalar(glow.intensity));
+        cluster.size++;
+    });
+    return clusters.filter(({ size }) => size >= GLOW_CLUSTER_MIN_SIZE).map(({ sum, color, size }) => {
+        const center = sum.divideScalar(size);
+        return {
+            position: center,
+            color: color.multiplyScalar(1 / size),
+            size,
+            phase: (Math.abs(center.x * 12.9898 + center.z * 78.233) % 1) * Math.PI * 2
+        };
+    });
+}
+
+/**
+ * Copies the geometries of the species used in a chunk into one BatchedMesh.
+ * @param {Array<THREE.BufferGeometry|null>} geometries - Per template; null where unused.
+ * @param {number} maxInstances - Instance capacity.
+ * @param {THREE.Material} material
+ * @returns {{batch: THREE.BatchedMesh, geometryIds: Array<number>}}
+ */
+function createSpeciesBatch(geometries, maxInstances, material) {
+    const used = geometries.filter(Boolean);
+    const vertexCount = used.reduce((total, geometry) => total + geometry.attributes.position.count, 0);
+    const indexCount = used.reduce((total, geometry) => total + geometry.index.count, 0);
+    const batch = new THREE.BatchedMesh(maxInstances, vertexCount, indexCount, material);
+    const geometryIds = geometries.map(geometry => (geometry ? batch.addGeometry(geometry) : -1));
+    batch.castShadow = true;
+    return { batch, geometryIds };
+}
+
+/**
+ * Creates and places all instanced mushrooms in the scene using Poisson-disk placement.
+ * Each spot gets a species chosen by rarity, weighted by how well the species' habitat fits
+ * it, and colors from the species ranges. The chunk's stems, caps and details go into one
+ * BatchedMesh apiece; the mushrooms are bucketed into culling cells (utils/CellCulling.js) that
+ * hide their own instances, so cells out of view are skipped as a whole.
+ * @param {THREE.Object3D} scene - The scene (or chunk group) to add mushrooms to.
  * @param {object} prng - Seeded random number generator.
  * @param {function} getTerrainHeight - Function to get terrain height at (x, z).
- * @param {THREE.Material} stemMaterial
- * @param {Array<THREE.Material>} capMaterials - Array of cap materials for each variety
- * @param {number} MUSHROOM_COUNT
+ * @param {function} [getTerrainNormal] - Function (x, z, target) returning the terrain normal; if given, mushrooms tilt to the ground.
+ * @param {object} materials - Shared materials from createMushroomMaterials.
+ * @param {Array<object>} [templates] - Shared templates from createMushroomTemplates; built from the catalog if omitted
+ * @param {number} MUSHROOM_COUNT - Mushrooms wanted where the placement rules allow full density
  * @param {number} SPREAD
- * @param {number} MIN_DISTANCE_FROM_GATEWAY_CENTER
+ * @param {number} MIN_DISTANCE_FROM_GATEWAY_CENTER - Min XZ distance from the world origin (gateway)
+ * @param {number} [MAX_DISTANCE_FROM_CENTER=SPREAD * 0.9] - Max XZ distance from the placement center
+ * @param {number} [centerX=0] - World X of the center of the placement square
+ * @param {number} [centerZ=0] - World Z of the center of the placement square
+ * @param {number} [waterLevel=-Infinity] - Spots with terrain below this height are submerged and left empty
+ * @param {object} [placement] - Shared placement context (utils/Placement.js), e.g. already holding the chunk's trees; a private one is used if omitted
+ * @param {object} [rules=DEFAULT_PLACEMENT_RULES] - Placement rules (utils/PlacementRules.js); rules.mushroom sets the density
+ * @param {number} [cellSize=DEFAULT_CULLING_CELL_SIZE] - Edge length of the culling cells
+ * @returns {Array<THREE.BatchedMesh>} The batched meshes that were added
  */
 export function createInstancedMushrooms({
     scene,
     prng,
     getTerrainHeight,
-    stemMaterial,
-    capMaterials,
+    getTerrainNormal,
+    materials,
+    templates,
     MUSHROOM_COUNT,
     SPREAD,
-    MIN_DISTANCE_FROM_GATEWAY_CENTER
+    MIN_DISTANCE_FROM_GATEWAY_CENTER,
+    MAX_DISTANCE_FROM_CENTER = SPREAD * 0.9,
+    centerX = 0,
+    centerZ = 0,
+    waterLevel = -Infinity,
+    placement = createPlacementContext({ centerX, centerZ, halfSize: SPREAD }),
+    rules = DEFAULT_PLACEMENT_RULES,
+    cellSize = DEFAULT_CULLING_CELL_SIZE
 }) {
-    const mushroomTemplates = createMushroomGeometries();
-    const countPerVariety = Math.floor(MUSHROOM_COUNT / mushroomTemplates.length);
-    const remaining = MUSHROOM_COUNT % mushroomTemplates.length;
-    const counts = mushroomTemplates.map((_, index) => countPerVariety + (index < remaining ? 1 : 0));
-    const capInstances = [];
-    for (let i = 0; i < mushroomTemplates.length; i++) {
-        if (counts[i] > 0) {
-            const capInstance = new THREE.InstancedMesh(mushroomTemplates[i].capGeo, capMaterials[i], counts[i]);
-            capInstance.castShadow = true;
-            scene.add(capInstance);
-            capInstances.push(capInstance);
-        } else {
-            capInstances.push(null);
-        }
-    }
-    const stemInstances = new THREE.InstancedMesh(mushroomTemplates[0].stemGeo, stemMaterial, MUSHROOM_COUNT);
-    stemInstances.castShadow = true;
-    scene.add(stemInstances);
-    const instanceTypes = [];
-    counts.forEach((count, typeIndex) => {
-        for (let i = 0; i < count; i++) {
-            instanceTypes.push(typeIndex + 1);
-        }
-    });
-    for (let i = instanceTypes.length - 1; i > 0; i--) {
-        const j = Math.floor(prng.random() * (i + 1));
-        [instanceTypes[i], instanceTypes[j]] = [instanceTypes[j], instanceTypes[i]];
-    }
+    const mushroomTemplates = templates || createMushroomTemplates();
+    const habitats = mushroomTemplates.map(({ species }) => (
+        species.habitat ? createPlacementDensity({ rule: species.habitat, getTerrainHeight, placement }) : null
+    ));
+    const weights = mushroomTemplates.map(() => 0);
+    const weighSpecies = (x, z) => {
+        let total = 0;
+        mushroomTemplates.forEach(({ species }, index) => {
+            weights[index] = species.rarity * (habitats[index] ? habitats[index](x, z) : 1);
+            total += weights[index];
+        });
+        return total;
+    };
     const dummy = new THREE.Object3D();
-    let vIdx = [0, 0, 0];
-    for (let i = 0; i < MUSHROOM_COUNT; i++) {
-        let x, z, dist;
-        do {
-            x = prng.randFloat(-SPREAD, SPREAD);
-            z = prng.randFloat(-SPREAD, SPREAD);
-            dist = Math.sqrt(x * x + z * z);
-        } while (dist < MIN_DISTANCE_FROM_GATEWAY_CENTER || dist > SPREAD * 0.9);
+    const up = new THREE.Vector3(0, 1, 0);
+    const groundNormal = new THREE.Vector3();
+    const points = placement.scatter({
+        prng,
+        category: 'mushroom',
+        count: MUSHROOM_COUNT,
+        accept: (x, z) => Math.sqrt(x * x + z * z) >= MIN_DISTANCE_FROM_GATEWAY_CENTER
+            && Math.hypot(x - centerX, z - centerZ) <= MAX_DISTANCE_FROM_CENTER
+            && getTerrainHeight(x, z) >= waterLevel
+            && weighSpecies(x, z) > 0,
+        density: rules.mushroom && createPlacementDensity({ rule: rules.mushroom, getTerrainHeight, placement })
+    });
+    const mushrooms = points.map(({ x, z }) => {
+        const templateIndex = pickWeighted(weights, weighSpecies(x, z), prng.random());
+        const { species } = mushroomTemplates[templateIndex];
         const terrainY = getTerrainHeight(x, z);
         const scaleVariation = prng.randFloat(0.5, 1.5);
         dummy.position.set(x, terrainY, z);
-        dummy.rotation.y = prng.random() * Math.PI * 2;
+        const yaw = prng.random() * Math.PI * 2;
+        if (getTerrainNormal) {
+            dummy.quaternion.setFromUnitVectors(up, getTerrainNormal(x, z, groundNormal));
+            dummy.rotateY(yaw);
+        } else {
+            dummy.rotation.y = yaw;
+        }
         dummy.scale.set(scaleVariation, scaleVariation, scaleVariation);
         dummy.updateMatrix();
-        stemInstances.setMatrixAt(i, dummy.matrix);
-        const mushroomType = instanceTypes[i];
-        if (capInstances[mushroomType - 1] && vIdx[mushroomType - 1] < counts[mushroomType - 1]) {
-            capInstances[mushroomType - 1].setMatrixAt(vIdx[mushroomType - 1]++, dummy.matrix);
-        }
+        return {
+            templateIndex,
+            matrix: dummy.matrix.clone(),
+            stemColor: pickSpeciesColor(species.stem.color, prng.random(), new THREE.Color()),
+            capColor: pickSpeciesColor(species.cap.color, prng.random(), new THREE.Color())
+        };
+    });
+    // Bounding sphere of each species, for the culling cells
+    const templateSpheres = mushroomTemplates.map(({ stemGeo, capGeo }) => {
+        stemGeo.computeBoundingSphere();
+        capGeo.computeBoundingSphere();
+        return capGeo.boundingSphere.clone().union(stemGeo.boundingSphere);
+    });
+    if (mushrooms.length === 0) {
+        if (!templates) disposeMushroomTemplates(mushroomTemplates);
+        return [];
     }
-    stemInstances.instanceMatrix.needsUpdate = true;
-    capInstances.forEach(inst => { if (inst) inst.instanceMatrix.needsUpdate = true; });
+    const usedTemplates = mushroomTemplates.map((_, index) => mushrooms.some(mushroom => mushroom.templateIndex === index));
+    const onlyUsed = geometryName => mushroomTemplates.map((template, index) => (usedTemplates[index] ? template[geometryName] : null));
+    const stems = createSpeciesBatch(onlyUsed('stemGeo'), mushrooms.length, materials.stem);
+    const caps = createSpeciesBatch(onlyUsed('capGeo'), mushrooms.length, materials.cap);
+    const detailGeometries = onlyUsed('detailGeo');
+    const details = detailGeometries.some(Boolean) ? createSpeciesBatch(detailGeometries, mushrooms.length, materials.detail) : null;
+    const instances = mushrooms.map(({ templateIndex, matrix, stemColor, capColor }) => {
+        const stemId = stems.batch.addInstance(stems.geometryIds[templateIndex]);
+        stems.batch.setMatrixAt(stemId, matrix);
+        stems.batch.setColorAt(stemId, stemColor);
+        const capId = caps.batch.addInstance(caps.geometryIds[templateIndex]);
+        caps.batch.setMatrixAt(capId, matrix);
+        caps.batch.setColorAt(capId, capColor);
+        let detailId = -1;
+        if (details && details.geometryIds[templateIndex] !== -1) {
+            detailId = details.batch.addInstance(details.geometryIds[templateIndex]);
+            details.batch.setMatrixAt(detailId, matrix);
+        }
+        return { stemId, capId, detailId };
+    });
+    const glowClusters = [];
+    attachCullingCells(stems.batch, partitionIntoCells(points, cellSize).map(indices => {
+        const sphere = new THREE.Sphere();
+        indices.forEach((index, i) => {
+            const { templateIndex, matrix } = mushrooms[index];
+            const instanceSphere = templateSpheres[templateIndex].clone().applyMatrix4(matrix);
+            if (i === 0) sphere.copy(instanceSphere);
+            else sphere.union(instanceSphere);
+        });
+        const cell = createCullingCell({
+            sphere,
+            instanceCount: indices.length,
+            setVisible: visible => indices.forEach(index => {
+                const { stemId, capId, detailId } = instances[index];
+                stems.batch.setVisibleAt(stemId, visible);
+                caps.batch.setVisibleAt(capId, visible);
+                if (detailId !== -1) details.batch.setVisibleAt(detailId, visible);
+            })
+        });
+        const cellMushrooms = indices.map(index => mushrooms[index]);
+        findGlowClusters(cellMushrooms.filter(({ templateIndex }) => mushroomTemplates[templateIndex].species.glow), mushroomTemplates)
+            .forEach(cluster => glowClusters.push({ ...cluster, cell }));
+        return cell;
+    }));
+    stems.batch.userData.glowClusters = glowClusters;
+    const batches = [stems.batch, caps.batch];
+    if (details) batches.push(details.batch);
+    batches.forEach(batch => scene.add(batch));
+    if (!templates) disposeMushroomTemplates(mushroomTemplates);
+    return batches;
 }
 
 /**
- * Initializes mushroom geometry templates for spawning dynamic mushrooms.
- * @returns {Array} Array of mushroom templates
+ * Creates a fixed-capacity pool for dynamically spawned mushrooms.
+ * Every species gets one InstancedMesh per part (stem, cap, details) sized for the whole
+ * capacity, and the pool preallocates one handle per mushroom: an Object3D (not in the scene)
+ * whose position, quaternion and scale become the instance transform in
+ * updateSpawnedMushroomPool. Active handles of a species occupy the first instances of its
+ * meshes; releasing one moves the species' last handle into its slot. Spawning, releasing and
+ * reusing therefore never allocate or dispose anything.
+ * Handle userData: species (name), stemColor and capColor (species colors), fade and fadeColor
+ * (share of fadeColor mixed into both, e.g. for withering), radius (of a sphere around the
+ * full-grown mushroom, resting on its base) and rolls (see MUSHROOM_SPECIES).
+ * @param {THREE.Object3D} scene - The scene to add the pool's meshes to.
+ * @param {Array<object>} templates - Templates from createMushroomTemplates.
+ * @param {object} materials - Shared materials from createMushroomMaterials.
+ * @param {number} capacity - Maximum number of spawned mushrooms alive at once.
+ * @returns {object} Pool { capacity, meshes, ... }; meshes lists every InstancedMesh of the pool.
  */
-export function initMushroomTemplates() {
-    return createMushroomGeometries();
+export function createSpawnedMushroomPool({ scene, templates, materials, capacity }) {
+    const species = templates.map(template => {
+        const parts = [
+            { geometry: template.stemGeo, material: materials.stem, color: 'stemColor' },
+            { geometry: template.capGeo, material: materials.cap, color: 'capColor' },
+            { geometry: template.detailGeo, material: materials.detail, color: null }
+        ].filter(({ geometry }) => geometry).map(({ geometry, material, color }) => {
+            const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+            mesh.count = 0;
+            mesh.visible = false;
+            mesh.castShadow = true;
+            // Instances move every frame, so the mesh bounds would always be stale
+            mesh.frustumCulled = false;
+            if (color) mesh.setColorAt(0, new THREE.Color());
+            scene.add(mesh);
+            return { mesh, color };
+        });
+        const { stem, cap } = template.species;
+        const radius = Math.max(cap.radius, (stem.height + cap.height - cap.sink) / 2);
+        return { template, parts, radius, handles: [] };
+    });
+    const free = [];
+    for (let i = 0; i < capacity; i++) {
+        const handle = new THREE.Object3D();
+        handle.matrixAutoUpdate = false;
+        Object.assign(handle.userData, {
+            species: null,
+            speciesIndex: -1,
+            slot: -1,
+            stemColor: new THREE.Color(),
+            capColor: new THREE.Color(),
+            fade: 0,
+            fadeColor: new THREE.Color(),
+            radius: 0,
+            rolls: false
+        });
+        free.push(handle);
+    }
+    return {
+        capacity,
+        species,
+        free,
+        rarities: templates.map(template => template.species.rarity),
+        totalRarity: templates.reduce((total, template) => total + template.species.rarity, 0),
+        meshes: species.flatMap(({ parts }) => parts.map(({ mesh }) => mesh)),
+        color: new THREE.Color()
+    };
 }
 
 /**
- * Spawns a dynamic mushroom at a given position with velocity and adds it to the scene.
- * @param {THREE.Scene} scene
- * @param {Array} mushroomTemplates
- * @param {THREE.Material} stemMaterial
- * @param {Array<THREE.Material>} capMaterials
+ * Spawns a mushroom from the pool at a given position, upright and at full scale.
+ * The species is picked by rarity alone unless given.
+ * @param {object} pool - Pool from createSpawnedMushroomPool.
  * @param {THREE.Vector3} position
  * @param {function} getRandom - Function to get a random float in [0,1)
- * @returns {THREE.Group} The spawned mushroom group
+ * @param {string} [species] - Name of the species to spawn
+ * @returns {THREE.Object3D|null} The mushroom's handle, or null if the pool is full
  */
 export function spawnMushroom({
-    scene,
-    mushroomTemplates,
-    stemMaterial,
-    capMaterials,
+    pool,
     position,
-    getRandom
+    getRandom,
+    species: speciesName
 }) {
-    const templateIndex = Math.floor(getRandom() * mushroomTemplates.length);
-    const template = mushroomTemplates[templateIndex];
-    const mushroomGroup = new THREE.Group();
-    const stemMesh = new THREE.Mesh(template.stemGeo, stemMaterial);
-    stemMesh.castShadow = true;
-    let capMaterial = capMaterials[templateIndex];
-    const capMesh = new THREE.Mesh(template.capGeo, capMaterial);
-    capMesh.castShadow = true;
-    mushroomGroup.add(stemMesh);
-    mushroomGroup.add(capMesh);
-    mushroomGroup.position.copy(position);
-    scene.add(mushroomGroup);
-    return mushroomGroup;
-} 
\ No newline at end of file
+    if (pool.free.length === 0) return null;
+    let speciesIndex = speciesName ? pool.species.findIndex(({ template }) => template.species.name === speciesName) : -1;
+    if (speciesIndex === -1) speciesIndex = pickWeighted(pool.rarities, pool.totalRarity, getRandom());
+    const poolSpecies = pool.species[speciesIndex];
+    const { species } = poolSpecies.template;
+    const handle = pool.free.pop();
+    const data = handle.userData;
+    data.species = species.name;
+    data.speciesIndex = speciesIndex;
+    data.slot = poolSpecies.handles.length;
+    pickSpeciesColor(species.stem.color, getRandom(), data.stemColor);
+    pickSpeciesColor(species.cap.color, getRandom(), data.capColor);
+    data.fade = 0;
+    data.radius = poolSpecies.radius;
+    data.rolls = Boolean(species.rolls);
+    handle.position.copy(position);
+    handle.quaternion.identity();
+    handle.scale.setScalar(1);
+    poolSpecies.handles.push(handle);
+    return handle;
+}
+
+/**
+ * Returns a spawned mushroom to its pool.
+ * @param {object} pool - Pool from createSpawnedMushroomPool.
+ * @param {THREE.Object3D} handle - Handle from spawnMushroom.
+ */
+export function releaseSpawnedMushroom(pool, handle) {
+    const data = handle.userData;
+    if (data.slot === -1) return;
+    const { handles } = pool.species[data.speciesIndex];
+    const last = handles.pop();
+    if (last !== handle) {
+        handles[data.slot] = last;
+        last.userData.slot = data.slot;
+    }
+    data.slot = -1;
+    pool.free.push(handle);
+}
+
+/**
+ * Marks the first instances of an instance attribute for upload, not the whole capacity.
+ * @param {THREE.BufferAttribute} attribute
+ * @param {number} count - Number of active instances.
+ */
+function uploadInstances(attribute, count) {
+    attribute.clearUpdateRanges();
+    attribute.addUpdateRange(0, count * attribute.itemSize);
+    attribute.needsUpdate = true;
+}
+
+/**
+ * Writes the transforms and colors of all spawned mushrooms into the pool's meshes.
+ * @param {object} pool - Pool from createSpawnedMushroomPool.
+ */
+export function updateSpawnedMushroomPool(pool) {
+    const color = pool.color;
+    pool.species.forEach(({ parts, handles }) => {
+        handles.forEach((handle, slot) => {
+            handle.updateMatrix();
+            const data = handle.userData;
+            parts.forEach(part => {
+                part.mesh.setMatrixAt(slot, handle.matrix);
+                if (part.color) part.mesh.setColorAt(slot, color.copy(data[part.color]).lerp(data.fadeColor, data.fade));
+            });
+        });
+        parts.forEach(({ mesh }) => {
+            mesh.count = handles.length;
+            mesh.visible = handles.length > 0;
+            if (handles.length === 0) return;
+            uploadInstances(mesh.instanceMatrix, handles.length);
+            if (mesh.instanceColor) uploadInstances(mesh.instanceColor, handles.length);
+        });
+    });
+}
@@ -0,0 +1,144 @@
+// mushrooms/MushroomLifecycle.js
+import * as THREE from 'three';
+
+/**
+ * Lifecycle of spawned mushrooms: sprout, mature, wither and decay.
+ * Lifecycles run on scene time measured in days (one day and one night), so they speed up
+ * and slow down with the day/night cycle. A lifecycle starts when its mushroom lands; until
+ * then it stays a sprout. On maturing, some mushrooms spread, ringing themselves with sprouts
+ * of their own species (a fairy ring, see getFairyRingPositions); the ring's sprouts can
+ * spread again, each generation further out, up to maxGenerations.
+ */
+
+/**
+ * Default lifecycle settings; durations are in scene days.
+ */
+export const DEFAULT_MUSHROOM_LIFECYCLE = {
+    sproutDuration: 0.2,
+    matureDuration: 1.5,
+    witherDuration: 0.4,
+    decayDuration: 0.3,
+    durationJitter: 0.25, // Each mushroom's durations vary by up to this share
+    sproutScale: 0.15,
+    spreadChance: 0.35,
+    ringSize: [4, 7], // Sprouts per fairy ring, inclusive range
+    ringRadius: 0.9, // Ring radius of the first generation; later generations spread further
+    maxGenerations: 2,
+    witheredColor: 0x4A3B2A
+};
+
+export const MUSHROOM_STAGES = {
+    SPROUT: 'sprout',
+    MATURE: 'mature',
+    WITHERING: 'withering',
+    DECAYING: 'decaying',
+    GONE: 'gone'
+};
+
+/**
+ * Creates a lifecycle; it does not advance until startMushroomLifecycle.
+ * @param {function} getRandom - Function to get a random float in [0,1)
+ * @param {number} [generation=0] - Fairy ring generation; mushrooms from the portal are generation 0.
+ * @param {object} [settings=DEFAULT_MUSHROOM_LIFECYCLE]
+ * @param {object} [target] - Lifecycle to reset and reuse instead of creating a new one.
+ * @returns {object} Lifecycle state.
+ */
+export function createMushroomLifecycle({ getRandom, generation = 0, settings = DEFAULT_MUSHROOM_LIFECYCLE, target = {} }) {
+    const jitter = () => 1 + (getRandom() * 2 - 1) * settings.durationJitter;
+    const durations = target.durations || [];
+    durations[0] = settings.sproutDuration * jitter();
+    durations[1] = settings.matureDuration * jitter();
+    durations[2] = settings.witherDuration * jitter();
+    durations[3] = settings.decayDuration * jitter();
+    return Object.assign(target, {
+        settings,
+        generation,
+        bornAt: null,
+        durations,
+        spreads: generation < settings.maxGenerations && getRandom() < settings.spreadChance,
+        stage: MUSHROOM_STAGES.SPROUT,
+        progress: 0
+    });
+}
+
+/**
+ * Starts a lifecycle, e.g. when its mushroom lands.
+ * @param {object} lifecycle
+ * @param {number} time - Scene time in days.
+ */
+export function startMushroomLifecycle(lifecycle, time) {
+    if (lifecycle.bornAt === null) lifecycle.bornAt = time;
+}
+
+/**
+ * Advances a lifecycle to the given scene time.
+ * @param {object} lifecycle
+ * @param {number} time - Scene time in days.
+ * @returns {{stage: string, spread: boolean}} The current stage, and whether the mushroom
+ *   should spread now (true once, when it matures).
+ */
+export function updateMushroomLifecycle(lifecycle, time) {
+    if (lifecycle.bornAt === null) return { stage: lifecycle.stage, spread: false };
+    const stages = [MUSHROOM_STAGES.SPROUT, MUSHROOM_STAGES.MATURE, MUSHROOM_STAGES.WITHERING, MUSHROOM_STAGES.DECAYING];
+    let age = time - lifecycle.bornAt;
+    let index = 0;
+    while (index < stages.length && age >= lifecycle.durations[index]) {
+        age -= lifecycle.durations[index];
+        index++;
+    }
+    const previousStage = lifecycle.stage;
+    lifecycle.stage = index < stages.length ? stages[index] : MUSHROOM_STAGES.GONE;
+    lifecycle.progress = index < stages.length ? age / lifecycle.durations[index] : 1;
+    const spread = lifecycle.spreads && previousStage === MUSHROOM_STAGES.SPROUT && lifecycle.stage !== MUSHROOM_STAGES.SPROUT;
+    return { stage: lifecycle.stage, spread };
+}
+
+/**
+ * Shows a lifecycle on a spawned mushroom: sprouts grow to full size, withering mushrooms
+ * wilt and brown, decaying ones shrink into the ground.
+ * @param {THREE.Object3D} mushroom - Handle from spawnMushroom (mushrooms/MushroomGenerator.js).
+ * @param {object} lifecycle
+ */
+export function applyMushroomLifecycle(mushroom, lifecycle) {
+    const { stage, progress, settings } = lifecycle;
+    let scale = 1;
+    let height = 1;
+    let wither = 0;
+    if (stage === MUSHROOM_STAGES.SPROUT) {
+        scale = THREE.MathUtils.lerp(settings.sproutScale, 1, THREE.MathUtils.smoothstep(progress, 0, 1));
+    } else if (stage === MUSHROOM_STAGES.WITHERING) {
+        wither = progress;
+        height = 1 - 0.3 * progress;
+    } else if (stage === MUSHROOM_STAGES.DECAYING || stage === MUSHROOM_STAGES.GONE) {
+        wither = 1;
+        scale = 1 - 0.5 * progress;
+        height = 0.7 * (1 - progress);
+    }
+    mushroom.scale.set(scale, Math.max(scale * height, 1e-3), scale);
+    mushroom.userData.fade = wither;
+    mushroom.userData.fadeColor.set(settings.witheredColor);
+}
+
+/**
+ * Positions of a fairy ring around a mushroom: evenly spaced with some jitter, the radius
+ * growing with each generation.
+ * @param {number} x
+ * @param {number} z
+ * @param {number} generation - Generation of the mushroom spreading.
+ * @param {function} getRandom - Function to get a random float in [0,1)
+ * @param {object} [settings=DEFAULT_MUSHROOM_LIFECYCLE]
+ * @returns {Array<{x: number, z: number}>}
+ */
+export function getFairyRingPositions({ x, z, generation, getRandom, settings = DEFAULT_MUSHROOM_LIFECYCLE }) {
+    const [minSize, maxSize] = settings.ringSize;
+    const count = minSize + Math.floor(getRandom() * (maxSize - minSize + 1));
+    const radius = settings.ringRadius * (generation + 1);
+    const offset = getRandom() * Math.PI * 2;
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+        const angle = offset + ((i + (getRandom() - 0.5) * 0.4) / count) * Math.PI * 2;
+        const distance = radius * (0.85 + getRandom() * 0.3);
+        positions.push({ x: x + Math.cos(angle) * distance, z: z + Math.sin(angle) * distance });
+    }
+    return positions;
+}
@@ -0,0 +1,86 @@
+// mushrooms/MushroomSpecies.js
+
+/**
+ * Mushroom species catalog. Each species is plain data; the generator lathes its stem and cap
+ * from the profiles, adds spots and gills, tints every instance within the color ranges and
+ * picks species by rarity weighted with their habitat (see createInstancedMushrooms).
+ * Adding a species to MUSHROOM_SPECIES is enough for it to appear in the forest and at the portal.
+ *
+ * Species fields:
+ *   name     - Unique identifier
+ *   rarity   - Relative weight when choosing a species for a spot
+ *   stem     - { height, radius, profile, color: [from, to] }
+ *   cap      - { radius, height, sink, profile, color: [from, to] }; sink lowers the cap over the stem top
+ *   spots    - Optional { count, size, color } raised spots on the cap
+ *   gills    - Optional { count, depth, color } blades under the cap
+ *   glow     - Optional { color, intensity, pulseSpeed } bioluminescence of the cap and gills at night
+ *   habitat  - Optional placement rule (utils/PlacementRules.js format) weighting the species per spot
+ *   rolls    - Optional; true if a thrown mushroom rolls like a ball instead of sliding
+ * Profiles are [radius, height] points in units of the part's radius and height, lathed around
+ * the vertical axis. Stem profiles run from the ground up; cap profiles start under the cap next
+ * to the stem, run out to the rim along the underside and then over the top to the center.
+ * Colors are hex values; instances pick a color between the two ends of each range.
+ */
+
+// Shared profiles
+const STRAIGHT_STEM = [[1, 0], [0.9, 0.5], [0.8, 1]];
+const BULBOUS_STEM = [[0.8, 0], [1, 0.2], [0.85, 0.55], [0.65, 1]];
+const SLENDER_STEM = [[1, 0], [0.75, 0.5], [0.7, 1]];
+const DOME_CAP = [[0.25, 0.08], [1, 0], [0.97, 0.3], [0.8, 0.7], [0.45, 0.95], [0, 1]];
+const CONE_CAP = [[0.3, 0.05], [1, 0], [0.7, 0.35], [0.35, 0.75], [0, 1]];
+const ROUND_CAP = [[0.3, 0.1], [0.8, 0], [1, 0.35], [0.9, 0.7], [0.5, 0.97], [0, 1]];
+const FUNNEL_CAP = [[0.3, 0], [1, 0.75], [0.95, 0.95], [0.6, 0.8], [0, 0.7]];
+const BELL_CAP = [[0.35, 0.15], [1, 0], [0.85, 0.45], [0.55, 0.85], [0, 1]];
+const BUN_CAP = [[0.3, 0.1], [1, 0], [1.02, 0.35], [0.85, 0.75], [0.45, 0.97], [0, 1]];
+
+export const MUSHROOM_SPECIES = [
+    {
+        name: 'fly-agaric',
+        rarity: 2,
+        stem: { height: 0.3, radius: 0.06, profile: BULBOUS_STEM, color: [0xEDE6D2, 0xFFFBEF] },
+        cap: { radius: 0.2, height: 0.14, sink: 0.02, profile: DOME_CAP, color: [0xB3121B, 0xE8401C] },
+        spots: { count: 14, size: 0.028, color: 0xFAF6EA },
+        gills: { count: 28, depth: 0.025, color: 0xF4EFE0 },
+        habitat: { shade: { category: 'tree', radius: 3, open: 0.3 } }
+    },
+    {
+        name: 'liberty-cap',
+        rarity: 1.5,
+        stem: { height: 0.5, radius: 0.035, profile: SLENDER_STEM, color: [0xD9C7A0, 0xEADCC0] },
+        cap: { radius: 0.1, height: 0.25, sink: 0.07, profile: CONE_CAP, color: [0x9C6B12, 0xC8921A] },
+        gills: { count: 16, depth: 0.015, color: 0x5B4636 },
+        habitat: { maxSlope: 0.2, slopeFalloff: 0.1 }
+    },
+    {
+        name: 'puffball',
+        rarity: 2,
+        stem: { height: 0.15, radius: 0.06, profile: STRAIGHT_STEM, color: [0xE8DFC4, 0xF5EEDA] },
+        cap: { radius: 0.13, height: 0.2, sink: 0.03, profile: ROUND_CAP, color: [0xC9971F, 0xE4BB45] },
+        glow: { color: 0x6FA8FF, intensity: 0.35, pulseSpeed: 0.8 },
+        rolls: true
+    },
+    {
+        name: 'chanterelle',
+        rarity: 1,
+        stem: { height: 0.2, radius: 0.04, profile: SLENDER_STEM, color: [0xE59A1E, 0xF2B544] },
+        cap: { radius: 0.14, height: 0.1, sink: 0.01, profile: FUNNEL_CAP, color: [0xE8901A, 0xF7B733] },
+        gills: { count: 20, depth: 0.02, color: 0xF0A82E },
+        habitat: { height: { min: -Infinity, max: 0, falloff: 0.8 } }
+    },
+    {
+        name: 'porcini',
+        rarity: 1,
+        stem: { height: 0.22, radius: 0.07, profile: BULBOUS_STEM, color: [0xD8CBA8, 0xEDE3C8] },
+        cap: { radius: 0.17, height: 0.12, sink: 0.02, profile: BUN_CAP, color: [0x6B3A1C, 0x9A5E32] },
+        habitat: { height: { min: 0, max: Infinity, falloff: 0.8 } }
+    },
+    {
+        name: 'mycena',
+        rarity: 1.5,
+        stem: { height: 0.24, radius: 0.022, profile: SLENDER_STEM, color: [0xC9D1B0, 0xE0E6CB] },
+        cap: { radius: 0.07, height: 0.07, sink: 0.02, profile: BELL_CAP, color: [0xB7C98A, 0xD8E6A8] },
+        gills: { count: 12, depth: 0.012, color: 0xDCE8B4 },
+        glow: { color: 0x7CFF6B, intensity: 1.2, pulseSpeed: 1.6 },
+        habitat: { shade: { category: 'tree', radius: 2, open: 0 } }
+    }
+];
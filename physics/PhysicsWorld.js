@@ -0,0 +1,459 @@
+// physics/PhysicsWorld.js
+import * as THREE from 'three';
+
+/**
+ * Rigid-body-lite physics for small thrown objects such as the mushrooms launched from the portal.
+ * Bodies are spheres that bounce off the terrain with restitution, slide or roll under Coulomb
+ * friction, hit static capsules (tree trunks, the gateway) and each other, and float or sink
+ * in water. The world advances in fixed steps whatever the frame rate, so the same launch
+ * always plays out the same way; rendering interpolates between the last two steps.
+ * A body's position is its base, the point it stands on; its sphere sits on top of it along
+ * the body's up axis, so the radius can change (e.g. a growing mushroom) without moving it.
+ * Bodies that come to rest fall asleep: they stop moving but stay solid for the others.
+ */
+
+/**
+ * Default world settings.
+ */
+export const DEFAULT_PHYSICS_SETTINGS = {
+    timeStep: 1 / 120,
+    maxSubSteps: 8, // Steps per update at most; below timeStep * maxSubSteps frames per second the simulation slows down
+    gravity: 15,
+    waterDrag: 3, // Velocity damping per second in water
+    waterSinkSpeed: 0.6, // Terminal sinking speed of bodies that do not float
+    bounceThreshold: 0.5, // Impacts slower than this do not bounce
+    spinDamping: 4, // Spin damping per second of bodies sliding on the ground
+    rollingResistance: 0.4, // Deceleration of rolling bodies, in units of gravity times their radius
+    sleepSpeed: 0.15, // Bodies slower than this in contact with something ...
+    sleepTime: 0.4, // ... for this many seconds fall asleep
+    wakeSpeed: 2, // Impact speed that wakes a sleeping body
+    cellSize: 4 // Broad-phase grid cell size, larger than any body
+};
+
+// Gap up to which two bodies still count as touching, e.g. one resting on another
+const CONTACT_MARGIN = 0.02;
+
+// Scratch objects for the steps
+const up = new THREE.Vector3(0, 1, 0);
+const normal = new THREE.Vector3();
+const offset = new THREE.Vector3();
+const contactVelocity = new THREE.Vector3();
+const tangent = new THREE.Vector3();
+const impulse = new THREE.Vector3();
+const spin = new THREE.Vector3();
+const closest = new THREE.Vector3();
+const segment = new THREE.Vector3();
+const heading = new THREE.Vector3();
+const rotation = new THREE.Quaternion();
+const upright = new THREE.Quaternion();
+const yaw = new THREE.Quaternion();
+
+/**
+ * Packs integer grid coordinates into one numeric map key.
+ * @param {number} ix
+ * @param {number} iz
+ * @returns {number}
+ */
+function gridKey(ix, iz) {
+    return (ix + 32768) * 65536 + (iz + 32768);
+}
+
+/**
+ * Creates a sphere body, or resets one for reuse. Add it to a world with addBody.
+ * @param {number} radius - Sphere radius.
+ * @param {number} [restitution=0.3] - Share of the impact speed kept when bouncing.
+ * @param {number} [friction=0.6] - Coulomb friction coefficient.
+ * @param {boolean} [rolls=false] - Whether the body rolls like a solid ball; otherwise it slides.
+ * @param {boolean} [buoyant=false] - Whether the body floats in water; otherwise it sinks.
+ * @param {boolean} [settleUpright=false] - Whether the body stands up on the ground when it falls asleep.
+ * @param {boolean} [sleeping=false] - Whether the body starts asleep, e.g. placed at rest on the ground.
+ * @param {object} [target] - Body to reset and reuse instead of creating a new one.
+ * @returns {object} Body { position, orientation, velocity, angularVelocity, radius, sleeping, ... };
+ *   renderPosition and renderOrientation hold the pose interpolated for the current frame.
+ */
+export function createBody({ radius, restitution = 0.3, friction = 0.6, rolls = false, buoyant = false, settleUpright = false, sleeping = false, target = {} }) {
+    const body = Object.assign(target, {
+        radius,
+        restitution,
+        friction,
+        // Inverse of the solid sphere's moment of inertia in units of its mass and radius; 0 stops rolling
+        inertiaFactor: rolls ? 2.5 : 0,
+        buoyant,
+        settleUpright,
+        inWater: false,
+        floatTime: 0,
+        restTime: 0,
+        sleeping,
+        touching: false,
+        contactNormal: target.contactNormal || new THREE.Vector3(),
+        index: -1
+    });
+    ['position', 'previousPosition', 'renderPosition', 'center', 'velocity', 'angularVelocity'].forEach(name => {
+        body[name] = body[name] ? body[name].set(0, 0, 0) : new THREE.Vector3();
+    });
+    ['orientation', 'previousOrientation', 'renderOrientation'].forEach(name => {
+        body[name] = body[name] ? body[name].identity() : new THREE.Quaternion();
+    });
+    return body;
+}
+
+/**
+ * Creates a static capsule collider: a segment swept by a sphere.
+ * @param {THREE.Vector3} start - One end of the segment.
+ * @param {THREE.Vector3} end - The other end.
+ * @param {number} radius
+ * @returns {object} Collider { start, end, radius }
+ */
+export function createCapsuleCollider({ start, end, radius }) {
+    return { start: start.clone(), end: end.clone(), radius };
+}
+
+/**
+ * Creates a physics world.
+ * @param {function} getTerrainHeight - Function (x, z) => height.
+ * @param {function} getTerrainNormal - Function (x, z, target) => unit normal.
+ * @param {number} [waterLevel=-Infinity] - Height of the water surface over terrain below it.
+ * @param {object} [settings=DEFAULT_PHYSICS_SETTINGS]
+ * @returns {{addBody: function(object): void, removeBody: function(object): void, addColliders: function(Array<object>): object, removeColliders: function(object): void, update: function(number): Array<object>}}
+ */
+export function createPhysicsWorld({ getTerrainHeight, getTerrainNormal, waterLevel = -Infinity, settings = DEFAULT_PHYSICS_SETTINGS }) {
+    const { timeStep, maxSubSteps, cellSize } = settings;
+    const bodies = [];
+    const colliderGrid = new Map();
+    const bodyGrid = new Map();
+    // Bodies that fell asleep during the last update, reused between updates
+    const settled = [];
+    let accumulator = 0;
+
+    function cellOf(value) {
+        return Math.floor(value / cellSize);
+    }
+
+    /**
+     * Adds a body at its current pose.
+     * @param {object} body - Body from createBody.
+     */
+    function addBody(body) {
+        body.index = bodies.length;
+        bodies.push(body);
+        body.previousPosition.copy(body.position);
+        body.previousOrientation.copy(body.orientation);
+        body.renderPosition.copy(body.position);
+        body.renderOrientation.copy(body.orientation);
+    }
+
+    /**
+     * Removes a body; the last body takes its place. Sleeping bodies touching it wake up, so the
+     * ones resting on it fall instead of hovering where it was.
+     * @param {object} body
+     */
+    function removeBody(body) {
+        if (body.index === -1) return;
+        const last = bodies.pop();
+        if (last !== body) {
+            bodies[body.index] = last;
+            last.index = body.index;
+        }
+        body.index = -1;
+        updateCenter(body);
+        bodies.forEach(other => {
+            if (!other.sleeping) return;
+            updateCenter(other);
+            const reach = body.radius + other.radius + CONTACT_MARGIN;
+            if (other.center.distanceToSquared(body.center) <= reach * reach) wake(other);
+        });
+    }
+
+    /**
+     * Adds static colliders, e.g. the tree trunks of a terrain chunk.
+     * @param {Array<object>} colliders - Colliders from createCapsuleCollider.
+     * @returns {object} Group to pass to removeColliders.
+     */
+    function addColliders(colliders) {
+        const group = { colliders: new Set(colliders), keys: [] };
+        colliders.forEach(collider => {
+            // Registered in every cell its bounds touch, grown by a cell so bodies only look in their own cell
+            const minX = cellOf(Math.min(collider.start.x, collider.end.x) - collider.radius) - 1;
+            const maxX = cellOf(Math.max(collider.start.x, collider.end.x) + collider.radius) + 1;
+            const minZ = cellOf(Math.min(collider.start.z, collider.end.z) - collider.radius) - 1;
+            const maxZ = cellOf(Math.max(collider.start.z, collider.end.z) + collider.radius) + 1;
+            for (let ix = minX; ix <= maxX; ix++) {
+                for (let iz = minZ; iz <= maxZ; iz++) {
+                    const key = gridKey(ix, iz);
+                    if (!colliderGrid.has(key)) colliderGrid.set(key, []);
+                    colliderGrid.get(key).push(collider);
+                    group.keys.push(key);
+                }
+            }
+        });
+        return group;
+    }
+
+    /**
+     * Removes colliders added with addColliders.
+     * @param {object} group
+     */
+    function removeColliders(group) {
+        group.keys.forEach(key => {
+            const cell = colliderGrid.get(key);
+            const remaining = cell.filter(collider => !group.colliders.has(collider));
+            if (remaining.length > 0) colliderGrid.set(key, remaining);
+            else colliderGrid.delete(key);
+        });
+        group.keys.length = 0;
+    }
+
+    /**
+     * Updates a body's sphere center from its base, orientation and radius.
+     */
+    function updateCenter(body) {
+        body.center.copy(up).applyQuaternion(body.orientation).multiplyScalar(body.radius).add(body.position);
+    }
+
+    /**
+     * Writes the base back from the sphere center after the center moved or the body turned.
+     */
+    function updatePosition(body) {
+        body.position.copy(up).applyQuaternion(body.orientation).multiplyScalar(-body.radius).add(body.center);
+    }
+
+    /**
+     * Pushes a body out of a static surface and applies the bounce and friction impulses.
+     * Friction acts on the slip at the contact point, so balls spin up and roll.
+     * @param {object} body
+     * @param {THREE.Vector3} contactNormal - Unit normal pointing from the surface to the body.
+     * @param {number} depth - Penetration depth.
+     */
+    function resolveStaticContact(body, contactNormal, depth) {
+        body.center.addScaledVector(contactNormal, depth);
+        body.touching = true;
+        body.contactNormal.copy(contactNormal);
+        const normalSpeed = body.velocity.dot(contactNormal);
+        if (normalSpeed >= 0) return;
+        // Water swallows the bounce
+        const bounce = -normalSpeed > settings.bounceThreshold && !body.inWater ? body.restitution : 0;
+        const normalImpulse = -(1 + bounce) * normalSpeed;
+        body.velocity.addScaledVector(contactNormal, normalImpulse);
+        // Slip of the contact point: linear velocity plus, for rolling bodies, spin times the lever to the contact
+        offset.copy(contactNormal).multiplyScalar(-body.radius);
+        if (body.inertiaFactor > 0) contactVelocity.crossVectors(body.angularVelocity, offset).add(body.velocity);
+        else contactVelocity.copy(body.velocity);
+        tangent.copy(contactVelocity).addScaledVector(contactNormal, -contactVelocity.dot(contactNormal));
+        const slip = tangent.length();
+        if (slip < 1e-6) return;
+        const frictionImpulse = Math.min(slip / (1 + body.inertiaFactor), body.friction * normalImpulse);
+        impulse.copy(tangent).multiplyScalar(-frictionImpulse / slip);
+        body.velocity.add(impulse);
+        if (body.inertiaFactor > 0) {
+            spin.crossVectors(offset, impulse).multiplyScalar(body.inertiaFactor / (body.radius * body.radius));
+            body.angularVelocity.add(spin);
+        }
+    }
+
+    /**
+     * Collides a body with the terrain, treated as the tangent plane under its center.
+     */
+    function collideTerrain(body, dt) {
+        const { center, radius } = body;
+        const height = getTerrainHeight(center.x, center.z);
+        getTerrainNormal(center.x, center.z, normal);
+        const depth = radius - (center.y - height) * normal.y;
+        if (depth <= 0) return;
+        resolveStaticContact(body, normal, depth);
+        if (body.inertiaFactor > 0) {
+            // Rolling resistance slows balls down until they stop on gentle slopes
+            const speed = body.velocity.length();
+            if (speed > 0) {
+                const factor = 1 - Math.min(speed, settings.rollingResistance * settings.gravity * radius * dt) / speed;
+                body.velocity.multiplyScalar(factor);
+                body.angularVelocity.multiplyScalar(factor);
+            }
+        } else {
+            body.angularVelocity.multiplyScalar(Math.exp(-settings.spinDamping * dt));
+        }
+    }
+
+    /**
+     * Collides a body with the static capsules registered in its cell.
+     */
+    function collideColliders(body) {
+        const { center, radius } = body;
+        const colliders = colliderGrid.get(gridKey(cellOf(center.x), cellOf(center.z)));
+        if (!colliders) return;
+        colliders.forEach(collider => {
+            segment.subVectors(collider.end, collider.start);
+            const lengthSq = segment.lengthSq();
+            const t = lengthSq > 0 ? THREE.MathUtils.clamp(offset.subVectors(center, collider.start).dot(segment) / lengthSq, 0, 1) : 0;
+            closest.copy(collider.start).addScaledVector(segment, t);
+            normal.subVectors(center, closest);
+            const distance = normal.length();
+            const depth = radius + collider.radius - distance;
+            if (depth <= 0 || distance < 1e-6) return;
+            resolveStaticContact(body, normal.divideScalar(distance), depth);
+        });
+    }
+
+    /**
+     * Collides two bodies; sleeping bodies do not move unless the impact wakes them.
+     */
+    function collidePair(a, b) {
+        normal.subVectors(a.center, b.center);
+        const distance = normal.length();
+        const depth = a.radius + b.radius - distance;
+        if (depth <= 0 || distance < 1e-6) return;
+        normal.divideScalar(distance);
+        const normalSpeed = contactVelocity.subVectors(a.velocity, b.velocity).dot(normal);
+        if (b.sleeping && -normalSpeed > settings.wakeSpeed) wake(b);
+        // Mass grows with volume
+        const inverseMassA = a.sleeping ? 0 : 1 / (a.radius * a.radius * a.radius);
+        const inverseMassB = b.sleeping ? 0 : 1 / (b.radius * b.radius * b.radius);
+        const inverseMass = inverseMassA + inverseMassB;
+        if (inverseMass === 0) return;
+        a.center.addScaledVector(normal, depth * inverseMassA / inverseMass);
+        b.center.addScaledVector(normal, -depth * inverseMassB / inverseMass);
+        a.touching = b.touching = true;
+        a.contactNormal.copy(normal);
+        b.contactNormal.copy(normal).negate();
+        if (normalSpeed >= 0) return;
+        const bounce = -normalSpeed > settings.bounceThreshold ? Math.min(a.restitution, b.restitution) : 0;
+        const normalImpulse = -(1 + bounce) * normalSpeed / inverseMass;
+        a.velocity.addScaledVector(normal, normalImpulse * inverseMassA);
+        b.velocity.addScaledVector(normal, -normalImpulse * inverseMassB);
+        tangent.copy(contactVelocity).addScaledVector(normal, -normalSpeed);
+        const slip = tangent.length();
+        if (slip < 1e-6) return;
+        const frictionImpulse = Math.min(slip / inverseMass, Math.min(a.friction, b.friction) * normalImpulse);
+        a.velocity.addScaledVector(tangent, -frictionImpulse * inverseMassA / slip);
+        b.velocity.addScaledVector(tangent, frictionImpulse * inverseMassB / slip);
+    }
+
+    /**
+     * Wakes a sleeping body.
+     * @param {object} body
+     */
+    function wake(body) {
+        body.sleeping = false;
+        body.restTime = 0;
+        body.previousPosition.copy(body.position);
+        body.previousOrientation.copy(body.orientation);
+    }
+
+    /**
+     * Puts a body to sleep, standing it up on what it rests on if it settles upright.
+     */
+    function sleep(body) {
+        body.sleeping = true;
+        body.velocity.set(0, 0, 0);
+        body.angularVelocity.set(0, 0, 0);
+        if (body.settleUpright) {
+            // Keep the heading, stand along the contact normal; the base lands where the sphere touches
+            heading.set(0, 0, 1).applyQuaternion(body.orientation);
+            yaw.setFromAxisAngle(up, Math.atan2(heading.x, heading.z));
+            body.orientation.setFromUnitVectors(up, body.contactNormal).multiply(yaw);
+            updatePosition(body);
+        }
+        settled.push(body);
+    }
+
+    /**
+     * Moves a body through water: drag, turning upright, and floating or sinking.
+     */
+    function moveInWater(body, dt) {
+        const drag = Math.exp(-settings.waterDrag * dt);
+        body.velocity.multiplyScalar(drag);
+        body.angularVelocity.multiplyScalar(drag);
+        upright.setFromUnitVectors(heading.copy(up).applyQuaternion(body.orientation), up).multiply(body.orientation);
+        body.orientation.slerp(upright, 1 - drag);
+        if (body.buoyant) {
+            body.floatTime += dt;
+            body.velocity.y = 0;
+            body.center.y = waterLevel + body.radius + Math.sin(body.floatTime * 2.5) * 0.03;
+        } else {
+            body.velocity.y = -settings.waterSinkSpeed;
+        }
+    }
+
+    /**
+     * Advances every awake body by one fixed step.
+     */
+    function step(dt) {
+        bodyGrid.clear();
+        bodies.forEach(body => {
+            updateCenter(body);
+            const key = gridKey(cellOf(body.center.x), cellOf(body.center.z));
+            if (!bodyGrid.has(key)) bodyGrid.set(key, []);
+            bodyGrid.get(key).push(body);
+            if (body.sleeping) return;
+            body.previousPosition.copy(body.position);
+            body.previousOrientation.copy(body.orientation);
+            body.touching = false;
+            if (!body.inWater && body.center.y - body.radius < waterLevel && getTerrainHeight(body.center.x, body.center.z) < waterLevel) {
+                body.inWater = true;
+                body.velocity.y = 0;
+            } else if (body.inWater && getTerrainHeight(body.center.x, body.center.z) >= waterLevel) {
+                // Washed ashore
+                body.inWater = false;
+            }
+            if (body.inWater) moveInWater(body, dt);
+            else body.velocity.y -= settings.gravity * dt;
+            body.center.addScaledVector(body.velocity, dt);
+            const angle = body.angularVelocity.length() * dt;
+            if (angle > 0) {
+                rotation.setFromAxisAngle(spin.copy(body.angularVelocity).normalize(), angle);
+                body.orientation.premultiply(rotation);
+            }
+        });
+        bodies.forEach(body => {
+            if (body.sleeping) return;
+            const cellX = cellOf(body.center.x);
+            const cellZ = cellOf(body.center.z);
+            for (let ix = cellX - 1; ix <= cellX + 1; ix++) {
+                for (let iz = cellZ - 1; iz <= cellZ + 1; iz++) {
+                    const cell = bodyGrid.get(gridKey(ix, iz));
+                    if (!cell) continue;
+                    // Pairs of awake bodies are handled once, from the body listed first
+                    cell.forEach(other => {
+                        if (other !== body && (other.sleeping || other.index > body.index)) collidePair(body, other);
+                    });
+                }
+            }
+        });
+        bodies.forEach(body => {
+            if (body.sleeping) return;
+            collideColliders(body);
+            collideTerrain(body, dt);
+            updatePosition(body);
+            const resting = body.touching && !(body.inWater && body.buoyant) &&
+                body.velocity.length() < settings.sleepSpeed && body.angularVelocity.length() * body.radius < settings.sleepSpeed;
+            body.restTime = resting ? body.restTime + dt : 0;
+            if (body.restTime >= settings.sleepTime) sleep(body);
+        });
+    }
+
+    /**
+     * Advances the world by a frame's time in fixed steps and interpolates the render poses.
+     * @param {number} delta - Frame time in seconds.
+     * @returns {Array<object>} Bodies that fell asleep during this update (reused between calls).
+     */
+    function update(delta) {
+        settled.length = 0;
+        accumulator += delta;
+        // The tolerance keeps rounding from dropping a step, so any frame rate takes the same steps
+        const steps = Math.min(Math.floor(accumulator / timeStep + 1e-6), maxSubSteps);
+        for (let i = 0; i < steps; i++) step(timeStep);
+        accumulator = THREE.MathUtils.clamp(accumulator - steps * timeStep, 0, timeStep);
+        const alpha = accumulator / timeStep;
+        bodies.forEach(body => {
+            if (body.sleeping) {
+                body.renderPosition.copy(body.position);
+                body.renderOrientation.copy(body.orientation);
+                return;
+            }
+            body.renderPosition.lerpVectors(body.previousPosition, body.position, alpha);
+            body.renderOrientation.slerpQuaternions(body.previousOrientation, body.orientation, alpha);
+        });
+        return settled;
+    }
+
+    return { addBody, removeBody, addColliders, removeColliders, update };
+}
@@ -0,0 +1,137 @@
+// shaders/GlowShader.js
+import * as THREE from 'three';
+
+/**
+ * Bioluminescent glow for mushroom materials.
+ * Geometries carry a vec4 `glow` attribute: emissive color times intensity in rgb, pulse speed
+ * in w (zero where a part does not glow). The patched material adds that color to its emission,
+ * scaled by a shared strength that follows the day/night state (setGlow, updateGlow) and by a
+ * slow pulse whose phase each instance takes from its world position.
+ * Works with Mesh, InstancedMesh and BatchedMesh, on top of other patches such as wind sway.
+ */
+
+/**
+ * Glow state shared by every glow material; animate it with setGlow and updateGlow.
+ */
+export const glowUniforms = {
+    uGlowTime: { value: 0 },
+    uGlowStrength: { value: 0 }
+};
+
+// Strength the glow eases towards, and how long a full fade takes in seconds
+let glowTarget = 0;
+let glowFadeTime = 4;
+
+/**
+ * Vertex shader additions: the pulsing glow color, passed on to the fragment shader.
+ */
+export const glowVertexShader = {
+    declarations: `
+  attribute vec4 glow;
+  uniform float uGlowTime;
+  varying vec3 vGlow;
+`,
+    main: `
+  mat4 glowToWorld = modelMatrix;
+  #ifdef USE_INSTANCING
+    glowToWorld = glowToWorld * instanceMatrix;
+  #endif
+  #ifdef USE_BATCHING
+    glowToWorld = glowToWorld * batchingMatrix;
+  #endif
+  float glowPhase = fract(sin(dot(glowToWorld[3].xz, vec2(12.9898, 78.233))) * 43758.5453) * 6.2831853;
+  vGlow = glow.rgb * (0.65 + 0.35 * sin(uGlowTime * glow.w + glowPhase));
+`
+};
+
+/**
+ * Fragment shader additions: the glow joins the material's emission.
+ */
+export const glowFragmentShader = {
+    declarations: `
+  uniform float uGlowStrength;
+  varying vec3 vGlow;
+`,
+    main: `
+  totalEmissiveRadiance += vGlow * uGlowStrength;
+`
+};
+
+/**
+ * Patches a shader (from onBeforeCompile) with the glow.
+ * @param {object} shader
+ */
+function injectGlow(shader) {
+    Object.assign(shader.uniforms, glowUniforms);
+    shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>\n${glowVertexShader.declarations}`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>\n${glowVertexShader.main}`);
+    shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>\n${glowFragmentShader.declarations}`)
+        .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>\n${glowFragmentShader.main}`);
+}
+
+/**
+ * Adds the glow to a material, keeping any patch already installed (e.g. applyWindToMaterial).
+ * Every geometry drawn with the material needs the glow attribute (see createGlowAttribute).
+ * @param {THREE.Material} material - Built-in lit material to patch (e.g. MeshStandardMaterial).
+ * @returns {THREE.Material} The same material.
+ */
+export function applyGlowToMaterial(material) {
+    const previousPatch = material.onBeforeCompile;
+    const previousKey = material.customProgramCacheKey.bind(material);
+    material.onBeforeCompile = (shader, renderer) => {
+        previousPatch.call(material, shader, renderer);
+        injectGlow(shader);
+    };
+    material.customProgramCacheKey = () => `${previousKey()}-glow`;
+    return material;
+}
+
+/**
+ * Creates a uniform glow attribute for a geometry.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {object} [glow] - { color, intensity, pulseSpeed }; the part does not glow if omitted.
+ * @returns {THREE.BufferAttribute}
+ */
+export function createGlowAttribute(geometry, glow) {
+    const values = new Float32Array(geometry.attributes.position.count * 4);
+    if (glow) {
+        const color = new THREE.Color(glow.color).multiplyScalar(glow.intensity);
+        for (let i = 0; i < values.length; i += 4) {
+            color.toArray(values, i);
+            values[i + 3] = glow.pulseSpeed;
+        }
+    }
+    return new THREE.BufferAttribute(values, 4);
+}
+
+/**
+ * Sets the glow strength to fade towards; omitted values are left unchanged.
+ * @param {number} [target] - Strength to reach (0 off, 1 full).
+ * @param {number} [fadeTime] - Seconds a fade from 0 to 1 takes.
+ */
+export function setGlow({ target, fadeTime }) {
+    if (target !== undefined) glowTarget = target;
+    if (fadeTime !== undefined) glowFadeTime = fadeTime;
+}
+
+/**
+ * Advances the pulse and the fade towards the target strength.
+ * @param {number} time - Elapsed time in seconds.
+ * @param {number} delta - Seconds since the last update.
+ */
+export function updateGlow(time, delta) {
+    glowUniforms.uGlowTime.value = time;
+    const strength = glowUniforms.uGlowStrength;
+    const step = glowFadeTime > 0 ? delta / glowFadeTime : Infinity;
+    strength.value += THREE.MathUtils.clamp(glowTarget - strength.value, -step, step);
+}
+
+/**
+ * Current glow strength, e.g. to scale lights that go with the glow.
+ * @returns {number}
+ */
+export function getGlowStrength() {
+    return glowUniforms.uGlowStrength.value;
+}
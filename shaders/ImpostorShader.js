@@ -0,0 +1,80 @@
+// shaders/ImpostorShader.js
+import * as THREE from 'three';
+
+/**
+ * Billboard impostor material for distant trees.
+ * Each card is a quad whose texture row holds the tree rendered from several angles around
+ * its vertical axis (see bakeTreeImpostors in forest/TreeImpostors.js). The vertex shader turns
+ * the card towards the camera about the instance's vertical axis and picks the baked frame
+ * closest to the viewing angle, so the silhouette follows the instance's rotation.
+ * Works with Mesh, InstancedMesh and BatchedMesh; shadows use the matching depth material,
+ * whose cards face the light.
+ */
+
+/**
+ * Vertex shader additions. setup runs after the batching matrix is known; normal and position
+ * replace the object-space normal and position with the camera-facing card.
+ */
+export const impostorVertexShader = {
+    declarations: `
+  uniform float uImpostorFrames;
+`,
+    setup: `
+  mat4 impostorToWorld = modelMatrix;
+  #ifdef USE_INSTANCING
+    impostorToWorld = impostorToWorld * instanceMatrix;
+  #endif
+  #ifdef USE_BATCHING
+    impostorToWorld = impostorToWorld * batchingMatrix;
+  #endif
+  vec3 impostorCamera = (inverse(impostorToWorld) * vec4(cameraPosition, 1.0)).xyz;
+  vec2 impostorView = impostorCamera.xz;
+  impostorView = dot(impostorView, impostorView) > 1e-8 ? normalize(impostorView) : vec2(0.0, 1.0);
+  float impostorAngle = atan(impostorView.x, impostorView.y);
+  float impostorFrame = mod(floor(impostorAngle / (2.0 * PI) * uImpostorFrames + 0.5), uImpostorFrames);
+  #ifdef USE_MAP
+    vMapUv.x += impostorFrame / uImpostorFrames;
+  #endif
+`,
+    normal: `
+  objectNormal = normalize(vec3(impostorView.x, 0.5, impostorView.y));
+`,
+    position: `
+  transformed = vec3(impostorView.y, 0.0, -impostorView.x) * position.x + vec3(0.0, position.y, 0.0);
+`
+};
+
+/**
+ * Patches a shader (from onBeforeCompile) into a camera-facing impostor.
+ * @param {object} shader
+ * @param {object} uniforms - Per-material uniforms (uImpostorFrames).
+ */
+function injectImpostor(shader, uniforms) {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>\n${impostorVertexShader.declarations}`)
+        .replace('#include <batching_vertex>', `#include <batching_vertex>\n${impostorVertexShader.setup}`)
+        .replace('#include <beginnormal_vertex>', `#include <beginnormal_vertex>\n${impostorVertexShader.normal}`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>\n${impostorVertexShader.position}`);
+}
+
+/**
+ * Creates the impostor material and its shadow depth material.
+ * @param {THREE.Texture} map - Impostor atlas; frames are laid out left to right in each row.
+ * @param {number} frames - Number of baked viewing angles per row.
+ * @param {number} [alphaTest=0.5] - Alpha cutoff for the card silhouette.
+ * @returns {THREE.MeshStandardMaterial} The material; userData.impostorDepthMaterial holds the depth material.
+ */
+export function createImpostorMaterial({ map, frames, alphaTest = 0.5 }) {
+    const uniforms = { uImpostorFrames: { value: frames } };
+    const material = new THREE.MeshStandardMaterial({ map, alphaTest, roughness: 0.9, metalness: 0 });
+    // Shadow cards face the light, so their back faces must not be culled
+    material.shadowSide = THREE.DoubleSide;
+    material.onBeforeCompile = shader => injectImpostor(shader, uniforms);
+    material.customProgramCacheKey = () => 'impostor';
+    const depthMaterial = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking, map, alphaTest });
+    depthMaterial.onBeforeCompile = shader => injectImpostor(shader, uniforms);
+    depthMaterial.customProgramCacheKey = () => 'impostor-depth';
+    material.userData.impostorDepthMaterial = depthMaterial;
+    return material;
+}
@@ -0,0 +1,75 @@
+// shaders/MoonShader.js
+import * as THREE from 'three';
+
+/**
+ * Moon phase shading for the moon mesh.
+ * The patched material darkens the half of the sphere facing away from the sun, down to a
+ * faint earthshine, so the moon shows its phase for wherever the sun is (see
+ * updateCelestialBodyPosition in lighting/DayNightCycle.js). Meant for unlit materials such as
+ * MeshBasicMaterial, which would otherwise draw a flat disc.
+ */
+
+/**
+ * Moon phase state shared by every patched material; set it with setMoonSunDirection.
+ */
+export const moonPhaseUniforms = {
+    uMoonSunDirection: { value: new THREE.Vector3(0, 1, 0) },
+    uMoonEarthshine: { value: 0.06 }
+};
+
+/**
+ * Vertex shader additions: the world-space normal, passed on to the fragment shader.
+ */
+export const moonPhaseVertexShader = {
+    declarations: `
+  varying vec3 vMoonNormal;
+`,
+    main: `
+  vMoonNormal = normalize(mat3(modelMatrix) * normal);
+`
+};
+
+/**
+ * Fragment shader additions: the terminator between the lit and the dark side.
+ */
+export const moonPhaseFragmentShader = {
+    declarations: `
+  uniform vec3 uMoonSunDirection;
+  uniform float uMoonEarthshine;
+  varying vec3 vMoonNormal;
+`,
+    main: `
+  float moonLit = smoothstep(-0.08, 0.08, dot(normalize(vMoonNormal), uMoonSunDirection));
+  diffuseColor.rgb *= mix(uMoonEarthshine, 1.0, moonLit);
+`
+};
+
+/**
+ * Adds the phase shading to a material, keeping any patch already installed.
+ * @param {THREE.Material} material - Material of the moon mesh.
+ * @returns {THREE.Material} The same material.
+ */
+export function applyMoonPhaseToMaterial(material) {
+    const previousPatch = material.onBeforeCompile;
+    const previousKey = material.customProgramCacheKey.bind(material);
+    material.onBeforeCompile = (shader, renderer) => {
+        previousPatch.call(material, shader, renderer);
+        Object.assign(shader.uniforms, moonPhaseUniforms);
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>\n${moonPhaseVertexShader.declarations}`)
+            .replace('#include <begin_vertex>', `#include <begin_vertex>\n${moonPhaseVertexShader.main}`);
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>\n${moonPhaseFragmentShader.declarations}`)
+            .replace('#include <color_fragment>', `#include <color_fragment>\n${moonPhaseFragmentShader.main}`);
+    };
+    material.customProgramCacheKey = () => `${previousKey()}-moon-phase`;
+    return material;
+}
+
+/**
+ * Points the lit side of the moon towards the sun.
+ * @param {THREE.Vector3} direction - Direction from the moon to the sun (need not be normalized).
+ */
+export function setMoonSunDirection(direction) {
+    moonPhaseUniforms.uMoonSunDirection.value.copy(direction).normalize();
+}
@@ -0,0 +1,69 @@
+// shaders/PrecipitationShader.js
+import * as THREE from 'three';
+
+/**
+ * Rain and snow particle shader (see weather/Precipitation.js), for THREE.Points.
+ * Every particle's motion is computed on the GPU: it starts at a fixed spot in a box (its position
+ * attribute, in [0, 1)), falls by uFall and drifts with the wind by uDrift, each scaled by its own
+ * speed, and wraps around inside the box, which is centered on uFocus. The CPU only advances the
+ * totals. Define RAIN for falling streaks, SNOW for swaying flakes.
+ */
+export const precipitationShader = {
+    name: 'PrecipitationShader',
+    uniforms: {
+        uTime: { value: 0 },
+        uFocus: { value: new THREE.Vector3() },
+        uBoxSize: { value: new THREE.Vector3(30, 20, 30) },
+        uFall: { value: 0 },
+        uDrift: { value: new THREE.Vector2() },
+        uSize: { value: 0.5 },
+        uScale: { value: 500 },
+        uColor: { value: new THREE.Color(0xffffff) },
+        uOpacity: { value: 0.5 }
+    },
+    vertexShader: `
+  attribute float aSpeed;
+  uniform float uTime;
+  uniform vec3 uFocus;
+  uniform vec3 uBoxSize;
+  uniform float uFall;
+  uniform vec2 uDrift;
+  uniform float uSize;
+  uniform float uScale;
+  varying float vFade;
+  void main() {
+    vec3 p = position * uBoxSize;
+    p.y -= uFall * aSpeed;
+    p.xz += uDrift * aSpeed;
+    #ifdef SNOW
+    p.x += sin(uTime * 1.3 + position.y * 40.0) * 0.3;
+    p.z += cos(uTime * 1.1 + position.x * 40.0) * 0.3;
+    #endif
+    // Wrap into the box around the focus
+    vec3 offset = mod(p - uFocus + 0.5 * uBoxSize, uBoxSize) - 0.5 * uBoxSize;
+    // Fade out towards the faces of the box, so particles do not pop in and out as they wrap
+    vec3 edge = abs(offset) / uBoxSize;
+    vFade = 1.0 - smoothstep(0.35, 0.5, max(max(edge.x, edge.y), edge.z));
+    vec4 mvPosition = viewMatrix * vec4(uFocus + offset, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = uSize * uScale / max(-mvPosition.z, 0.1);
+  }
+`,
+    fragmentShader: `
+  uniform vec3 uColor;
+  uniform float uOpacity;
+  varying float vFade;
+  void main() {
+    vec2 p = gl_PointCoord - 0.5;
+    #ifdef RAIN
+    float alpha = (1.0 - smoothstep(0.0, 0.06, abs(p.x))) * (1.0 - smoothstep(0.3, 0.5, abs(p.y)));
+    #else
+    float alpha = 1.0 - smoothstep(0.2, 0.5, length(p));
+    #endif
+    // Lightened a little so the particles still show against the night
+    gl_FragColor = vec4(mix(uColor, vec3(1.0), 0.25), alpha * vFade * uOpacity);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`
+};
@@ -0,0 +1,140 @@
+// shaders/SkyShader.js
+import * as THREE from 'three';
+
+/**
+ * Sky dome shader (see lighting/SkyDome.js), drawn on the inside of a sphere around the camera.
+ * The sky fades from the zenith color to the horizon color as the line of sight crosses more air
+ * and is brightened by a Rayleigh phase term around the sun's axis; a low sun reddens the horizon
+ * on its side and a Henyey-Greenstein (Mie) term draws the haze around the sun and moon. A hashed
+ * star field turned about uStarAxis by uStarRotation fades in once the sun is down, and fbm clouds
+ * on a virtual plane above the camera drift with uTime. Below the horizon the dome takes the
+ * horizon color, which is also the fog color, so the fogged terrain blends into it.
+ */
+export const skyShader = {
+    name: 'SkyShader',
+    uniforms: {
+        uTime: { value: 0 },
+        uZenithColor: { value: new THREE.Color(0x87CEEB) },
+        uHorizonColor: { value: new THREE.Color(0xcce0ff) },
+        uLightColor: { value: new THREE.Color(0xffffff) },
+        uSunDirection: { value: new THREE.Vector3(0, 1, 0) },
+        uMoonDirection: { value: new THREE.Vector3(0, -1, 0) },
+        uMoonBrightness: { value: 1 },
+        uRayleighStrength: { value: 0.3 },
+        uMieStrength: { value: 0.3 },
+        uMieAnisotropy: { value: 0.76 },
+        uStarAxis: { value: new THREE.Vector3(0, 1, 0) },
+        uStarRotation: { value: 0 },
+        uStarDensity: { value: 80 },
+        uCloudCover: { value: 0.45 },
+        uCloudScale: { value: 1.5 },
+        uCloudSpeed: { value: 0.02 },
+        uCloudDirection: { value: new THREE.Vector2(1, 0) }
+    },
+    vertexShader: `
+  varying vec3 vDirection;
+  void main() {
+    vDirection = position;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`,
+    fragmentShader: `
+  #include <common>
+  uniform float uTime;
+  uniform vec3 uZenithColor;
+  uniform vec3 uHorizonColor;
+  uniform vec3 uLightColor;
+  uniform vec3 uSunDirection;
+  uniform vec3 uMoonDirection;
+  uniform float uMoonBrightness;
+  uniform float uRayleighStrength;
+  uniform float uMieStrength;
+  uniform float uMieAnisotropy;
+  uniform vec3 uStarAxis;
+  uniform float uStarRotation;
+  uniform float uStarDensity;
+  uniform float uCloudCover;
+  uniform float uCloudScale;
+  uniform float uCloudSpeed;
+  uniform vec2 uCloudDirection;
+  varying vec3 vDirection;
+  float hash12(vec2 p) {
+    vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+    p3 += dot(p3, p3.yzx + 33.33);
+    return fract((p3.x + p3.y) * p3.z);
+  }
+  vec3 hash33(vec3 p) {
+    p = fract(p * vec3(0.1031, 0.1030, 0.0973));
+    p += dot(p, p.yxz + 33.33);
+    return fract((p.xxy + p.yxx) * p.zyx);
+  }
+  float valueNoise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    return mix(mix(hash12(i), hash12(i + vec2(1.0, 0.0)), u.x),
+               mix(hash12(i + vec2(0.0, 1.0)), hash12(i + vec2(1.0, 1.0)), u.x), u.y);
+  }
+  float fbm(vec2 p) {
+    float sum = 0.0;
+    float amplitude = 0.5;
+    for (int i = 0; i < 5; i++) {
+      sum += amplitude * valueNoise(p);
+      p = p * 2.03 + vec2(17.1, 9.2);
+      amplitude *= 0.5;
+    }
+    return sum;
+  }
+  // Share of the light scattered by haze towards the viewer; strongly forward for g near 1
+  float henyeyGreenstein(float cosTheta, float g) {
+    float g2 = g * g;
+    return (1.0 - g2) / (4.0 * PI * pow(1.0 + g2 - 2.0 * g * cosTheta, 1.5));
+  }
+  vec3 rotateAroundAxis(vec3 v, vec3 axis, float angle) {
+    float c = cos(angle);
+    return v * c + cross(axis, v) * sin(angle) + axis * dot(axis, v) * (1.0 - c);
+  }
+  // One star at a hashed spot in some of the cells of a grid around the sky
+  float starField(vec3 direction) {
+    vec3 p = direction * uStarDensity;
+    vec3 cell = floor(p);
+    vec3 h = hash33(cell);
+    if (h.x < 0.75) return 0.0;
+    float distanceToStar = length(p - (cell + 0.25 + 0.5 * h));
+    float twinkle = 0.75 + 0.25 * sin(uTime * (2.0 + 3.0 * h.z) + h.y * 6.2832);
+    return smoothstep(0.15, 0.0, distanceToStar) * (h.x - 0.75) * 4.0 * twinkle;
+  }
+  void main() {
+    vec3 direction = normalize(vDirection);
+    float height = direction.y;
+    float cosSun = dot(direction, uSunDirection);
+    float daylight = smoothstep(-0.1, 0.1, uSunDirection.y);
+    // Rayleigh: the sky pales towards the horizon and brightens along the sun's axis
+    float horizon = pow(1.0 - max(height, 0.0), 3.0);
+    vec3 sky = mix(uZenithColor, uHorizonColor, horizon);
+    sky *= mix(1.0, 0.75 * (1.0 + cosSun * cosSun), uRayleighStrength * daylight);
+    // A low sun shines through so much air that mostly its red light is left
+    float lowSun = 1.0 - smoothstep(0.0, 0.3, abs(uSunDirection.y));
+    sky = mix(sky, uLightColor * vec3(1.0, 0.75, 0.55), lowSun * horizon * pow(cosSun * 0.5 + 0.5, 3.0) * 0.6);
+    // Mie: haze around the sun and a fainter one around the moon
+    sky += uLightColor * henyeyGreenstein(cosSun, uMieAnisotropy) * uMieStrength * daylight;
+    float moonUp = smoothstep(-0.05, 0.05, uMoonDirection.y);
+    sky += vec3(0.8, 0.85, 1.0) * henyeyGreenstein(dot(direction, uMoonDirection), 0.9) * 0.02 * uMoonBrightness * moonUp * (1.0 - daylight);
+    // Clouds on a plane above the camera, thinning out towards the horizon
+    float cloud = 0.0;
+    if (height > 0.0) {
+      vec2 cloudUv = direction.xz / (height + 0.12) * uCloudScale + uCloudDirection * uTime * uCloudSpeed;
+      cloud = smoothstep(1.0 - uCloudCover, 1.0 - uCloudCover + 0.35, fbm(cloudUv)) * smoothstep(0.0, 0.1, height);
+      vec3 cloudColor = sky * 0.6 + uLightColor * (0.55 * daylight + 0.06)
+        + uLightColor * henyeyGreenstein(cosSun, 0.6) * 0.3 * daylight;
+      sky = mix(sky, cloudColor, cloud * 0.9);
+    }
+    float starVisibility = (1.0 - smoothstep(-0.18, 0.02, uSunDirection.y)) * smoothstep(0.0, 0.12, height) * (1.0 - cloud);
+    sky += vec3(starField(rotateAroundAxis(direction, uStarAxis, -uStarRotation)) * starVisibility);
+    sky = mix(sky, uHorizonColor, 1.0 - smoothstep(-0.1, 0.0, height));
+    gl_FragColor = vec4(sky, 1.0);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`
+};
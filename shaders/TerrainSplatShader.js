@@ -0,0 +1,163 @@
+// shaders/TerrainSplatShader.js
+import * as THREE from 'three';
+
+/**
+ * Terrain splat material: a MeshStandardMaterial whose base color blends grass, dirt, moss
+ * and rock layers by slope, height and a world-space noise mask.
+ * Lighting, shadows and fog come from the standard material; only the albedo is replaced.
+ * Slope is read from the vertex normals, which the terrain meshes derive from getTerrainHeight.
+ * The detail texture is sampled in world space at two rotated scales and mixed by noise,
+ * so it tiles without visible repetition across chunks.
+ */
+
+/**
+ * Default splat blending parameters.
+ * Slopes are 1 - normal.y (0 = flat); heights are normalized by maxHeight to [-1, 1].
+ */
+export const DEFAULT_TERRAIN_SPLAT_OPTIONS = {
+    textureScale: 0.4,
+    maxHeight: 1,
+    rockSlope: [0.05, 0.12],
+    dirtSlope: [0.02, 0.05],
+    mossHeight: [0.2, 0.6],
+    dirtHeight: [-0.5, -0.1],
+    maskFrequency: 0.08
+};
+
+/**
+ * Vertex shader additions: world position and normal for the splat weights.
+ */
+export const terrainSplatVertexShader = {
+    declarations: `
+  varying vec3 vSplatWorldPosition;
+  varying vec3 vSplatWorldNormal;
+`,
+    main: `
+  vSplatWorldPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+  vSplatWorldNormal = normalize(mat3(modelMatrix) * objectNormal);
+`
+};
+
+/**
+ * Fragment shader additions: layer weights and the blended albedo.
+ */
+export const terrainSplatFragmentShader = {
+    declarations: `
+  varying vec3 vSplatWorldPosition;
+  varying vec3 vSplatWorldNormal;
+  uniform sampler2D uSplatDetailMap;
+  uniform vec3 uSplatGrassColor;
+  uniform vec3 uSplatDirtColor;
+  uniform vec3 uSplatMossColor;
+  uniform vec3 uSplatRockColor;
+  uniform float uSplatTextureScale;
+  uniform float uSplatMaxHeight;
+  uniform float uSplatMaskFrequency;
+  uniform vec2 uSplatRockSlope;
+  uniform vec2 uSplatDirtSlope;
+  uniform vec2 uSplatMossHeight;
+  uniform vec2 uSplatDirtHeight;
+  float splatHash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453123);
+  }
+  float splatNoise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    return mix(mix(splatHash(i), splatHash(i + vec2(1.0, 0.0)), u.x),
+               mix(splatHash(i + vec2(0.0, 1.0)), splatHash(i + vec2(1.0, 1.0)), u.x), u.y);
+  }
+  float splatFbm(vec2 p) {
+    return splatNoise(p) * 0.6 + splatNoise(p * 2.7 + 13.1) * 0.3 + splatNoise(p * 7.3 - 4.7) * 0.1;
+  }
+  vec3 sampleSplatDetail(vec2 worldXZ) {
+    // Two samples at different scales and rotations, mixed by a noise mask, hide the tiling period
+    vec2 uvA = worldXZ * uSplatTextureScale;
+    vec2 uvB = mat2(0.8, -0.6, 0.6, 0.8) * worldXZ * uSplatTextureScale * 0.43 + vec2(0.37, 0.71);
+    float blend = smoothstep(0.3, 0.7, splatNoise(worldXZ * 0.05));
+    return mix(texture2D(uSplatDetailMap, uvA).rgb, texture2D(uSplatDetailMap, uvB).rgb, blend);
+  }
+`,
+    main: `
+  vec2 splatXZ = vSplatWorldPosition.xz;
+  float splatSlope = 1.0 - clamp(normalize(vSplatWorldNormal).y, 0.0, 1.0);
+  float splatHeight = vSplatWorldPosition.y / uSplatMaxHeight;
+  float splatMask = splatFbm(splatXZ * uSplatMaskFrequency);
+  vec3 splatDetail = sampleSplatDetail(splatXZ);
+  float splatLuma = dot(splatDetail, vec3(0.299, 0.587, 0.114));
+  float dirtWeight = max(
+    smoothstep(uSplatDirtSlope.x, uSplatDirtSlope.y, splatSlope),
+    1.0 - smoothstep(uSplatDirtHeight.x, uSplatDirtHeight.y, splatHeight)
+  ) * smoothstep(0.35, 0.6, splatMask);
+  float mossWeight = smoothstep(uSplatMossHeight.x, uSplatMossHeight.y, splatHeight + (splatMask - 0.5) * 0.4);
+  float rockWeight = smoothstep(uSplatRockSlope.x, uSplatRockSlope.y, splatSlope + (splatMask - 0.5) * 0.03);
+  vec3 splatColor = uSplatGrassColor * splatDetail;
+  splatColor = mix(splatColor, uSplatDirtColor * splatLuma, dirtWeight);
+  splatColor = mix(splatColor, uSplatMossColor * splatDetail, mossWeight * (1.0 - rockWeight));
+  splatColor = mix(splatColor, uSplatRockColor * mix(0.7, 1.3, splatNoise(splatXZ * 1.7)) * splatLuma, rockWeight);
+  // Broad brightness variation breaks up large flat areas
+  splatColor *= mix(0.85, 1.1, splatNoise(splatXZ * 0.02 + 5.3));
+  diffuseColor.rgb *= splatColor;
+`
+};
+
+/**
+ * Creates the terrain splat material.
+ * @param {THREE.Texture} detailMap - Repeating detail texture (the grass texture); must use RepeatWrapping.
+ * @param {object} colors - Layer colors { grass, dirt, moss, rock } (see daySettings.terrainSplatColors).
+ * @param {object} [options] - Overrides for DEFAULT_TERRAIN_SPLAT_OPTIONS.
+ * @returns {THREE.MeshStandardMaterial}
+ */
+export function createTerrainSplatMaterial({ detailMap, colors, options = {} }) {
+    const settings = { ...DEFAULT_TERRAIN_SPLAT_OPTIONS, ...options };
+    const uniforms = {
+        uSplatDetailMap: { value: detailMap },
+        uSplatGrassColor: { value: new THREE.Color() },
+        uSplatDirtColor: { value: new THREE.Color() },
+        uSplatMossColor: { value: new THREE.Color() },
+        uSplatRockColor: { value: new THREE.Color() },
+        uSplatTextureScale: { value: settings.textureScale },
+        uSplatMaxHeight: { value: settings.maxHeight },
+        uSplatMaskFrequency: { value: settings.maskFrequency },
+        uSplatRockSlope: { value: new THREE.Vector2(...settings.rockSlope) },
+        uSplatDirtSlope: { value: new THREE.Vector2(...settings.dirtSlope) },
+        uSplatMossHeight: { value: new THREE.Vector2(...settings.mossHeight) },
+        uSplatDirtHeight: { value: new THREE.Vector2(...settings.dirtHeight) }
+    };
+    const material = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.9, metalness: 0.1 });
+    material.userData.splatUniforms = uniforms;
+    material.onBeforeCompile = shader => {
+        Object.assign(shader.uniforms, uniforms);
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>\n${terrainSplatVertexShader.declarations}`)
+            .replace('#include <worldpos_vertex>', `#include <worldpos_vertex>\n${terrainSplatVertexShader.main}`);
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>\n${terrainSplatFragmentShader.declarations}`)
+            .replace('#include <map_fragment>', `#include <map_fragment>\n${terrainSplatFragmentShader.main}`);
+    };
+    material.customProgramCacheKey = () => 'terrain-splat';
+    setTerrainSplatColors(material, colors);
+    return material;
+}
+
+/**
+ * Whether a material was created by createTerrainSplatMaterial.
+ * @param {THREE.Material} material
+ * @returns {boolean}
+ */
+export function isTerrainSplatMaterial(material) {
+    return Boolean(material && material.userData.splatUniforms);
+}
+
+/**
+ * Updates the layer colors of a terrain splat material, e.g. from the day/night palette.
+ * @param {THREE.MeshStandardMaterial} material - Material from createTerrainSplatMaterial.
+ * @param {object} colors - Layer colors { grass, dirt, moss, rock } as anything THREE.Color.set accepts.
+ */
+export function setTerrainSplatColors(material, { grass, dirt, moss, rock }) {
+    const uniforms = material.userData.splatUniforms;
+    uniforms.uSplatGrassColor.value.set(grass);
+    uniforms.uSplatDirtColor.value.set(dirt);
+    uniforms.uSplatMossColor.value.set(moss);
+    uniforms.uSplatRockColor.value.set(rock);
+}
@@ -0,0 +1,77 @@
+// shaders/WaterShader.js
+import * as THREE from 'three';
+
+/**
+ * Water surface shader for use with the three.js Reflector (options.shader).
+ * The Reflector supplies the mirrored scene in tDiffuse and the projective textureMatrix;
+ * this shader ripples the reflection with animated analytic waves, tints it with the
+ * water color and blends by a Fresnel term. The color, tDiffuse and textureMatrix
+ * uniforms are required by the Reflector; color is unused.
+ */
+export const waterShader = {
+    name: 'WaterShader',
+    uniforms: THREE.UniformsUtils.merge([
+        THREE.UniformsLib.fog,
+        {
+            color: { value: null },
+            tDiffuse: { value: null },
+            textureMatrix: { value: null },
+            uTime: { value: 0 },
+            uWaterColor: { value: new THREE.Color(0x2E6F8E) },
+            uDistortion: { value: 0.03 },
+            uOpacity: { value: 0.8 }
+        }
+    ]),
+    vertexShader: `
+  uniform mat4 textureMatrix;
+  varying vec4 vUv;
+  varying vec3 vWorldPosition;
+  #include <common>
+  #include <fog_pars_vertex>
+  #include <logdepthbuf_pars_vertex>
+  void main() {
+    vUv = textureMatrix * vec4(position, 1.0);
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    vec4 mvPosition = viewMatrix * worldPosition;
+    gl_Position = projectionMatrix * mvPosition;
+    #include <logdepthbuf_vertex>
+    #include <fog_vertex>
+  }
+`,
+    fragmentShader: `
+  uniform sampler2D tDiffuse;
+  uniform float uTime;
+  uniform vec3 uWaterColor;
+  uniform float uDistortion;
+  uniform float uOpacity;
+  varying vec4 vUv;
+  varying vec3 vWorldPosition;
+  #include <fog_pars_fragment>
+  #include <logdepthbuf_pars_fragment>
+  // Slope (d/dx, d/dz) of one travelling sine wave
+  vec2 waveSlope(vec2 p, vec2 direction, float frequency, float speed, float amplitude) {
+    return direction * cos(dot(p, direction) * frequency + uTime * speed) * frequency * amplitude;
+  }
+  void main() {
+    #include <logdepthbuf_fragment>
+    vec2 p = vWorldPosition.xz;
+    vec2 slope = waveSlope(p, vec2(0.8, 0.6), 1.3, 1.1, 0.04)
+      + waveSlope(p, vec2(-0.5, 0.87), 2.1, 1.7, 0.025)
+      + waveSlope(p, vec2(0.2, -0.98), 3.7, 2.3, 0.012)
+      + waveSlope(p, vec2(-0.9, -0.44), 6.3, 3.1, 0.006);
+    vec3 normal = normalize(vec3(-slope.x, 1.0, -slope.y));
+    vec4 reflectionUv = vUv;
+    reflectionUv.xy += normal.xz * uDistortion * reflectionUv.w;
+    vec3 reflection = texture2DProj(tDiffuse, reflectionUv).rgb;
+    vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+    float fresnel = 0.02 + 0.98 * pow(1.0 - max(dot(viewDirection, normal), 0.0), 5.0);
+    float reflectivity = mix(0.35, 1.0, fresnel);
+    vec3 color = mix(uWaterColor, reflection * mix(vec3(1.0), uWaterColor * 2.0, 0.3), reflectivity);
+    gl_FragColor = vec4(color, mix(uOpacity, 1.0, fresnel));
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+    #include <fog_fragment>
+  }
+`
+};
@@ -0,0 +1,129 @@
+// shaders/WindShader.js
+import * as THREE from 'three';
+
+/**
+ * Wind sway for vegetation materials (tree foliage and trunks, mushroom stems and caps).
+ * Patches a built-in material through onBeforeCompile: vertices bend downwind by the square
+ * of their height above the object origin, so bases stay planted and tops sway.
+ * Each instance takes its phase from its world position (instance, batching and model matrix),
+ * so neighbouring trees move out of step and gusts roll across the forest along the wind.
+ * Works with Mesh, InstancedMesh and BatchedMesh. Shadows sway too when the mesh uses the
+ * matching depth material (see applyWindShadows).
+ */
+
+/**
+ * Wind state shared by every wind material; animate it with setWind and updateWind.
+ */
+export const windUniforms = {
+    uWindTime: { value: 0 },
+    uWindStrength: { value: 0.25 },
+    uWindDirection: { value: new THREE.Vector2(1, 0) },
+    uWindFrequency: { value: 1.2 }
+};
+
+/**
+ * Vertex shader additions: the downwind offset, applied to the object-space position.
+ */
+export const windVertexShader = {
+    declarations: `
+  uniform float uWindTime;
+  uniform float uWindStrength;
+  uniform vec2 uWindDirection;
+  uniform float uWindFrequency;
+  uniform float uWindFlexibility;
+  uniform float uWindFlutter;
+`,
+    main: `
+  mat4 windToWorld = modelMatrix;
+  #ifdef USE_INSTANCING
+    windToWorld = windToWorld * instanceMatrix;
+  #endif
+  #ifdef USE_BATCHING
+    windToWorld = windToWorld * batchingMatrix;
+  #endif
+  vec2 windOrigin = windToWorld[3].xz;
+  float windPhase = dot(windOrigin, vec2(0.37, 0.61)) * 2.0;
+  float windTravel = dot(windOrigin, uWindDirection) * 0.15;
+  float windTime = uWindTime * uWindFrequency;
+  // Slow gusts rolling downwind, modulated by a faster per-instance sway
+  float windGust = 0.55 + 0.45 * sin(windTime * 0.37 - windTravel);
+  float windSway = windGust * (0.6 + 0.4 * sin(windTime * 1.7 + windPhase));
+  float windBend = max(transformed.y, 0.0) * uWindFlexibility;
+  windBend *= windBend;
+  vec3 windOffset = vec3(uWindDirection.x, 0.0, uWindDirection.y) * windSway;
+  windOffset += sin(windTime * 6.3 + windPhase + dot(transformed, vec3(2.1, 1.7, 2.9))) * uWindFlutter * vec3(0.6, 0.3, -0.5);
+  windOffset *= uWindStrength * windBend;
+  // Back to object space; instance and model matrices are rotation plus uniform scale
+  mat3 windBasis = mat3(windToWorld);
+  transformed += transpose(windBasis) * windOffset / dot(windBasis[0], windBasis[0]);
+`
+};
+
+/**
+ * Patches a shader (from onBeforeCompile) with the wind offset.
+ * @param {object} shader
+ * @param {object} uniforms - Per-material uniforms (uWindFlexibility, uWindFlutter).
+ */
+function injectWind(shader, uniforms) {
+    Object.assign(shader.uniforms, windUniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>\n${windVertexShader.declarations}`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>\n${windVertexShader.main}`);
+}
+
+/**
+ * Adds wind sway to a material and creates the matching shadow depth material.
+ * @param {THREE.Material} material - Built-in material to patch (e.g. MeshStandardMaterial).
+ * @param {number} [flexibility=0.2] - Inverse of the height (object units) that bends by the full strength.
+ * @param {number} [flutter=0] - Extra fast, small-scale motion, e.g. for leaves.
+ * @returns {THREE.Material} The same material; userData.windDepthMaterial holds the depth material.
+ */
+export function applyWindToMaterial(material, { flexibility = 0.2, flutter = 0 } = {}) {
+    const uniforms = {
+        uWindFlexibility: { value: flexibility },
+        uWindFlutter: { value: flutter }
+    };
+    material.onBeforeCompile = shader => injectWind(shader, uniforms);
+    material.customProgramCacheKey = () => 'wind';
+    const depthMaterial = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking });
+    depthMaterial.onBeforeCompile = shader => injectWind(shader, uniforms);
+    depthMaterial.customProgramCacheKey = () => 'wind-depth';
+    material.userData.windDepthMaterial = depthMaterial;
+    return material;
+}
+
+/**
+ * Makes the shadows of an object's wind meshes sway by assigning their depth materials.
+ * @param {THREE.Object3D} object - Object (or group) to traverse.
+ */
+export function applyWindShadows(object) {
+    object.traverse(child => {
+        const depthMaterial = child.material && child.material.userData && child.material.userData.windDepthMaterial;
+        if (depthMaterial) child.customDepthMaterial = depthMaterial;
+    });
+}
+
+/**
+ * Sets the wind parameters; omitted values are left unchanged.
+ * @param {number} [strength] - Downwind offset, in world units, at full bend.
+ * @param {THREE.Vector2|Array<number>} [direction] - XZ direction the wind blows towards.
+ * @param {number} [frequency] - Speed multiplier for the sway and gusts.
+ */
+export function setWind({ strength, direction, frequency }) {
+    if (strength !== undefined) windUniforms.uWindStrength.value = strength;
+    if (direction !== undefined) {
+        const target = windUniforms.uWindDirection.value;
+        if (Array.isArray(direction)) target.fromArray(direction);
+        else target.copy(direction);
+        target.normalize();
+    }
+    if (frequency !== undefined) windUniforms.uWindFrequency.value = frequency;
+}
+
+/**
+ * Advances the wind animation.
+ * @param {number} time - Elapsed time in seconds.
+ */
+export function updateWind(time) {
+    windUniforms.uWindTime.value = time;
+}
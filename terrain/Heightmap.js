@@ -0,0 +1,274 @@
+// terrain/Heightmap.js
+import * as THREE from 'three';
+
+/**
+ * Heightmap import/export helpers.
+ * A heightmap is a plain object { data, width, height, worldSize, centerX, centerZ } where
+ * data is a row-major Float32Array of world-space heights. Column 0 lies at the western edge
+ * (min X) and row 0 at the northern edge (min Z) of a square of edge length worldSize
+ * centered on (centerX, centerZ).
+ */
+
+/**
+ * Creates a heightmap object from a Float32Array of world heights.
+ * @param {Float32Array} data - Row-major heights, width * height values.
+ * @param {number} width - Number of samples per row.
+ * @param {number} height - Number of rows.
+ * @param {number} worldSize - World-space edge length covered by the heightmap.
+ * @param {number} [centerX=0] - World X of the heightmap center.
+ * @param {number} [centerZ=0] - World Z of the heightmap center.
+ * @returns {object} Heightmap object.
+ */
+export function createHeightmap({ data, width, height, worldSize, centerX = 0, centerZ = 0 }) {
+    if (data.length !== width * height) {
+        throw new Error(`Heightmap data has ${data.length} samples, expected ${width}x${height}`);
+    }
+    return { data, width, height, worldSize, centerX, centerZ };
+}
+
+/**
+ * Returns true if the world coordinate lies inside the heightmap footprint.
+ * @param {object} heightmap
+ * @param {number} worldX
+ * @param {number} worldZ
+ * @returns {boolean}
+ */
+export function isInsideHeightmap(heightmap, worldX, worldZ) {
+    const half = heightmap.worldSize / 2;
+    return Math.abs(worldX - heightmap.centerX) <= half && Math.abs(worldZ - heightmap.centerZ) <= half;
+}
+
+/**
+ * Distance from a world coordinate to the nearest heightmap edge (negative outside).
+ * @param {object} heightmap
+ * @param {number} worldX
+ * @param {number} worldZ
+ * @returns {number}
+ */
+export function distanceToHeightmapEdge(heightmap, worldX, worldZ) {
+    const half = heightmap.worldSize / 2;
+    return Math.min(half - Math.abs(worldX - heightmap.centerX), half - Math.abs(worldZ - heightmap.centerZ));
+}
+
+/**
+ * Bilinearly samples the heightmap at a world coordinate. Points outside are clamped to the edge.
+ * @param {object} heightmap
+ * @param {number} worldX
+ * @param {number} worldZ
+ * @returns {number} Interpolated height.
+ */
+export function sampleHeightmap(heightmap, worldX, worldZ) {
+    const { data, width, height, worldSize, centerX, centerZ } = heightmap;
+    const u = (worldX - centerX) / worldSize + 0.5;
+    const v = (worldZ - centerZ) / worldSize + 0.5;
+    const gx = THREE.MathUtils.clamp(u, 0, 1) * (width - 1);
+    const gz = THREE.MathUtils.clamp(v, 0, 1) * (height - 1);
+    const x0 = Math.min(Math.floor(gx), width - 2);
+    const z0 = Math.min(Math.floor(gz), height - 2);
+    const fx = gx - x0;
+    const fz = gz - z0;
+    const row0 = z0 * width;
+    const row1 = row0 + width;
+    const h0 = THREE.MathUtils.lerp(data[row0 + x0], data[row0 + x0 + 1], fx);
+    const h1 = THREE.MathUtils.lerp(data[row1 + x0], data[row1 + x0 + 1], fx);
+    return THREE.MathUtils.lerp(h0, h1, fz);
+}
+
+/**
+ * Returns the steepest gradient the bilinear interpolation of a heightmap can have: the largest
+ * height step between neighbouring samples along each axis, per world unit.
+ * @param {object} heightmap
+ * @returns {number}
+ */
+export function getHeightmapMaxGradient(heightmap) {
+    const { data, width, height, worldSize } = heightmap;
+    let maxStepX = 0;
+    let maxStepZ = 0;
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            const index = j * width + i;
+            if (i < width - 1) maxStepX = Math.max(maxStepX, Math.abs(data[index + 1] - data[index]));
+            if (j < height - 1) maxStepZ = Math.max(maxStepZ, Math.abs(data[index + width] - data[index]));
+        }
+    }
+    return Math.hypot(maxStepX * (width - 1), maxStepZ * (height - 1)) / worldSize;
+}
+
+/**
+ * Builds a heightmap by sampling a height function on a regular grid.
+ * @param {function} sampleHeight - Function (worldX, worldZ) => height.
+ * @param {number} resolution - Samples along each edge.
+ * @param {number} worldSize - World-space edge length to cover.
+ * @param {number} [centerX=0]
+ * @param {number} [centerZ=0]
+ * @returns {object} Heightmap object.
+ */
+export function sampleHeightmapFromFunction({ sampleHeight, resolution, worldSize, centerX = 0, centerZ = 0 }) {
+    const data = new Float32Array(resolution * resolution);
+    const step = worldSize / (resolution - 1);
+    const originX = centerX - worldSize / 2;
+    const originZ = centerZ - worldSize / 2;
+    for (let j = 0; j < resolution; j++) {
+        for (let i = 0; i < resolution; i++) {
+            data[j * resolution + i] = sampleHeight(originX + i * step, originZ + j * step);
+        }
+    }
+    return createHeightmap({ data, width: resolution, height: resolution, worldSize, centerX, centerZ });
+}
+
+/**
+ * Returns the min and max height stored in a heightmap.
+ * @param {object} heightmap
+ * @returns {{minHeight: number, maxHeight: number}}
+ */
+export function getHeightmapRange(heightmap) {
+    let minHeight = Infinity;
+    let maxHeight = -Infinity;
+    for (let i = 0; i < heightmap.data.length; i++) {
+        minHeight = Math.min(minHeight, heightmap.data[i]);
+        maxHeight = Math.max(maxHeight, heightmap.data[i]);
+    }
+    return { minHeight, maxHeight };
+}
+
+/**
+ * Creates a heightmap from RGBA pixel data, using the pixel luminance as height.
+ * @param {Uint8ClampedArray} pixels - RGBA bytes, e.g. ImageData.data.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} worldSize
+ * @param {number} minHeight - World height for black pixels.
+ * @param {number} maxHeight - World height for white pixels.
+ * @param {number} [centerX=0]
+ * @param {number} [centerZ=0]
+ * @returns {object} Heightmap object.
+ */
+export function createHeightmapFromPixels({ pixels, width, height, worldSize, minHeight, maxHeight, centerX = 0, centerZ = 0 }) {
+    const data = new Float32Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+        const luminance = (pixels[i * 4] * 0.299 + pixels[i * 4 + 1] * 0.587 + pixels[i * 4 + 2] * 0.114) / 255;
+        data[i] = THREE.MathUtils.lerp(minHeight, maxHeight, luminance);
+    }
+    return createHeightmap({ data, width, height, worldSize, centerX, centerZ });
+}
+
+/**
+ * Loads a grayscale PNG (or any browser-decodable image) as a heightmap.
+ * @param {string} url - Image URL.
+ * @param {number} worldSize - World-space edge length the image covers.
+ * @param {number} minHeight - World height for black pixels.
+ * @param {number} maxHeight - World height for white pixels.
+ * @param {number} [centerX=0]
+ * @param {number} [centerZ=0]
+ * @param {function} onLoaded - Called with the heightmap object.
+ * @param {function} [onError] - Called with the load error.
+ */
+export function loadHeightmapImage({ url, worldSize, minHeight, maxHeight, centerX = 0, centerZ = 0, onLoaded, onError }) {
+    new THREE.ImageLoader().load(
+        url,
+        (image) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height;
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0);
+            const { data: pixels } = context.getImageData(0, 0, image.width, image.height);
+            onLoaded(createHeightmapFromPixels({
+                pixels,
+                width: image.width,
+                height: image.height,
+                worldSize,
+                minHeight,
+                maxHeight,
+                centerX,
+                centerZ
+            }));
+        },
+        undefined,
+        (error) => {
+            console.error('An error happened loading the heightmap image:', error);
+            if (onError) onError(error);
+        }
+    );
+}
+
+/**
+ * Loads a raw little-endian Float32 heightmap. Values are used as world heights.
+ * Width and height default to a square grid inferred from the file size.
+ * @param {string} url - URL of the raw file.
+ * @param {number} worldSize - World-space edge length the grid covers.
+ * @param {number} [width]
+ * @param {number} [height]
+ * @param {number} [centerX=0]
+ * @param {number} [centerZ=0]
+ * @param {function} onLoaded - Called with the heightmap object.
+ * @param {function} [onError] - Called with the load error.
+ */
+export function loadHeightmapFloat32({ url, worldSize, width, height, centerX = 0, centerZ = 0, onLoaded, onError }) {
+    const loader = new THREE.FileLoader();
+    loader.setResponseType('arraybuffer');
+    loader.load(
+        url,
+        (buffer) => {
+            let heightmap;
+            try {
+                // Throws for files whose size is not a whole number of floats
+                const data = new Float32Array(buffer);
+                const side = Math.round(Math.sqrt(data.length));
+                heightmap = createHeightmap({
+                    data,
+                    width: width || side,
+                    height: height || side,
+                    worldSize,
+                    centerX,
+                    centerZ
+                });
+            } catch (error) {
+                console.error('Invalid Float32 heightmap:', error);
+                if (onError) onError(error);
+                return;
+            }
+            onLoaded(heightmap);
+        },
+        undefined,
+        (error) => {
+            console.error('An error happened loading the Float32 heightmap:', error);
+            if (onError) onError(error);
+        }
+    );
+}
+
+/**
+ * Encodes a heightmap as a grayscale PNG data URL. Heights are normalized to the
+ * heightmap's own range, which is returned so the PNG can be re-imported losslessly
+ * (up to 8-bit precision) with loadHeightmapImage.
+ * @param {object} heightmap
+ * @returns {{dataURL: string, minHeight: number, maxHeight: number}}
+ */
+export function heightmapToPNG(heightmap) {
+    const { minHeight, maxHeight } = getHeightmapRange(heightmap);
+    const range = maxHeight - minHeight || 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = heightmap.width;
+    canvas.height = heightmap.height;
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(heightmap.width, heightmap.height);
+    for (let i = 0; i < heightmap.data.length; i++) {
+        const value = Math.round((heightmap.data[i] - minHeight) / range * 255);
+        imageData.data[i * 4] = value;
+        imageData.data[i * 4 + 1] = value;
+        imageData.data[i * 4 + 2] = value;
+        imageData.data[i * 4 + 3] = 255;
+    }
+    context.putImageData(imageData, 0, 0);
+    return { dataURL: canvas.toDataURL('image/png'), minHeight, maxHeight };
+}
+
+/**
+ * Returns the raw Float32 bytes of a heightmap, suitable for saving as a .f32/.raw file.
+ * @param {object} heightmap
+ * @returns {ArrayBuffer}
+ */
+export function heightmapToFloat32(heightmap) {
+    return heightmap.data.slice().buffer;
+}
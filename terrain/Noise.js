@@ -0,0 +1,486 @@
+// terrain/Noise.js
+import * as THREE from 'three';
+import { SeededRandom } from '../utils/Random.js';
+
+/**
+ * Seeded 2D noise backends and fractal combinators used for terrain elevation.
+ * All samplers are pure functions of (x, z) once created, so a given seed always
+ * reproduces the same landscape.
+ */
+
+/**
+ * Supported terrain noise types.
+ */
+export const NOISE_TYPES = {
+    VALUE: 'value',
+    SIMPLEX: 'simplex',
+    RIDGED: 'ridged',
+    WARPED: 'warped'
+};
+
+/**
+ * 2D pseudo-random lattice hash for value noise.
+ * Uses wrapping 32-bit integer math (Math.imul), so the hash stays well distributed far from
+ * the origin; seed 0 matches the original unseeded hash wherever that one was exact.
+ * @param {number} ix - Integer X coordinate.
+ * @param {number} iz - Integer Z coordinate.
+ * @param {number} seed - Integer seed.
+ * @returns {number} Pseudo-random value in [-1, 1].
+ */
+function pseudoRandom(ix, iz, seed) {
+    let n = (ix + Math.imul(iz, 57)) ^ Math.imul(seed, 0x5bd1e995);
+    n = (n << 13) ^ n;
+    n = (Math.imul(n, (Math.imul(Math.imul(n, n), 15731) + 789221) | 0) + 1376312589) | 0;
+    n = (n & 0x7fffffff);
+    return 1.0 - n / 1073741823.0;
+}
+
+/**
+ * Samples seeded value noise and its analytic partial derivatives.
+ * @param {number} x
+ * @param {number} z
+ * @param {number} seed - Integer seed.
+ * @param {Float64Array} out - Receives [value, d/dx, d/dz].
+ */
+function sampleValueNoise(x, z, seed, out) {
+    const intX = Math.floor(x);
+    const fracX = x - intX;
+    const intZ = Math.floor(z);
+    const fracZ = z - intZ;
+    const v1 = pseudoRandom(intX, intZ, seed);
+    const v2 = pseudoRandom(intX + 1, intZ, seed);
+    const v3 = pseudoRandom(intX, intZ + 1, seed);
+    const v4 = pseudoRandom(intX + 1, intZ + 1, seed);
+    const smoothFracX = fracX * fracX * (3 - 2 * fracX);
+    const smoothFracZ = fracZ * fracZ * (3 - 2 * fracZ);
+    const i1 = THREE.MathUtils.lerp(v1, v2, smoothFracX);
+    const i2 = THREE.MathUtils.lerp(v3, v4, smoothFracX);
+    out[0] = THREE.MathUtils.lerp(i1, i2, smoothFracZ);
+    out[1] = 6 * fracX * (1 - fracX) * ((v2 - v1) * (1 - smoothFracZ) + (v4 - v3) * smoothFracZ);
+    out[2] = 6 * fracZ * (1 - fracZ) * (i2 - i1);
+}
+
+/**
+ * Creates a seeded value noise sampler (smoothstep-interpolated lattice values).
+ * @param {number} seed - Integer seed.
+ * @returns {function(number, number): number} Sampler returning values in [-1, 1].
+ */
+export function createValueNoise2D(seed) {
+    const sample = new Float64Array(3);
+    return (x, z) => {
+        sampleValueNoise(x, z, seed, sample);
+        return sample[0];
+    };
+}
+
+/**
+ * Creates a seeded value noise sampler that also returns analytic derivatives.
+ * @param {number} seed - Integer seed.
+ * @returns {function(number, number, Float64Array): void} Sampler writing [value, d/dx, d/dz] into its out array.
+ */
+export function createValueNoiseGradient2D(seed) {
+    return (x, z, out) => sampleValueNoise(x, z, seed, out);
+}
+
+// Simplex noise constants and gradient directions
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const GRADIENTS_2D = [
+    [1, 1], [-1, 1], [1, -1], [-1, -1],
+    [1, 0], [-1, 0], [0, 1], [0, -1]
+];
+
+/**
+ * Builds a seeded 512-entry permutation table (256 entries, doubled to avoid wrapping).
+ * @param {number} seed
+ * @returns {Uint8Array}
+ */
+function buildPermutation(seed) {
+    const prng = new SeededRandom(seed);
+    const perm = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) perm[i] = i;
+    for (let i = 255; i > 0; i--) {
+        const j = prng.randInt(0, i + 1);
+        [perm[i], perm[j]] = [perm[j], perm[i]];
+    }
+    const table = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) table[i] = perm[i & 255];
+    return table;
+}
+
+/**
+ * Samples 2D simplex noise and its analytic partial derivatives.
+ * @param {Uint8Array} perm - Permutation table from buildPermutation.
+ * @param {number} x
+ * @param {number} z
+ * @param {Float64Array} out - Receives [value, d/dx, d/dz].
+ */
+function sampleSimplexNoise(perm, x, z, out) {
+    const s = (x + z) * F2;
+    const i = Math.floor(x + s);
+    const j = Math.floor(z + s);
+    const t = (i + j) * G2;
+    const x0 = x - (i - t);
+    const z0 = z - (j - t);
+    const i1 = x0 > z0 ? 1 : 0;
+    const j1 = x0 > z0 ? 0 : 1;
+    const x1 = x0 - i1 + G2;
+    const z1 = z0 - j1 + G2;
+    const x2 = x0 - 1 + 2 * G2;
+    const z2 = z0 - 1 + 2 * G2;
+    const ii = i & 255;
+    const jj = j & 255;
+    out[0] = 0;
+    out[1] = 0;
+    out[2] = 0;
+    simplexCorner(perm[ii + perm[jj]], x0, z0, out);
+    simplexCorner(perm[ii + i1 + perm[jj + j1]], x1, z1, out);
+    simplexCorner(perm[ii + 1 + perm[jj + 1]], x2, z2, out);
+    out[0] *= 70;
+    out[1] *= 70;
+    out[2] *= 70;
+}
+
+/**
+ * Creates a seeded 2D simplex (gradient) noise sampler.
+ * @param {number} seed - Integer seed.
+ * @returns {function(number, number): number} Sampler returning values in roughly [-1, 1].
+ */
+export function createSimplexNoise2D(seed) {
+    const perm = buildPermutation(seed);
+    const sample = new Float64Array(3);
+    return (x, z) => {
+        sampleSimplexNoise(perm, x, z, sample);
+        return sample[0];
+    };
+}
+
+/**
+ * Creates a seeded 2D simplex noise sampler that also returns analytic derivatives.
+ * @param {number} seed - Integer seed.
+ * @returns {function(number, number, Float64Array): void} Sampler writing [value, d/dx, d/dz] into its out array.
+ */
+export function createSimplexNoiseGradient2D(seed) {
+    const perm = buildPermutation(seed);
+    return (x, z, out) => sampleSimplexNoise(perm, x, z, out);
+}
+
+/**
+ * Adds the contribution of one simplex corner with radial falloff, and its derivatives.
+ * @param {number} hash - Permutation hash selecting the gradient.
+ * @param {number} x - Offset from the corner.
+ * @param {number} z - Offset from the corner.
+ * @param {Float64Array} out - Accumulates [value, d/dx, d/dz].
+ */
+function simplexCorner(hash, x, z, out) {
+    const falloff = 0.5 - x * x - z * z;
+    if (falloff <= 0) return;
+    const gradient = GRADIENTS_2D[hash & 7];
+    const dot = gradient[0] * x + gradient[1] * z;
+    const falloff2 = falloff * falloff;
+    const falloff4 = falloff2 * falloff2;
+    out[0] += falloff4 * dot;
+    out[1] += falloff4 * gradient[0] - 8 * falloff2 * falloff * dot * x;
+    out[2] += falloff4 * gradient[1] - 8 * falloff2 * falloff * dot * z;
+}
+
+/**
+ * Fractional Brownian motion: sums octaves of a base noise, normalized to the base range.
+ * @param {function} noise2D - Base noise sampler.
+ * @param {number} x
+ * @param {number} z
+ * @param {object} params - { baseFrequency, octaves, persistence, lacunarity }
+ * @returns {number}
+ */
+export function fbm2D(noise2D, x, z, { baseFrequency, octaves, persistence, lacunarity }) {
+    let total = 0;
+    let frequency = baseFrequency;
+    let amplitude = 1.0;
+    let normalizationFactor = 0;
+    for (let i = 0; i < octaves; i++) {
+        total += noise2D(x * frequency, z * frequency) * amplitude;
+        normalizationFactor += amplitude;
+        amplitude *= persistence;
+        frequency *= lacunarity;
+    }
+    return total / normalizationFactor;
+}
+
+/**
+ * Ridged multifractal (Musgrave): sharp crests where the base noise crosses zero,
+ * with each octave weighted by the previous one so detail gathers on the ridges.
+ * @param {function} noise2D - Base noise sampler.
+ * @param {number} x
+ * @param {number} z
+ * @param {object} params - { baseFrequency, octaves, persistence, lacunarity }
+ * @returns {number} Value in [-1, 1].
+ */
+export function ridgedMultifractal2D(noise2D, x, z, { baseFrequency, octaves, persistence, lacunarity }) {
+    const ridgeGain = 2.0;
+    let total = 0;
+    let frequency = baseFrequency;
+    let amplitude = 1.0;
+    let weight = 1.0;
+    let normalizationFactor = 0;
+    for (let i = 0; i < octaves; i++) {
+        let signal = 1.0 - Math.abs(noise2D(x * frequency, z * frequency));
+        signal *= signal * weight;
+        weight = THREE.MathUtils.clamp(signal * ridgeGain, 0, 1);
+        total += signal * amplitude;
+        normalizationFactor += amplitude;
+        amplitude *= persistence;
+        frequency *= lacunarity;
+    }
+    return (total / normalizationFactor) * 2 - 1;
+}
+
+/**
+ * Domain-warped FBM: offsets the sample point by two further FBM fields before sampling,
+ * producing folded, flowing landforms.
+ * @param {function} noise2D - Base noise sampler.
+ * @param {number} x
+ * @param {number} z
+ * @param {object} params - { baseFrequency, octaves, persistence, lacunarity, warpStrength }
+ * @returns {number}
+ */
+export function domainWarpedFbm2D(noise2D, x, z, params) {
+    const warpScale = params.warpStrength / params.baseFrequency;
+    const warpX = fbm2D(noise2D, x + 17.3, z - 41.9, params);
+    const warpZ = fbm2D(noise2D, x - 63.1, z + 29.7, params);
+    return fbm2D(noise2D, x + warpX * warpScale, z + warpZ * warpScale, params);
+}
+
+// Scratch buffers for the gradient combinators (never used re-entrantly)
+const octaveSample = new Float64Array(3);
+const warpXSample = new Float64Array(3);
+const warpZSample = new Float64Array(3);
+
+/**
+ * FBM with analytic derivatives (see fbm2D).
+ * @param {function} noiseGradient2D - Base noise sampler writing [value, d/dx, d/dz].
+ * @param {number} x
+ * @param {number} z
+ * @param {object} params - { baseFrequency, octaves, persistence, lacunarity }
+ * @param {Float64Array} out - Receives [value, d/dx, d/dz].
+ */
+export function fbmGradient2D(noiseGradient2D, x, z, { baseFrequency, octaves, persistence, lacunarity }, out) {
+    let total = 0;
+    let totalX = 0;
+    let totalZ = 0;
+    let frequency = baseFrequency;
+    let amplitude = 1.0;
+    let normalizationFactor = 0;
+    for (let i = 0; i < octaves; i++) {
+        noiseGradient2D(x * frequency, z * frequency, octaveSample);
+        total += octaveSample[0] * amplitude;
+        totalX += octaveSample[1] * frequency * amplitude;
+        totalZ += octaveSample[2] * frequency * amplitude;
+        normalizationFactor += amplitude;
+        amplitude *= persistence;
+        frequency *= lacunarity;
+    }
+    out[0] = total / normalizationFactor;
+    out[1] = totalX / normalizationFactor;
+    out[2] = totalZ / normalizationFactor;
+}
+
+/**
+ * Ridged multifractal with analytic derivatives (see ridgedMultifractal2D).
+ * The octave weights depend on earlier octaves, so their derivatives are carried along.
+ * @param {function} noiseGradient2D - Base noise sampler writing [value, d/dx, d/dz].
+ * @param {number} x
+ * @param {number} z
+ * @param {object} params - { baseFrequency, octaves, persistence, lacunarity }
+ * @param {Float64Array} out - Receives [value, d/dx, d/dz].
+ */
+export function ridgedMultifractalGradient2D(noiseGradient2D, x, z, { baseFrequency, octaves, persistence, lacunarity }, out) {
+    const ridgeGain = 2.0;
+    let total = 0;
+    let totalX = 0;
+    let totalZ = 0;
+    let frequency = baseFrequency;
+    let amplitude = 1.0;
+    let weight = 1.0;
+    let weightX = 0;
+    let weightZ = 0;
+    let normalizationFactor = 0;
+    for (let i = 0; i < octaves; i++) {
+        noiseGradient2D(x * frequency, z * frequency, octaveSample);
+        const ridge = 1.0 - Math.abs(octaveSample[0]);
+        const ridgeSign = -Math.sign(octaveSample[0]) * frequency;
+        const signal = ridge * (ridge * weight);
+        const signalX = 2 * ridge * ridgeSign * octaveSample[1] * weight + ridge * ridge * weightX;
+        const signalZ = 2 * ridge * ridgeSign * octaveSample[2] * weight + ridge * ridge * weightZ;
+        const scaled = signal * ridgeGain;
+        const clamped = scaled <= 0 || scaled >= 1;
+        weight = THREE.MathUtils.clamp(scaled, 0, 1);
+        weightX = clamped ? 0 : signalX * ridgeGain;
+        weightZ = clamped ? 0 : signalZ * ridgeGain;
+        total += signal * amplitude;
+        totalX += signalX * amplitude;
+        totalZ += signalZ * amplitude;
+        normalizationFactor += amplitude;
+        amplitude *= persistence;
+        frequency *= lacunarity;
+    }
+    out[0] = (total / normalizationFactor) * 2 - 1;
+    out[1] = (totalX / normalizationFactor) * 2;
+    out[2] = (totalZ / normalizationFactor) * 2;
+}
+
+/**
+ * Domain-warped FBM with analytic derivatives (see domainWarpedFbm2D), via the chain rule
+ * through the warp fields.
+ * @param {function} noiseGradient2D - Base noise sampler writing [value, d/dx, d/dz].
+ * @param {number} x
+ * @param {number} z
+ * @param {object} params - { baseFrequency, octaves, persistence, lacunarity, warpStrength }
+ * @param {Float64Array} out - Receives [value, d/dx, d/dz].
+ */
+export function domainWarpedFbmGradient2D(noiseGradient2D, x, z, params, out) {
+    const warpScale = params.warpStrength / params.baseFrequency;
+    fbmGradient2D(noiseGradient2D, x + 17.3, z - 41.9, params, warpXSample);
+    fbmGradient2D(noiseGradient2D, x - 63.1, z + 29.7, params, warpZSample);
+    fbmGradient2D(noiseGradient2D, x + warpXSample[0] * warpScale, z + warpZSample[0] * warpScale, params, out);
+    const gradX = out[1];
+    const gradZ = out[2];
+    out[1] = gradX * (1 + warpScale * warpXSample[1]) + gradZ * warpScale * warpZSample[1];
+    out[2] = gradX * warpScale * warpXSample[2] + gradZ * (1 + warpScale * warpZSample[2]);
+}
+
+// Steepest gradient of the base noises per unit of their input: value noise rises at most 1.5
+// times a lattice step of 2 along each axis; simplex noise peaks at about 7.3, rounded up
+const BASE_NOISE_MAX_GRADIENT = {
+    value: 3 * Math.SQRT2,
+    simplex: 8
+};
+
+/**
+ * Upper bound of the gradient of FBM over a base noise (see fbm2D).
+ * @param {number} baseGradient - Steepest gradient of the base noise.
+ * @param {object} params - { baseFrequency, octaves, persistence, lacunarity }
+ * @returns {number}
+ */
+function getFbmMaxGradient(baseGradient, { baseFrequency, octaves, persistence, lacunarity }) {
+    let total = 0;
+    let frequency = baseFrequency;
+    let amplitude = 1.0;
+    let normalizationFactor = 0;
+    for (let i = 0; i < octaves; i++) {
+        total += baseGradient * frequency * amplitude;
+        normalizationFactor += amplitude;
+        amplitude *= persistence;
+        frequency *= lacunarity;
+    }
+    return total / normalizationFactor;
+}
+
+/**
+ * Upper bound of the gradient of the ridged multifractal (see ridgedMultifractal2D). Each
+ * octave's slope is its ridge's plus that of its weight, which is twice the previous octave's.
+ * @param {number} baseGradient - Steepest gradient of the base noise.
+ * @param {object} params - { baseFrequency, octaves, persistence, lacunarity }
+ * @returns {number}
+ */
+function getRidgedMaxGradient(baseGradient, { baseFrequency, octaves, persistence, lacunarity }) {
+    const ridgeGain = 2.0;
+    let total = 0;
+    let frequency = baseFrequency;
+    let amplitude = 1.0;
+    let weightGradient = 0;
+    let normalizationFactor = 0;
+    for (let i = 0; i < octaves; i++) {
+        const signalGradient = 2 * baseGradient * frequency + weightGradient;
+        weightGradient = signalGradient * ridgeGain;
+        total += signalGradient * amplitude;
+        normalizationFactor += amplitude;
+        amplitude *= persistence;
+        frequency *= lacunarity;
+    }
+    return (total / normalizationFactor) * 2;
+}
+
+/**
+ * Upper bound of the elevation gradient of createTerrainNoise for a world configuration, per
+ * world unit in normalized elevation (times maxHeight for world heights). The bound is safe
+ * rather than tight: sampled slopes stay well below it, especially for ridged and warped noise.
+ * @param {object} config - Same as createTerrainNoise.
+ * @returns {number}
+ */
+export function getTerrainNoiseMaxGradient(config) {
+    switch (config.noiseType) {
+        case NOISE_TYPES.VALUE:
+            return getFbmMaxGradient(BASE_NOISE_MAX_GRADIENT.value, config);
+        case NOISE_TYPES.SIMPLEX:
+            return getFbmMaxGradient(BASE_NOISE_MAX_GRADIENT.simplex, config);
+        case NOISE_TYPES.RIDGED:
+            return getRidgedMaxGradient(BASE_NOISE_MAX_GRADIENT.simplex, config);
+        case NOISE_TYPES.WARPED: {
+            // The warp stretches the sampled FBM by up to its own slope times warpScale
+            const fbmGradient = getFbmMaxGradient(BASE_NOISE_MAX_GRADIENT.simplex, config);
+            const warpScale = config.warpStrength / config.baseFrequency;
+            return fbmGradient * (1 + Math.SQRT2 * warpScale * fbmGradient);
+        }
+        default:
+            throw new Error(`Unknown terrain noise type: ${config.noiseType}`);
+    }
+}
+
+/**
+ * Creates the terrain elevation sampler for a world configuration.
+ * @param {object} config - { seed, noiseType, baseFrequency, octaves, persistence, lacunarity, warpStrength }
+ *   where noiseType is one of NOISE_TYPES and warpStrength (warped type only) is the displacement in base-frequency cells.
+ * @returns {function(number, number): number} Sampler returning normalized elevation in roughly [-1, 1].
+ */
+export function createTerrainNoise(config) {
+    const { seed, noiseType } = config;
+    switch (noiseType) {
+        case NOISE_TYPES.VALUE: {
+            const noise2D = createValueNoise2D(seed);
+            return (x, z) => fbm2D(noise2D, x, z, config);
+        }
+        case NOISE_TYPES.SIMPLEX: {
+            const noise2D = createSimplexNoise2D(seed);
+            return (x, z) => fbm2D(noise2D, x, z, config);
+        }
+        case NOISE_TYPES.RIDGED: {
+            const noise2D = createSimplexNoise2D(seed);
+            return (x, z) => ridgedMultifractal2D(noise2D, x, z, config);
+        }
+        case NOISE_TYPES.WARPED: {
+            const noise2D = createSimplexNoise2D(seed);
+            return (x, z) => domainWarpedFbm2D(noise2D, x, z, config);
+        }
+        default:
+            throw new Error(`Unknown terrain noise type: ${noiseType}`);
+    }
+}
+
+/**
+ * Creates the analytic gradient sampler matching createTerrainNoise for the same configuration.
+ * @param {object} config - Same as createTerrainNoise.
+ * @returns {function(number, number, Float64Array): void} Sampler writing [elevation, d/dx, d/dz] into its out array.
+ */
+export function createTerrainNoiseGradient(config) {
+    const { seed, noiseType } = config;
+    switch (noiseType) {
+        case NOISE_TYPES.VALUE: {
+            const noiseGradient2D = createValueNoiseGradient2D(seed);
+            return (x, z, out) => fbmGradient2D(noiseGradient2D, x, z, config, out);
+        }
+        case NOISE_TYPES.SIMPLEX: {
+            const noiseGradient2D = createSimplexNoiseGradient2D(seed);
+            return (x, z, out) => fbmGradient2D(noiseGradient2D, x, z, config, out);
+        }
+        case NOISE_TYPES.RIDGED: {
+            const noiseGradient2D = createSimplexNoiseGradient2D(seed);
+            return (x, z, out) => ridgedMultifractalGradient2D(noiseGradient2D, x, z, config, out);
+        }
+        case NOISE_TYPES.WARPED: {
+            const noiseGradient2D = createSimplexNoiseGradient2D(seed);
+            return (x, z, out) => domainWarpedFbmGradient2D(noiseGradient2D, x, z, config, out);
+        }
+        default:
+            throw new Error(`Unknown terrain noise type: ${noiseType}`);
+    }
+}
@@ -0,0 +1,215 @@
+// terrain/TerrainChunkManager.js
+import * as THREE from 'three';
+import { sampleTerrainChunkGrid, createTerrainTileGeometry } from './TerrainGenerator.js';
+
+/**
+ * Streams square terrain chunks in and out around a moving focus point (usually the camera).
+ * Each chunk is a THREE.Group holding its ground mesh plus whatever the populate callback adds
+ * (trees, mushrooms). Chunks outside the view radius are removed and their GPU resources disposed.
+ *
+ * Ground tiles use geomipmapping: each chunk samples its height grid once at full resolution,
+ * then builds its tile at a level of detail picked from the distance between the focus and
+ * the chunk bounds (LOD 0 = full resolution, each level halves the segment count). Tile edges
+ * next to a coarser neighbour are stitched so the seams stay crack-free, and a tile is rebuilt
+ * whenever its own LOD or a neighbour's LOD changes.
+ */
+
+// Neighbour offsets by tile edge; north is -Z, matching the grid row order
+const NEIGHBOUR_OFFSETS = {
+    north: [0, -1],
+    south: [0, 1],
+    west: [-1, 0],
+    east: [1, 0]
+};
+
+/**
+ * Builds the map key for a chunk coordinate pair.
+ * @param {number} chunkX
+ * @param {number} chunkZ
+ * @returns {string}
+ */
+function chunkKey(chunkX, chunkZ) {
+    return `${chunkX},${chunkZ}`;
+}
+
+/**
+ * Disposes geometries and instance/batch buffers of everything inside a chunk group.
+ * Materials are shared between chunks and are left alone.
+ * @param {THREE.Group} group
+ */
+function disposeChunkGroup(group) {
+    group.traverse(child => {
+        if (child.isInstancedMesh || child.isBatchedMesh) {
+            child.dispose();
+        }
+        if (child.isMesh && child.geometry) {
+            child.geometry.dispose();
+        }
+    });
+}
+
+/**
+ * Creates a terrain chunk manager.
+ * @param {THREE.Scene} scene - The scene to add chunk groups to.
+ * @param {THREE.Material} groundMaterial - Material shared by all chunk ground meshes.
+ * @param {function} [populateChunk] - Called as populateChunk({ group, chunkX, chunkZ, centerX, centerZ, size }) after the ground mesh is built.
+ *   May return an object whose update(focus) is called on every manager update while the chunk is loaded (e.g. tree LOD)
+ *   and whose dispose() is called when the chunk is unloaded (e.g. to drop its colliders).
+ * @param {number} chunkSize - World-space edge length of a chunk.
+ * @param {number} chunkSegments - Grid segments along each chunk edge at full resolution (a power of two).
+ * @param {number} [lodLevels=1] - Number of detail levels; level n uses chunkSegments / 2^n segments.
+ * @param {number} [lodDistance=chunkSize] - Distance from the focus covered by each detail level.
+ * @param {number} viewRadius - Chunks within this many chunks of the focus are kept loaded.
+ * @param {number} [chunksPerUpdate=Infinity] - Max chunks generated per update call, to spread the work over frames.
+ * @returns {{update: function(THREE.Vector3): void, rebuild: function(object=): void, getLoadedChunkCount: function(): number, dispose: function(): void}}
+ */
+export function createTerrainChunkManager({
+    scene,
+    groundMaterial,
+    populateChunk,
+    chunkSize,
+    chunkSegments,
+    lodLevels = 1,
+    lodDistance = chunkSize,
+    viewRadius,
+    chunksPerUpdate = Infinity
+}) {
+    const chunks = new Map();
+    const maxLod = Math.max(0, Math.min(lodLevels - 1, Math.log2(chunkSegments)));
+
+    /**
+     * Picks the detail level for a chunk from the horizontal distance between the focus
+     * and the chunk's bounds, so the chunk under the camera is always full resolution.
+     */
+    function selectLod(chunkX, chunkZ, focus) {
+        const half = chunkSize / 2;
+        const dx = Math.max(Math.abs(focus.x - chunkX * chunkSize) - half, 0);
+        const dz = Math.max(Math.abs(focus.z - chunkZ * chunkSize) - half, 0);
+        return Math.min(Math.floor(Math.hypot(dx, dz) / lodDistance), maxLod);
+    }
+
+    function segmentsForLod(lod) {
+        return chunkSegments >> lod;
+    }
+
+    /**
+     * Collects the segment counts of the loaded neighbours, used to stitch tile edges.
+     * Missing neighbours are treated as matching this chunk.
+     */
+    function neighbourSegmentsOf(chunk) {
+        const neighbourSegments = {};
+        for (const [edge, [ox, oz]] of Object.entries(NEIGHBOUR_OFFSETS)) {
+            const neighbour = chunks.get(chunkKey(chunk.chunkX + ox, chunk.chunkZ + oz));
+            neighbourSegments[edge] = segmentsForLod(neighbour ? neighbour.lod : chunk.lod);
+        }
+        return neighbourSegments;
+    }
+
+    /**
+     * Rebuilds a chunk's ground geometry if its LOD or a neighbour's LOD changed since the last build.
+     */
+    function refreshTile(chunk) {
+        const neighbourSegments = neighbourSegmentsOf(chunk);
+        const signature = `${chunk.lod}:${Object.values(neighbourSegments).join(',')}`;
+        if (signature === chunk.tileSignature) return;
+        const oldGeometry = chunk.groundMesh.geometry;
+        chunk.groundMesh.geometry = createTerrainTileGeometry(chunk.grid, segmentsForLod(chunk.lod), neighbourSegments);
+        oldGeometry.dispose();
+        chunk.tileSignature = signature;
+    }
+
+    function loadChunk(chunkX, chunkZ, lod) {
+        const group = new THREE.Group();
+        group.name = `terrain-chunk-${chunkKey(chunkX, chunkZ)}`;
+        const grid = sampleTerrainChunkGrid({ chunkX, chunkZ, size: chunkSize, segments: chunkSegments });
+        // The tile geometry is built by refreshTile once the neighbours' LODs are known
+        const groundMesh = new THREE.Mesh(new THREE.BufferGeometry(), groundMaterial);
+        groundMesh.position.set(grid.centerX, 0, grid.centerZ);
+        groundMesh.receiveShadow = true;
+        group.add(groundMesh);
+        let content = null;
+        if (populateChunk) {
+            content = populateChunk({
+                group,
+                chunkX,
+                chunkZ,
+                centerX: chunkX * chunkSize,
+                centerZ: chunkZ * chunkSize,
+                size: chunkSize
+            });
+        }
+        scene.add(group);
+        chunks.set(chunkKey(chunkX, chunkZ), { chunkX, chunkZ, group, groundMesh, grid, lod, tileSignature: null, content });
+    }
+
+    function unloadChunk(key) {
+        const chunk = chunks.get(key);
+        scene.remove(chunk.group);
+        disposeChunkGroup(chunk.group);
+        if (chunk.content && chunk.content.dispose) chunk.content.dispose();
+        chunks.delete(key);
+    }
+
+    /**
+     * Loads missing chunks around the focus point (nearest first), unloads far ones,
+     * updates ground tile detail levels and lets chunk contents follow the focus.
+     * Chunks are only unloaded one ring beyond the view radius to avoid thrashing at borders.
+     * @param {THREE.Vector3} focus - World position to stream around.
+     */
+    function update(focus) {
+        const focusChunkX = Math.round(focus.x / chunkSize);
+        const focusChunkZ = Math.round(focus.z / chunkSize);
+        for (const [key, chunk] of chunks) {
+            const ring = Math.max(Math.abs(chunk.chunkX - focusChunkX), Math.abs(chunk.chunkZ - focusChunkZ));
+            if (ring > viewRadius + 1) {
+                unloadChunk(key);
+            }
+        }
+        const missing = [];
+        for (let dz = -viewRadius; dz <= viewRadius; dz++) {
+            for (let dx = -viewRadius; dx <= viewRadius; dx++) {
+                const chunkX = focusChunkX + dx;
+                const chunkZ = focusChunkZ + dz;
+                if (!chunks.has(chunkKey(chunkX, chunkZ))) {
+                    missing.push({ chunkX, chunkZ, distSq: dx * dx + dz * dz });
+                }
+            }
+        }
+        missing.sort((a, b) => a.distSq - b.distSq);
+        const budget = Math.min(missing.length, chunksPerUpdate);
+        for (let i = 0; i < budget; i++) {
+            const { chunkX, chunkZ } = missing[i];
+            loadChunk(chunkX, chunkZ, selectLod(chunkX, chunkZ, focus));
+        }
+        for (const chunk of chunks.values()) {
+            chunk.lod = selectLod(chunk.chunkX, chunk.chunkZ, focus);
+        }
+        for (const chunk of chunks.values()) {
+            refreshTile(chunk);
+            if (chunk.content && chunk.content.update) chunk.content.update(focus);
+        }
+    }
+
+    /**
+     * Drops loaded chunks so the next update regenerates them, e.g. after the terrain
+     * height source or the placement rules changed.
+     * @param {object} [bounds] - { minX, maxX, minZ, maxZ } world rectangle; only chunks overlapping it are dropped. All chunks if omitted.
+     */
+    function rebuild(bounds) {
+        const half = chunkSize / 2;
+        for (const [key, chunk] of [...chunks]) {
+            if (bounds) {
+                const centerX = chunk.chunkX * chunkSize;
+                const centerZ = chunk.chunkZ * chunkSize;
+                if (centerX + half < bounds.minX || centerX - half > bounds.maxX || centerZ + half < bounds.minZ || centerZ - half > bounds.maxZ) continue;
+            }
+            unloadChunk(key);
+        }
+    }
+
+    function getLoadedChunkCount() {
+        return chunks.size;
+    }
+
+    return { update, rebuild, getLoadedChunkCount, dispose: () => rebuild() };
+}
@@ -0,0 +1,229 @@
+// terrain/TerrainErosion.js
+import * as THREE from 'three';
+import { SeededRandom } from '../utils/Random.js';
+import { createHeightmap } from './Heightmap.js';
+
+/**
+ * Hydraulic (particle/droplet) and thermal erosion over a heightmap grid.
+ * Both passes are fully deterministic: droplet spawn points come from a SeededRandom
+ * and the thermal pass uses a fixed cell order with double buffering.
+ * Heights are processed in grid-cell units so results do not depend on the world scale.
+ */
+
+/**
+ * Default erosion parameters.
+ */
+export const DEFAULT_EROSION_OPTIONS = {
+    seed: 0,
+    droplets: 40000,
+    maxDropletLifetime: 30,
+    inertia: 0.05,
+    sedimentCapacityFactor: 4,
+    minSedimentCapacity: 0.01,
+    erodeSpeed: 0.3,
+    depositSpeed: 0.3,
+    evaporateSpeed: 0.01,
+    gravity: 4,
+    erosionRadius: 3,
+    thermalIterations: 20,
+    talusAngle: 35,
+    thermalRate: 0.5,
+    edgeFalloff: 0.1
+};
+
+/**
+ * Precomputes the erosion brush: cell offsets within the radius and normalized weights.
+ * @param {number} radius - Brush radius in cells.
+ * @returns {{offsetsX: Int32Array, offsetsZ: Int32Array, weights: Float32Array}}
+ */
+function createErosionBrush(radius) {
+    const offsetsX = [];
+    const offsetsZ = [];
+    const weights = [];
+    let weightSum = 0;
+    for (let z = -radius; z <= radius; z++) {
+        for (let x = -radius; x <= radius; x++) {
+            const dist = Math.sqrt(x * x + z * z);
+            if (dist < radius) {
+                const weight = 1 - dist / radius;
+                offsetsX.push(x);
+                offsetsZ.push(z);
+                weights.push(weight);
+                weightSum += weight;
+            }
+        }
+    }
+    return {
+        offsetsX: Int32Array.from(offsetsX),
+        offsetsZ: Int32Array.from(offsetsZ),
+        weights: Float32Array.from(weights, w => w / weightSum)
+    };
+}
+
+/**
+ * Bilinear height and gradient of the grid at a fractional cell position.
+ * @param {Float32Array} map
+ * @param {number} width
+ * @param {number} posX
+ * @param {number} posZ
+ * @param {Float32Array} out - Receives [height, gradX, gradZ].
+ */
+function heightAndGradient(map, width, posX, posZ, out) {
+    const cellX = Math.floor(posX);
+    const cellZ = Math.floor(posZ);
+    const u = posX - cellX;
+    const v = posZ - cellZ;
+    const index = cellZ * width + cellX;
+    const hNW = map[index];
+    const hNE = map[index + 1];
+    const hSW = map[index + width];
+    const hSE = map[index + width + 1];
+    out[0] = hNW * (1 - u) * (1 - v) + hNE * u * (1 - v) + hSW * (1 - u) * v + hSE * u * v;
+    out[1] = (hNE - hNW) * (1 - v) + (hSE - hSW) * v;
+    out[2] = (hSW - hNW) * (1 - u) + (hSE - hNE) * u;
+}
+
+/**
+ * Runs droplet-based hydraulic erosion in place: droplets roll downhill, pick up sediment
+ * on steep descents (carving gullies) and deposit it when they slow down or climb.
+ * @param {Float32Array} map - Heights in cell units.
+ * @param {number} width
+ * @param {number} height
+ * @param {object} options - Erosion options (see DEFAULT_EROSION_OPTIONS).
+ */
+function applyHydraulicErosion(map, width, height, options) {
+    const prng = new SeededRandom(options.seed);
+    const brush = createErosionBrush(options.erosionRadius);
+    const sample = new Float32Array(3);
+    for (let d = 0; d < options.droplets; d++) {
+        let posX = prng.randFloat(0, width - 1);
+        let posZ = prng.randFloat(0, height - 1);
+        let dirX = 0;
+        let dirZ = 0;
+        let speed = 1;
+        let water = 1;
+        let sediment = 0;
+        for (let step = 0; step < options.maxDropletLifetime; step++) {
+            const cellX = Math.floor(posX);
+            const cellZ = Math.floor(posZ);
+            const u = posX - cellX;
+            const v = posZ - cellZ;
+            heightAndGradient(map, width, posX, posZ, sample);
+            const oldHeight = sample[0];
+            dirX = dirX * options.inertia - sample[1] * (1 - options.inertia);
+            dirZ = dirZ * options.inertia - sample[2] * (1 - options.inertia);
+            const length = Math.sqrt(dirX * dirX + dirZ * dirZ);
+            if (length === 0) break;
+            dirX /= length;
+            dirZ /= length;
+            posX += dirX;
+            posZ += dirZ;
+            if (posX < 0 || posX >= width - 1 || posZ < 0 || posZ >= height - 1) break;
+            heightAndGradient(map, width, posX, posZ, sample);
+            const deltaHeight = sample[0] - oldHeight;
+            const capacity = Math.max(-deltaHeight * speed * water * options.sedimentCapacityFactor, options.minSedimentCapacity);
+            const index = cellZ * width + cellX;
+            if (sediment > capacity || deltaHeight > 0) {
+                // Deposit into the four nodes of the cell the droplet just left
+                const amount = deltaHeight > 0 ? Math.min(deltaHeight, sediment) : (sediment - capacity) * options.depositSpeed;
+                sediment -= amount;
+                map[index] += amount * (1 - u) * (1 - v);
+                map[index + 1] += amount * u * (1 - v);
+                map[index + width] += amount * (1 - u) * v;
+                map[index + width + 1] += amount * u * v;
+            } else {
+                // Erode with the brush, never digging deeper than the height drop
+                const amount = Math.min((capacity - sediment) * options.erodeSpeed, -deltaHeight);
+                for (let b = 0; b < brush.weights.length; b++) {
+                    const bx = cellX + brush.offsetsX[b];
+                    const bz = cellZ + brush.offsetsZ[b];
+                    if (bx < 0 || bx >= width || bz < 0 || bz >= height) continue;
+                    const eroded = amount * brush.weights[b];
+                    map[bz * width + bx] -= eroded;
+                    sediment += eroded;
+                }
+            }
+            speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * options.gravity));
+            water *= 1 - options.evaporateSpeed;
+        }
+    }
+}
+
+/**
+ * Runs thermal erosion in place: material on slopes steeper than the talus angle
+ * slides to lower neighbours, softening cliffs and building scree at their feet.
+ * @param {Float32Array} map - Heights in cell units.
+ * @param {number} width
+ * @param {number} height
+ * @param {object} options - Erosion options (see DEFAULT_EROSION_OPTIONS).
+ */
+function applyThermalErosion(map, width, height, options) {
+    const talus = Math.tan(THREE.MathUtils.degToRad(options.talusAngle));
+    const delta = new Float32Array(map.length);
+    const neighbours = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    for (let iteration = 0; iteration < options.thermalIterations; iteration++) {
+        delta.fill(0);
+        for (let z = 0; z < height; z++) {
+            for (let x = 0; x < width; x++) {
+                const index = z * width + x;
+                let maxDrop = 0;
+                let totalExcess = 0;
+                for (const [nx, nz] of neighbours) {
+                    const px = x + nx;
+                    const pz = z + nz;
+                    if (px < 0 || px >= width || pz < 0 || pz >= height) continue;
+                    const drop = map[index] - map[pz * width + px];
+                    if (drop > talus) {
+                        totalExcess += drop - talus;
+                        maxDrop = Math.max(maxDrop, drop);
+                    }
+                }
+                if (totalExcess === 0) continue;
+                const moved = options.thermalRate * (maxDrop - talus) / 2;
+                for (const [nx, nz] of neighbours) {
+                    const px = x + nx;
+                    const pz = z + nz;
+                    if (px < 0 || px >= width || pz < 0 || pz >= height) continue;
+                    const neighbourIndex = pz * width + px;
+                    const drop = map[index] - map[neighbourIndex];
+                    if (drop > talus) {
+                        const share = moved * (drop - talus) / totalExcess;
+                        delta[index] -= share;
+                        delta[neighbourIndex] += share;
+                    }
+                }
+            }
+        }
+        for (let i = 0; i < map.length; i++) {
+            map[i] += delta[i];
+        }
+    }
+}
+
+/**
+ * Erodes a heightmap and returns a new heightmap of the same footprint.
+ * Near the border the result fades back to the input heights, so the eroded grid
+ * meets the surrounding terrain without a step.
+ * @param {object} heightmap - Source heightmap (left untouched).
+ * @param {object} [options] - Overrides for DEFAULT_EROSION_OPTIONS.
+ * @returns {object} Eroded heightmap.
+ */
+export function erodeHeightmap(heightmap, options = {}) {
+    const settings = { ...DEFAULT_EROSION_OPTIONS, ...options };
+    const { width, height, worldSize } = heightmap;
+    const cellSize = worldSize / (Math.max(width, height) - 1);
+    const map = Float32Array.from(heightmap.data, h => h / cellSize);
+    applyHydraulicErosion(map, width, height, settings);
+    applyThermalErosion(map, width, height, settings);
+    const border = Math.max(1, settings.edgeFalloff * Math.min(width, height));
+    const data = new Float32Array(map.length);
+    for (let z = 0; z < height; z++) {
+        for (let x = 0; x < width; x++) {
+            const index = z * width + x;
+            const edgeDistance = Math.min(x, z, width - 1 - x, height - 1 - z);
+            const weight = THREE.MathUtils.smoothstep(edgeDistance, 0, border);
+            data[index] = THREE.MathUtils.lerp(heightmap.data[index], map[index] * cellSize, weight);
+        }
+    }
+    return createHeightmap({ ...heightmap, data });
+}
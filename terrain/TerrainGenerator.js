@@ -1,77 +1,271 @@
 // terrain/TerrainGenerator.js
 import * as THREE from 'three';
+import { sampleHeightmap, distanceToHeightmapEdge, isInsideHeightmap, sampleHeightmapFromFunction, createHeightmap, getHeightmapMaxGradient, getHeightmapRange } from './Heightmap.js';
+import { createTerrainNoise, createTerrainNoiseGradient, getTerrainNoiseMaxGradient } from './Noise.js';
+import { erodeHeightmap } from './TerrainErosion.js';
+import {
+    GROUND_SEGMENTS_W,
+    GROUND_SEGMENTS_H,
+    TERRAIN_SEED,
+    TERRAIN_NOISE_TYPE,
+    TERRAIN_MAX_HEIGHT,
+    TERRAIN_BASE_FREQUENCY,
+    TERRAIN_OCTAVES,
+    TERRAIN_PERSISTENCE,
+    TERRAIN_LACUNARITY,
+    TERRAIN_WARP_STRENGTH,
+    TERRAIN_MAX_GRADIENT,
+    WATER_LEVEL
+} from '../utils/Constants.js';
 
 /**
  * Provides terrain mesh generation and height query functions.
- * Uses value noise for procedural elevation.
- */
-
-// Terrain parameters (should eventually be imported from utils/Constants.js)
-const GROUND_SEGMENTS_W = 64;
-const GROUND_SEGMENTS_H = 64;
-const TERRAIN_MAX_HEIGHT = 3.5;
-const TERRAIN_BASE_FREQUENCY = 0.04;
-const TERRAIN_OCTAVES = 5;
-const TERRAIN_PERSISTENCE = 0.45;
-const TERRAIN_LACUNARITY = 2.1;
-
-/**
- * 2D pseudo-random function for deterministic value noise.
- * @param {number} ix - Integer X coordinate.
- * @param {number} iz - Integer Z coordinate.
- * @returns {number} Pseudo-random value in [-1, 1].
- */
-function pseudoRandom(ix, iz) {
-    let n = ix + iz * 57;
-    n = (n << 13) ^ n;
-    n = n * (n * n * 15731 + 789221) + 1376312589;
-    n = (n & 0x7fffffff);
-    return 1.0 - n / 1073741823.0;
-}
-
-/**
- * Interpolated value noise for smooth terrain generation.
- * @param {number} x - X coordinate.
- * @param {number} z - Z coordinate.
- * @param {number} frequency - Frequency of the noise.
- * @returns {number} Interpolated noise value.
- */
-function interpolatedNoise(x, z, frequency) {
-    const scaledX = x * frequency;
-    const scaledZ = z * frequency;
-    const intX = Math.floor(scaledX);
-    const fracX = scaledX - intX;
-    const intZ = Math.floor(scaledZ);
-    const fracZ = scaledZ - intZ;
-    const v1 = pseudoRandom(intX, intZ);
-    const v2 = pseudoRandom(intX + 1, intZ);
-    const v3 = pseudoRandom(intX, intZ + 1);
-    const v4 = pseudoRandom(intX + 1, intZ + 1);
-    const smoothFracX = fracX * fracX * (3 - 2 * fracX);
-    const smoothFracZ = fracZ * fracZ * (3 - 2 * fracZ);
-    const i1 = THREE.MathUtils.lerp(v1, v2, smoothFracX);
-    const i2 = THREE.MathUtils.lerp(v3, v4, smoothFracX);
-    return THREE.MathUtils.lerp(i1, i2, smoothFracZ);
-}
-
-/**
- * Computes the terrain height at a given (x, z) world coordinate using FBM.
+ * Uses seeded fractal noise (see Noise.js) for procedural elevation, optionally replaced
+ * by an imported heightmap.
+ */
+
+// World size covered by one repeat of the ground UVs (matches the original 100x100 plane)
+const GROUND_UV_SIZE = 100;
+// Sample offset for finite-difference gradients where the terrain is not purely procedural
+const GRADIENT_SAMPLE_OFFSET = 0.1;
+// Bisection steps used to refine a terrain ray hit
+const RAYCAST_REFINE_STEPS = 20;
+
+/**
+ * Default world configuration for procedural terrain, taken from utils/Constants.js.
+ */
+export const DEFAULT_TERRAIN_CONFIG = {
+    seed: TERRAIN_SEED,
+    noiseType: TERRAIN_NOISE_TYPE,
+    maxHeight: TERRAIN_MAX_HEIGHT,
+    baseFrequency: TERRAIN_BASE_FREQUENCY,
+    octaves: TERRAIN_OCTAVES,
+    persistence: TERRAIN_PERSISTENCE,
+    lacunarity: TERRAIN_LACUNARITY,
+    warpStrength: TERRAIN_WARP_STRENGTH,
+    maxGradient: TERRAIN_MAX_GRADIENT,
+    waterLevel: WATER_LEVEL
+};
+
+// Active world configuration and the elevation sampler built from it
+let terrainConfig = { ...DEFAULT_TERRAIN_CONFIG };
+let terrainNoise = createTerrainNoise(terrainConfig);
+let terrainNoiseGradient = createTerrainNoiseGradient(terrainConfig);
+const noiseGradientSample = new Float64Array(3);
+
+/**
+ * Sets the procedural terrain configuration for the current world. Unspecified fields
+ * fall back to DEFAULT_TERRAIN_CONFIG, so the same config always yields the same terrain.
+ * Existing chunk meshes must be rebuilt afterwards.
+ * @param {object} config - { seed, noiseType, maxHeight, baseFrequency, octaves, persistence, lacunarity, warpStrength, maxGradient, waterLevel }
+ *   maxGradient bounds the terrain slope for raycastTerrain; null derives it (see getTerrainMaxGradient).
+ */
+export function setTerrainConfig(config) {
+    terrainConfig = { ...DEFAULT_TERRAIN_CONFIG, ...config };
+    terrainNoise = createTerrainNoise(terrainConfig);
+    terrainNoiseGradient = createTerrainNoiseGradient(terrainConfig);
+}
+
+/**
+ * Returns a copy of the active procedural terrain configuration.
+ * @returns {object}
+ */
+export function getTerrainConfig() {
+    return { ...terrainConfig };
+}
+
+/**
+ * Returns the height of the water surface; terrain below it is flooded.
+ * @returns {number}
+ */
+export function getWaterLevel() {
+    return terrainConfig.waterLevel;
+}
+
+/**
+ * Whether the terrain at (x, z) lies below the water level.
+ * @param {number} worldX - World X coordinate.
+ * @param {number} worldZ - World Z coordinate.
+ * @returns {boolean}
+ */
+export function isUnderwater(worldX, worldZ) {
+    return getTerrainHeight(worldX, worldZ) < terrainConfig.waterLevel;
+}
+
+// Active heightmap height source (null = procedural only), with its steepest slope and highest peak
+let activeHeightmap = null;
+let heightmapEdgeBlend = 0;
+let heightmapMaxGradient = 0;
+let heightmapPeak = 0;
+// Erosion layer: heightmap of (eroded - uneroded) heights added on top of the base source
+let erosionDelta = null;
+let erosionMaxGradient = 0;
+// Modifier stack applied on top of everything else, in insertion order
+const terrainModifiers = [];
+
+/**
+ * Computes the procedural terrain height at a given (x, z) world coordinate using the
+ * active world's noise type and fractal parameters.
+ * @param {number} worldX - World X coordinate.
+ * @param {number} worldZ - World Z coordinate.
+ * @returns {number} Procedural height value at (x, z).
+ */
+export function getProceduralTerrainHeight(worldX, worldZ) {
+    return terrainNoise(worldX, worldZ) * terrainConfig.maxHeight;
+}
+
+/**
+ * Computes the terrain height at a given (x, z) world coordinate.
+ * The base height comes from getBaseTerrainHeight; inside an applied erosion grid the
+ * eroded offset is added on top, and finally the terrain modifier stack is applied.
  * @param {number} worldX - World X coordinate.
  * @param {number} worldZ - World Z coordinate.
  * @returns {number} Height value for terrain at (x, z).
  */
 export function getTerrainHeight(worldX, worldZ) {
-    let totalHeight = 0;
-    let currentFrequency = TERRAIN_BASE_FREQUENCY;
-    let currentAmplitude = 1.0;
-    let normalizationFactor = 0;
-    for (let i = 0; i < TERRAIN_OCTAVES; i++) {
-        totalHeight += interpolatedNoise(worldX, worldZ, currentFrequency) * currentAmplitude;
-        normalizationFactor += currentAmplitude;
-        currentAmplitude *= TERRAIN_PERSISTENCE;
-        currentFrequency *= TERRAIN_LACUNARITY;
+    return getModifiedTerrainHeight(worldX, worldZ, terrainModifiers.length);
+}
+
+/**
+ * Computes the terrain height with only the first `count` modifiers of the stack applied.
+ * Modifiers receive a sampler for the layers below them.
+ * @param {number} worldX
+ * @param {number} worldZ
+ * @param {number} count - Number of modifiers to apply.
+ * @returns {number}
+ */
+function getModifiedTerrainHeight(worldX, worldZ, count) {
+    let height = getBaseTerrainHeight(worldX, worldZ);
+    if (erosionDelta && isInsideHeightmap(erosionDelta, worldX, worldZ)) {
+        height += sampleHeightmap(erosionDelta, worldX, worldZ);
+    }
+    for (let i = 0; i < count; i++) {
+        const modifier = terrainModifiers[i];
+        if (modifier.affects(worldX, worldZ)) {
+            height = modifier.apply(worldX, worldZ, height, (x, z) => getModifiedTerrainHeight(x, z, i));
+        }
     }
-    return (totalHeight / normalizationFactor) * TERRAIN_MAX_HEIGHT;
+    return height;
+}
+
+/**
+ * Pushes a modifier (see terrain/TerrainModifiers.js) onto the terrain modifier stack and lets it
+ * prepare against the terrain below it. Every consumer of getTerrainHeight sees the modified
+ * terrain. Existing chunk meshes must be rebuilt afterwards, and modifiers re-added if the
+ * terrain below them changes (config, heightmap or erosion).
+ * @param {object} modifier
+ * @returns {object} The modifier, for later removal.
+ */
+export function addTerrainModifier(modifier) {
+    const below = terrainModifiers.length;
+    if (modifier.prepare) modifier.prepare((x, z) => getModifiedTerrainHeight(x, z, below));
+    terrainModifiers.push(modifier);
+    return modifier;
+}
+
+/**
+ * Removes a modifier from the terrain modifier stack.
+ * @param {object} modifier
+ */
+export function removeTerrainModifier(modifier) {
+    const index = terrainModifiers.indexOf(modifier);
+    if (index !== -1) terrainModifiers.splice(index, 1);
+}
+
+/**
+ * Removes every terrain modifier.
+ */
+export function clearTerrainModifiers() {
+    terrainModifiers.length = 0;
+}
+
+/**
+ * Computes the un-eroded terrain height at a given (x, z) world coordinate.
+ * Inside an active heightmap this is the bilinearly sampled heightmap, blended back to the
+ * procedural FBM over the heightmap's edge band; everywhere else it is the procedural FBM.
+ * @param {number} worldX - World X coordinate.
+ * @param {number} worldZ - World Z coordinate.
+ * @returns {number} Base height value at (x, z).
+ */
+export function getBaseTerrainHeight(worldX, worldZ) {
+    if (!activeHeightmap) {
+        return getProceduralTerrainHeight(worldX, worldZ);
+    }
+    const edgeDistance = distanceToHeightmapEdge(activeHeightmap, worldX, worldZ);
+    if (edgeDistance < 0) {
+        return getProceduralTerrainHeight(worldX, worldZ);
+    }
+    const heightmapValue = sampleHeightmap(activeHeightmap, worldX, worldZ);
+    if (edgeDistance >= heightmapEdgeBlend) {
+        return heightmapValue;
+    }
+    const weight = THREE.MathUtils.smoothstep(edgeDistance, 0, heightmapEdgeBlend);
+    return THREE.MathUtils.lerp(getProceduralTerrainHeight(worldX, worldZ), heightmapValue, weight);
+}
+
+/**
+ * Uses a heightmap as the terrain height source. Every consumer of getTerrainHeight
+ * (ground meshes, tree/mushroom placement, the gateway, spawned mushroom collisions)
+ * follows it. Existing chunk meshes must be rebuilt afterwards.
+ * @param {object} heightmap - Heightmap object from terrain/Heightmap.js.
+ * @param {number} [edgeBlend=0] - Width of the band inside the heightmap border over which it fades into the procedural terrain.
+ */
+export function setTerrainHeightmap(heightmap, { edgeBlend = 0 } = {}) {
+    activeHeightmap = heightmap;
+    heightmapEdgeBlend = edgeBlend;
+    heightmapMaxGradient = getHeightmapMaxGradient(heightmap);
+    const { minHeight, maxHeight } = getHeightmapRange(heightmap);
+    heightmapPeak = Math.max(Math.abs(minHeight), Math.abs(maxHeight));
+}
+
+/**
+ * Removes the active heightmap and returns to purely procedural terrain.
+ */
+export function clearTerrainHeightmap() {
+    activeHeightmap = null;
+    heightmapEdgeBlend = 0;
+}
+
+/**
+ * Runs the erosion simulation over a grid of the current base terrain and installs the
+ * result as a height layer, so meshes built afterwards and every getTerrainHeight query
+ * (placement, gateway, collisions) see the eroded terrain. Replaces any previous erosion.
+ * Deterministic for a given erosion seed. Existing chunk meshes must be rebuilt afterwards.
+ * @param {number} resolution - Grid samples along each edge.
+ * @param {number} worldSize - World-space edge length of the eroded area.
+ * @param {number} [centerX=0]
+ * @param {number} [centerZ=0]
+ * @param {object} [erosionOptions] - Overrides for DEFAULT_EROSION_OPTIONS; the seed defaults to the terrain seed.
+ * @returns {object} The eroded heightmap.
+ */
+export function applyTerrainErosion({ resolution, worldSize, centerX = 0, centerZ = 0, erosionOptions = {} }) {
+    const source = sampleHeightmapFromFunction({ sampleHeight: getBaseTerrainHeight, resolution, worldSize, centerX, centerZ });
+    const eroded = erodeHeightmap(source, { seed: terrainConfig.seed, ...erosionOptions });
+    const delta = eroded.data.map((h, i) => h - source.data[i]);
+    erosionDelta = createHeightmap({ ...eroded, data: delta });
+    erosionMaxGradient = getHeightmapMaxGradient(erosionDelta);
+    return eroded;
+}
+
+/**
+ * Removes the erosion layer.
+ */
+export function clearTerrainErosion() {
+    erosionDelta = null;
+    erosionMaxGradient = 0;
+}
+
+/**
+ * Exports the current terrain (procedural or heightmap-based, including erosion) as a heightmap object,
+ * ready to be encoded with heightmapToPNG or heightmapToFloat32.
+ * @param {number} resolution - Samples along each edge.
+ * @param {number} worldSize - World-space edge length to export.
+ * @param {number} [centerX=0]
+ * @param {number} [centerZ=0]
+ * @returns {object} Heightmap object.
+ */
+export function exportTerrainHeightmap({ resolution, worldSize, centerX = 0, centerZ = 0 }) {
+    return sampleHeightmapFromFunction({ sampleHeight: getTerrainHeight, resolution, worldSize, centerX, centerZ });
 }
 
 /**
@@ -94,4 +288,253 @@ export function createGroundMesh(material) {
     groundMesh.rotation.x = -Math.PI / 2;
     groundMesh.receiveShadow = true;
     return groundMesh;
-} 
\ No newline at end of file
+}
+
+/**
+ * Whether the terrain at (x, z) is the bare procedural FBM, with no heightmap,
+ * erosion layer or modifier touching it.
+ * @param {number} worldX
+ * @param {number} worldZ
+ * @returns {boolean}
+ */
+function isProceduralOnly(worldX, worldZ) {
+    if (activeHeightmap && isInsideHeightmap(activeHeightmap, worldX, worldZ)) return false;
+    if (erosionDelta && isInsideHeightmap(erosionDelta, worldX, worldZ)) return false;
+    return !terrainModifiers.some(modifier => modifier.affects(worldX, worldZ));
+}
+
+/**
+ * Computes the terrain height gradient (dHeight/dx, dHeight/dz) at (x, z).
+ * On procedural terrain it is evaluated analytically from the FBM; inside heightmaps,
+ * erosion grids and modifiers it falls back to central differences of getTerrainHeight.
+ * @param {number} worldX - World X coordinate.
+ * @param {number} worldZ - World Z coordinate.
+ * @param {THREE.Vector2} [target] - Vector to write the gradient into (x = d/dx, y = d/dz).
+ * @returns {THREE.Vector2} The gradient.
+ */
+export function getTerrainGradient(worldX, worldZ, target = new THREE.Vector2()) {
+    if (isProceduralOnly(worldX, worldZ)) {
+        terrainNoiseGradient(worldX, worldZ, noiseGradientSample);
+        return target.set(noiseGradientSample[1] * terrainConfig.maxHeight, noiseGradientSample[2] * terrainConfig.maxHeight);
+    }
+    const e = GRADIENT_SAMPLE_OFFSET;
+    return target.set(
+        (getTerrainHeight(worldX + e, worldZ) - getTerrainHeight(worldX - e, worldZ)) / (2 * e),
+        (getTerrainHeight(worldX, worldZ + e) - getTerrainHeight(worldX, worldZ - e)) / (2 * e)
+    );
+}
+
+const gradientScratch = new THREE.Vector2();
+
+/**
+ * Computes the unit terrain surface normal at (x, z). Depends only on world coordinates,
+ * so adjacent chunks produce identical normals along shared edges.
+ * @param {number} worldX - World X coordinate.
+ * @param {number} worldZ - World Z coordinate.
+ * @param {THREE.Vector3} [target] - Vector to write the normal into.
+ * @returns {THREE.Vector3} The unit normal.
+ */
+export function getTerrainNormal(worldX, worldZ, target = new THREE.Vector3()) {
+    const gradient = getTerrainGradient(worldX, worldZ, gradientScratch);
+    return target.set(-gradient.x, 1, -gradient.y).normalize();
+}
+
+/**
+ * Computes the terrain slope angle at (x, z).
+ * @param {number} worldX - World X coordinate.
+ * @param {number} worldZ - World Z coordinate.
+ * @returns {number} Angle between the surface and the horizontal, in radians.
+ */
+export function getTerrainSlope(worldX, worldZ) {
+    return Math.atan(getTerrainGradient(worldX, worldZ, gradientScratch).length());
+}
+
+/**
+ * Returns an upper bound of the terrain slope (height change per unit of horizontal distance):
+ * the world config's maxGradient if set, otherwise derived from the noise type and fractal
+ * parameters, the heightmap and its edge blend, the erosion layer and each modifier in the stack
+ * (modifiers without getMaxGradient give no bound, i.e. Infinity). The derived bound is safe but
+ * loose, so raycasts march in small steps; set maxGradient to a measured slope to speed them up.
+ * @returns {number}
+ */
+export function getTerrainMaxGradient() {
+    if (terrainConfig.maxGradient !== null && terrainConfig.maxGradient !== undefined) return terrainConfig.maxGradient;
+    let gradient = getTerrainNoiseMaxGradient(terrainConfig) * terrainConfig.maxHeight;
+    if (activeHeightmap) {
+        // Across the edge band the heightmap fades (smoothstep, slope up to 1.5) into the procedural
+        // terrain, which stays within maxHeight
+        const blend = heightmapEdgeBlend > 0 ? 1.5 * (heightmapPeak + terrainConfig.maxHeight) / heightmapEdgeBlend : Infinity;
+        gradient = Math.max(gradient, heightmapMaxGradient) + blend;
+    }
+    gradient += erosionMaxGradient;
+    for (const modifier of terrainModifiers) {
+        gradient = modifier.getMaxGradient ? modifier.getMaxGradient(gradient) : Infinity;
+    }
+    return gradient;
+}
+
+/**
+ * Intersects a ray with the terrain heightfield without touching any mesh.
+ * Marches along the ray with steps bounded by the vertical gap to the terrain, then refines
+ * the first crossing by bisection.
+ * @param {THREE.Ray} ray - Ray in world space (direction must be normalized).
+ * @param {number} [maxDistance=1000] - Maximum distance along the ray.
+ * @param {number} [minStep=0.05] - Smallest march step; thin features below this may be missed.
+ * @param {number} [maxGradient=getTerrainMaxGradient()] - Upper bound of the terrain gradient, which sizes
+ *   the march steps; a lower value marches faster but may step over ridges steeper than it.
+ * @returns {{point: THREE.Vector3, distance: number, normal: THREE.Vector3}|null} The hit, or null
+ *   if the ray misses within maxDistance or starts below the terrain.
+ */
+export function raycastTerrain(ray, { maxDistance = 1000, minStep = 0.05, maxGradient = getTerrainMaxGradient() } = {}) {
+    const point = new THREE.Vector3();
+    const gapAt = (distance) => {
+        ray.at(distance, point);
+        return point.y - getTerrainHeight(point.x, point.z);
+    };
+    let gap = gapAt(0);
+    if (gap < 0) return null;
+    let near = 0;
+    let far = 0;
+    while (far < maxDistance) {
+        near = far;
+        far = Math.min(far + Math.max(gap / (1 + maxGradient), minStep), maxDistance);
+        gap = gapAt(far);
+        if (gap <= 0) {
+            for (let i = 0; i < RAYCAST_REFINE_STEPS; i++) {
+                const mid = (near + far) / 2;
+                if (gapAt(mid) > 0) near = mid;
+                else far = mid;
+            }
+            ray.at(far, point);
+            point.y = getTerrainHeight(point.x, point.z);
+            return { point, distance: far, normal: getTerrainNormal(point.x, point.z) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Samples terrain heights and normals for one square chunk on a regular grid.
+ * The grid is the chunk's full-resolution data; LOD tiles are built by subsampling it,
+ * so heights only have to be evaluated once per chunk.
+ * @param {number} chunkX - Integer chunk X coordinate.
+ * @param {number} chunkZ - Integer chunk Z coordinate.
+ * @param {number} size - World-space edge length of the chunk.
+ * @param {number} segments - Grid segments along each edge (a power of two for LOD).
+ * @returns {{heights: Float32Array, normals: Float32Array, segments: number, size: number, centerX: number, centerZ: number}}
+ */
+export function sampleTerrainChunkGrid({ chunkX, chunkZ, size, segments }) {
+    const centerX = chunkX * size;
+    const centerZ = chunkZ * size;
+    const side = segments + 1;
+    const heights = new Float32Array(side * side);
+    const normals = new Float32Array(side * side * 3);
+    const normal = new THREE.Vector3();
+    for (let j = 0; j < side; j++) {
+        for (let i = 0; i < side; i++) {
+            const worldX = centerX - size / 2 + i * size / segments;
+            const worldZ = centerZ - size / 2 + j * size / segments;
+            const index = j * side + i;
+            heights[index] = getTerrainHeight(worldX, worldZ);
+            getTerrainNormal(worldX, worldZ, normal);
+            normal.toArray(normals, index * 3);
+        }
+    }
+    return { heights, normals, segments, size, centerX, centerZ };
+}
+
+/**
+ * Builds tile geometry for a chunk grid at a given level of detail.
+ * Edges that border a coarser neighbour are stitched: vertices between the neighbour's
+ * vertices are moved onto the neighbour's edge line, so the tiles meet without cracks.
+ * Geometry is local to the chunk center.
+ * @param {object} grid - Chunk grid from sampleTerrainChunkGrid.
+ * @param {number} lodSegments - Segments along each edge for this tile (divides grid.segments).
+ * @param {object} [neighbourSegments] - { north, south, east, west } segment counts of neighbouring tiles; missing or finer neighbours need no stitching.
+ * @returns {THREE.BufferGeometry}
+ */
+export function createTerrainTileGeometry(grid, lodSegments, neighbourSegments = {}) {
+    const { heights, normals, segments, size, centerX, centerZ } = grid;
+    const gridSide = segments + 1;
+    const side = lodSegments + 1;
+    const step = segments / lodSegments;
+    const cellSize = size / lodSegments;
+    const positions = new Float32Array(side * side * 3);
+    const tileNormals = new Float32Array(side * side * 3);
+    const uvs = new Float32Array(side * side * 2);
+    const heightAt = (i, j) => heights[(j * step) * gridSide + i * step];
+    for (let j = 0; j < side; j++) {
+        for (let i = 0; i < side; i++) {
+            const index = j * side + i;
+            const gridIndex = (j * step) * gridSide + i * step;
+            const localX = -size / 2 + i * cellSize;
+            const localZ = -size / 2 + j * cellSize;
+            positions[index * 3] = localX;
+            positions[index * 3 + 1] = heights[gridIndex];
+            positions[index * 3 + 2] = localZ;
+            tileNormals[index * 3] = normals[gridIndex * 3];
+            tileNormals[index * 3 + 1] = normals[gridIndex * 3 + 1];
+            tileNormals[index * 3 + 2] = normals[gridIndex * 3 + 2];
+            uvs[index * 2] = 0.5 + (centerX + localX) / GROUND_UV_SIZE;
+            uvs[index * 2 + 1] = 0.5 - (centerZ + localZ) / GROUND_UV_SIZE;
+        }
+    }
+    // Stitch edges against coarser neighbours
+    const edges = {
+        north: (k) => [k, 0],
+        south: (k) => [k, lodSegments],
+        west: (k) => [0, k],
+        east: (k) => [lodSegments, k]
+    };
+    for (const [edge, vertexAt] of Object.entries(edges)) {
+        const coarser = neighbourSegments[edge];
+        if (!coarser || coarser >= lodSegments) continue;
+        const ratio = lodSegments / coarser;
+        for (let k = 0; k < lodSegments; k++) {
+            const offset = k % ratio;
+            if (offset === 0) continue;
+            const k0 = k - offset;
+            const [i0, j0] = vertexAt(k0);
+            const [i1, j1] = vertexAt(k0 + ratio);
+            const [i, j] = vertexAt(k);
+            positions[(j * side + i) * 3 + 1] = THREE.MathUtils.lerp(heightAt(i0, j0), heightAt(i1, j1), offset / ratio);
+        }
+    }
+    const indices = [];
+    for (let j = 0; j < lodSegments; j++) {
+        for (let i = 0; i < lodSegments; i++) {
+            const a = j * side + i;
+            const b = (j + 1) * side + i;
+            const c = (j + 1) * side + i + 1;
+            const d = j * side + i + 1;
+            indices.push(a, b, d, b, c, d);
+        }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(indices);
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(tileNormals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+    return geometry;
+}
+
+/**
+ * Generates the full-resolution ground mesh for one square terrain chunk.
+ * The mesh is positioned at the chunk center; vertex heights, normals and UVs
+ * are all derived from world coordinates so neighbouring chunks line up exactly.
+ * @param {THREE.Material} material - The material to use for the chunk mesh.
+ * @param {number} chunkX - Integer chunk X coordinate.
+ * @param {number} chunkZ - Integer chunk Z coordinate.
+ * @param {number} size - World-space edge length of the chunk.
+ * @param {number} segments - Number of grid segments along each edge.
+ * @returns {THREE.Mesh} The generated chunk mesh.
+ */
+export function createTerrainChunkMesh({ material, chunkX, chunkZ, size, segments }) {
+    const grid = sampleTerrainChunkGrid({ chunkX, chunkZ, size, segments });
+    const chunkMesh = new THREE.Mesh(createTerrainTileGeometry(grid, segments), material);
+    chunkMesh.position.set(grid.centerX, 0, grid.centerZ);
+    chunkMesh.receiveShadow = true;
+    return chunkMesh;
+}
@@ -0,0 +1,229 @@
+// terrain/TerrainModifiers.js
+import * as THREE from 'three';
+import { sampleHeightmap, getHeightmapMaxGradient, getHeightmapRange } from './Heightmap.js';
+
+/**
+ * Terrain modifiers layered on top of the base height source.
+ * Each modifier is a plain object { type, affects(x, z), apply(x, z, height, sampleBelow), prepare?, getMaxGradient? }:
+ * - affects is a cheap bounds test used to skip modifiers far from the query point.
+ * - apply returns the modified height; sampleBelow(x, z) returns the terrain height
+ *   below this modifier in the stack (base terrain plus earlier modifiers), which lets
+ *   flatten and trail modifiers level themselves to the surrounding ground.
+ * - prepare(sampleBelow), if present, is called once as the modifier is added to the stack,
+ *   to precompute what does not depend on the query point (e.g. the flatten target height).
+ * - getMaxGradient(gradientBelow) bounds the terrain slope with the modifier applied, given a
+ *   bound of the slope below it (see getTerrainMaxGradient in TerrainGenerator.js).
+ * Modifiers are added to the stack with addTerrainModifier in TerrainGenerator.js.
+ */
+
+/**
+ * Weight that is 1 inside the radius and fades smoothly to 0 across the falloff band.
+ * @param {number} dist - Distance from the modifier center.
+ * @param {number} radius
+ * @param {number} falloff
+ * @returns {number}
+ */
+function circleWeight(dist, radius, falloff) {
+    if (dist <= radius) return 1;
+    if (falloff <= 0) return 0;
+    return 1 - THREE.MathUtils.smoothstep(dist, radius, radius + falloff);
+}
+
+// Steepest slope of a smoothstep across a band, per unit of height change and band width
+const SMOOTHSTEP_MAX_SLOPE = 1.5;
+
+/**
+ * Creates a bounds test for a circular modifier.
+ * @param {number} x
+ * @param {number} z
+ * @param {number} extent - Outer radius of influence.
+ * @returns {function(number, number): boolean}
+ */
+function circleBounds(x, z, extent) {
+    const extentSq = extent * extent;
+    return (px, pz) => (px - x) * (px - x) + (pz - z) * (pz - z) < extentSq;
+}
+
+/**
+ * Flattens a circle to a level height, blending back to the terrain across the falloff band.
+ * @param {number} x - Center X.
+ * @param {number} z - Center Z.
+ * @param {number} radius - Radius of the fully level area.
+ * @param {number} [falloff=2] - Width of the blend band.
+ * @param {number} [height] - Target height; defaults to the terrain height at the center when
+ *   the modifier is added to the stack.
+ * @returns {object} Terrain modifier.
+ */
+export function createFlattenModifier({ x, z, radius, falloff = 2, height }) {
+    let target = height;
+    let centerHeight = 0;
+    return {
+        type: 'flatten',
+        affects: circleBounds(x, z, radius + falloff),
+        prepare(sampleBelow) {
+            centerHeight = sampleBelow(x, z);
+            if (height === undefined) target = centerHeight;
+        },
+        getMaxGradient(gradientBelow) {
+            if (falloff <= 0) return Infinity;
+            // Across the band the terrain is at most this far from the level height
+            const gap = Math.abs(target - centerHeight) + gradientBelow * (radius + falloff);
+            return gradientBelow + SMOOTHSTEP_MAX_SLOPE * gap / falloff;
+        },
+        apply(px, pz, currentHeight) {
+            const weight = circleWeight(Math.hypot(px - x, pz - z), radius, falloff);
+            return THREE.MathUtils.lerp(currentHeight, target, weight);
+        }
+    };
+}
+
+/**
+ * Raises (positive amount) or lowers (negative amount) the terrain with a soft round brush.
+ * @param {number} x - Center X.
+ * @param {number} z - Center Z.
+ * @param {number} radius - Radius of the full-strength core (may be 0).
+ * @param {number} [falloff=2] - Width of the fade band.
+ * @param {number} amount - Height offset at full strength.
+ * @returns {object} Terrain modifier.
+ */
+export function createRaiseModifier({ x, z, radius, falloff = 2, amount }) {
+    return {
+        type: 'raise',
+        affects: circleBounds(x, z, radius + falloff),
+        getMaxGradient(gradientBelow) {
+            return falloff > 0 ? gradientBelow + SMOOTHSTEP_MAX_SLOPE * Math.abs(amount) / falloff : Infinity;
+        },
+        apply(px, pz, currentHeight) {
+            return currentHeight + amount * circleWeight(Math.hypot(px - x, pz - z), radius, falloff);
+        }
+    };
+}
+
+/**
+ * Stamps a crater: a parabolic bowl with a raised rim, faded out beyond the rim.
+ * @param {number} x - Center X.
+ * @param {number} z - Center Z.
+ * @param {number} radius - Bowl radius (rim crest).
+ * @param {number} depth - Bowl depth at the center.
+ * @param {number} [rimHeight=depth * 0.3] - Rim height above the surrounding terrain.
+ * @param {number} [falloff=radius * 0.5] - Width of the band outside the rim over which it fades.
+ * @returns {object} Terrain modifier.
+ */
+export function createCraterModifier({ x, z, radius, depth, rimHeight = depth * 0.3, falloff = radius * 0.5 }) {
+    return {
+        type: 'crater',
+        affects: circleBounds(x, z, radius + falloff),
+        getMaxGradient(gradientBelow) {
+            if (falloff <= 0) return Infinity;
+            // Bowl wall at the rim, steepest flank of the Gaussian rim, and the rim fading out
+            const bowl = 2 * Math.abs(depth) / radius;
+            const rim = Math.abs(rimHeight) * Math.sqrt(2 / Math.E) / (falloff * 0.5);
+            return gradientBelow + bowl + rim + SMOOTHSTEP_MAX_SLOPE * Math.abs(rimHeight) / falloff;
+        },
+        apply(px, pz, currentHeight) {
+            const r = Math.hypot(px - x, pz - z) / radius;
+            const rimWidth = falloff / radius * 0.5;
+            const bowl = r < 1 ? -depth * (1 - r * r) : 0;
+            const rimOffset = (r - 1) / rimWidth;
+            const rim = rimHeight * Math.exp(-rimOffset * rimOffset);
+            const weight = circleWeight(r * radius, radius, falloff);
+            return currentHeight + (bowl + rim) * weight;
+        }
+    };
+}
+
+/**
+ * Stamps a heightmap (e.g. a hand-authored rock or mound) onto the terrain, centered at (x, z)
+ * and scaled to cover a square of edge 2 * radius. Heightmap values are added, scaled by amount,
+ * and faded to zero across the falloff band towards the stamp border.
+ * @param {object} heightmap - Heightmap object from terrain/Heightmap.js.
+ * @param {number} x - Center X.
+ * @param {number} z - Center Z.
+ * @param {number} radius - Half the stamp edge length.
+ * @param {number} [amount=1] - Height multiplier.
+ * @param {number} [falloff=radius * 0.25] - Width of the fade band inside the stamp border.
+ * @returns {object} Terrain modifier.
+ */
+export function createStampModifier({ heightmap, x, z, radius, amount = 1, falloff = radius * 0.25 }) {
+    const stamp = { ...heightmap, worldSize: radius * 2, centerX: x, centerZ: z };
+    return {
+        type: 'stamp',
+        affects: (px, pz) => Math.abs(px - x) < radius && Math.abs(pz - z) < radius,
+        getMaxGradient(gradientBelow) {
+            if (falloff <= 0) return Infinity;
+            const { minHeight, maxHeight } = getHeightmapRange(stamp);
+            const peak = Math.max(Math.abs(minHeight), Math.abs(maxHeight));
+            return gradientBelow + Math.abs(amount) * (getHeightmapMaxGradient(stamp) + SMOOTHSTEP_MAX_SLOPE * peak / falloff);
+        },
+        apply(px, pz, currentHeight) {
+            const edgeDistance = radius - Math.max(Math.abs(px - x), Math.abs(pz - z));
+            const weight = falloff > 0 ? THREE.MathUtils.smoothstep(edgeDistance, 0, falloff) : 1;
+            return currentHeight + sampleHeightmap(stamp, px, pz) * amount * weight;
+        }
+    };
+}
+
+/**
+ * Carves a trail along a Catmull-Rom spline through the given points. The trail bed follows
+ * the terrain along its length but is level across its width, sunk by depth, with soft banks.
+ * @param {Array<Array<number>>} points - Control points as [x, z] pairs (at least two).
+ * @param {number} width - Width of the trail bed.
+ * @param {number} [depth=0.15] - How far the bed is worn below the surrounding terrain.
+ * @param {number} [falloff=1] - Width of the banks on each side.
+ * @param {number} [samplesPerSegment=16] - Polyline resolution of the spline.
+ * @returns {object} Terrain modifier.
+ */
+export function createTrailModifier({ points, width, depth = 0.15, falloff = 1, samplesPerSegment = 16 }) {
+    const curve = new THREE.CatmullRomCurve3(points.map(([px, pz]) => new THREE.Vector3(px, 0, pz)));
+    const polyline = curve.getPoints((points.length - 1) * samplesPerSegment);
+    const halfWidth = width / 2;
+    const reach = halfWidth + falloff;
+    const bounds = new THREE.Box2();
+    polyline.forEach(p => bounds.expandByPoint(new THREE.Vector2(p.x, p.z)));
+    bounds.expandByScalar(reach);
+    const probe = new THREE.Vector2();
+
+    /**
+     * Finds the closest point on the polyline to (px, pz).
+     * @returns {{x: number, z: number, dist: number}}
+     */
+    function closestPoint(px, pz) {
+        let bestX = polyline[0].x;
+        let bestZ = polyline[0].z;
+        let bestDist = Infinity;
+        for (let i = 0; i < polyline.length - 1; i++) {
+            const a = polyline[i];
+            const b = polyline[i + 1];
+            const abX = b.x - a.x;
+            const abZ = b.z - a.z;
+            const lengthSq = abX * abX + abZ * abZ;
+            const t = lengthSq > 0 ? THREE.MathUtils.clamp(((px - a.x) * abX + (pz - a.z) * abZ) / lengthSq, 0, 1) : 0;
+            const cx = a.x + abX * t;
+            const cz = a.z + abZ * t;
+            const dist = Math.hypot(px - cx, pz - cz);
+            if (dist < bestDist) {
+                bestX = cx;
+                bestZ = cz;
+                bestDist = dist;
+            }
+        }
+        return { x: bestX, z: bestZ, dist: bestDist };
+    }
+
+    return {
+        type: 'trail',
+        affects: (px, pz) => bounds.containsPoint(probe.set(px, pz)),
+        getMaxGradient(gradientBelow) {
+            // The bed follows the terrain along the trail; across the banks it is at most this far off
+            const gap = gradientBelow * reach + Math.abs(depth);
+            return falloff > 0 ? gradientBelow + SMOOTHSTEP_MAX_SLOPE * gap / falloff : Infinity;
+        },
+        apply(px, pz, currentHeight, sampleBelow) {
+            const closest = closestPoint(px, pz);
+            if (closest.dist >= reach) return currentHeight;
+            const weight = circleWeight(closest.dist, halfWidth, falloff);
+            const bedHeight = sampleBelow(closest.x, closest.z) - depth;
+            return THREE.MathUtils.lerp(currentHeight, bedHeight, weight);
+        }
+    };
+}
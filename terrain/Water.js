@@ -0,0 +1,51 @@
+// terrain/Water.js
+import * as THREE from 'three';
+import { Reflector } from 'three/addons/objects/Reflector.js';
+import { waterShader } from '../shaders/WaterShader.js';
+
+/**
+ * Water surface filling the terrain below the water level (see getWaterLevel in TerrainGenerator.js).
+ * A single reflective plane at the water level follows the camera; the terrain above it hides the
+ * plane everywhere except in the valleys, which therefore read as lakes.
+ */
+
+/**
+ * Creates the reflective water surface.
+ * @param {number} size - World-space edge length of the plane; should cover the streamed terrain.
+ * @param {number} level - Height of the water surface.
+ * @param {THREE.Color|number} color - Water tint (see daySettings.waterColor).
+ * @param {number} [textureSize=512] - Reflection render target resolution.
+ * @param {number} [distortion=0.03] - Ripple distortion of the reflection.
+ * @param {number} [opacity=0.8] - Opacity when looking straight down.
+ * @returns {Reflector} The water mesh; its material uniforms hold uTime and uWaterColor.
+ */
+export function createWaterSurface({ size, level, color, textureSize = 512, distortion = 0.03, opacity = 0.8 }) {
+    const water = new Reflector(new THREE.PlaneGeometry(size, size), {
+        textureWidth: textureSize,
+        textureHeight: textureSize,
+        clipBias: 0.003,
+        shader: waterShader
+    });
+    water.name = 'water';
+    water.rotation.x = -Math.PI / 2;
+    water.position.y = level;
+    water.material.transparent = true;
+    water.material.fog = true;
+    water.material.uniforms.uWaterColor.value.set(color);
+    water.material.uniforms.uDistortion.value = distortion;
+    water.material.uniforms.uOpacity.value = opacity;
+    return water;
+}
+
+/**
+ * Animates the ripples and keeps the water plane centered under the focus point.
+ * Waves are computed in world space, so moving the plane does not shift them.
+ * @param {Reflector} water - Mesh from createWaterSurface.
+ * @param {number} time - Elapsed time in seconds.
+ * @param {THREE.Vector3} focus - World position to center on (usually the camera).
+ */
+export function updateWaterSurface({ water, time, focus }) {
+    water.material.uniforms.uTime.value = time;
+    water.position.x = focus.x;
+    water.position.z = focus.z;
+}
@@ -4,14 +4,19 @@
  * Initializes the day/night toggle button UI and handles its events.
  * @param {function} getIsDaytime - Function returning current isDaytime boolean.
  * @param {function} onToggle - Callback to execute when toggling day/night.
+ * @returns {function} Refreshes the button text, e.g. after an automatic day/night transition.
  */
 export function initDayNightToggle({ getIsDaytime, onToggle }) {
     const dayNightToggle = document.getElementById('day-night-toggle');
-    if (!dayNightToggle) return;
+    if (!dayNightToggle) return () => {};
+    const updateLabel = () => {
+        dayNightToggle.textContent = getIsDaytime() ? 'Switch to Night' : 'Switch to Day';
+    };
     // Set initial button text
-    dayNightToggle.textContent = getIsDaytime() ? 'Switch to Night' : 'Switch to Day';
+    updateLabel();
     dayNightToggle.addEventListener('click', () => {
         onToggle();
-        dayNightToggle.textContent = getIsDaytime() ? 'Switch to Night' : 'Switch to Day';
+        updateLabel();
     });
+    return updateLabel;
 } 
\ No newline at end of file
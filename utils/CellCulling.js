@@ -0,0 +1,124 @@
+// utils/CellCulling.js
+import * as THREE from 'three';
+
+/**
+ * Spatial partitioning and culling for instanced vegetation.
+ * The tree and mushroom generators bucket their instances into square grid cells, each with
+ * its own bounding sphere and a callback that shows or hides the whole cell. Every frame,
+ * updateCellCulling hides the cells outside the view frustum or beyond a maximum distance
+ * (the fog's far plane), so three.js never processes their instances, and keeps statistics
+ * on how much was skipped.
+ * The frustum is grown by a margin so objects just off screen still cast their shadows into view.
+ * Cells are found by traversing the scene for objects carrying userData.cullingCells, so they
+ * disappear with their chunk without any unregistering.
+ */
+
+/**
+ * Default cell edge length in world units.
+ */
+export const DEFAULT_CULLING_CELL_SIZE = 16;
+
+let cullingEnabled = true;
+
+const frustum = new THREE.Frustum();
+const projectionScreenMatrix = new THREE.Matrix4();
+const grownSphere = new THREE.Sphere();
+const cameraPosition = new THREE.Vector3();
+const stats = {
+    cells: 0,
+    visibleCells: 0,
+    instances: 0,
+    visibleInstances: 0,
+    cullTime: 0
+};
+
+/**
+ * Buckets points into square grid cells.
+ * @param {Array<{x: number, z: number}>} points
+ * @param {number} [cellSize=DEFAULT_CULLING_CELL_SIZE]
+ * @returns {Array<Array<number>>} Point indices per non-empty cell.
+ */
+export function partitionIntoCells(points, cellSize = DEFAULT_CULLING_CELL_SIZE) {
+    const buckets = new Map();
+    points.forEach(({ x, z }, index) => {
+        const key = `${Math.floor(x / cellSize)},${Math.floor(z / cellSize)}`;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+    });
+    return [...buckets.values()];
+}
+
+/**
+ * Creates a culling cell.
+ * @param {THREE.Sphere} sphere - World-space bounding sphere of everything in the cell.
+ * @param {number} instanceCount - Number of instances in the cell, for the statistics.
+ * @param {function(boolean): void} setVisible - Shows or hides the cell's instances.
+ * @returns {object} Cell { sphere, instanceCount, setVisible, visible }.
+ */
+export function createCullingCell({ sphere, instanceCount, setVisible }) {
+    return { sphere, instanceCount, setVisible, visible: true };
+}
+
+/**
+ * Registers cells with an object in the scene; they are culled while the object is in it.
+ * @param {THREE.Object3D} object
+ * @param {Array<object>} cells - Cells from createCullingCell.
+ */
+export function attachCullingCells(object, cells) {
+    object.userData.cullingCells = cells;
+}
+
+/**
+ * Turns cell culling on or off; when off, all cells are shown (for comparing frame times).
+ * @param {boolean} enabled
+ */
+export function setCellCullingEnabled(enabled) {
+    cullingEnabled = enabled;
+}
+
+/**
+ * Shows the cells that may be visible from the camera and hides the rest.
+ * @param {THREE.Scene} scene
+ * @param {THREE.Camera} camera
+ * @param {number} [maxDistance=Infinity] - Cells entirely farther than this from the camera are hidden (e.g. fog.far).
+ * @param {number} [frustumMargin=0] - Distance by which the frustum test is grown, to keep off-screen shadows.
+ * @returns {{cells: number, visibleCells: number, instances: number, visibleInstances: number, cullTime: number}}
+ *   Statistics of this update (cullTime in milliseconds); the object is reused between calls.
+ */
+export function updateCellCulling({ scene, camera, maxDistance = Infinity, frustumMargin = 0 }) {
+    const start = performance.now();
+    camera.updateMatrixWorld();
+    projectionScreenMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    frustum.setFromProjectionMatrix(projectionScreenMatrix);
+    camera.getWorldPosition(cameraPosition);
+    stats.cells = 0;
+    stats.visibleCells = 0;
+    stats.instances = 0;
+    stats.visibleInstances = 0;
+    scene.traverse(object => {
+        const cells = object.userData.cullingCells;
+        if (!cells) return;
+        for (const cell of cells) {
+            let visible = true;
+            if (cullingEnabled) {
+                const { center, radius } = cell.sphere;
+                const distance = center.distanceTo(cameraPosition) - radius;
+                grownSphere.center.copy(center);
+                grownSphere.radius = radius + frustumMargin;
+                visible = distance <= maxDistance && frustum.intersectsSphere(grownSphere);
+            }
+            if (visible !== cell.visible) {
+                cell.visible = visible;
+                cell.setVisible(visible);
+            }
+            stats.cells++;
+            stats.instances += cell.instanceCount;
+            if (visible) {
+                stats.visibleCells++;
+                stats.visibleInstances += cell.instanceCount;
+            }
+        }
+    });
+    stats.cullTime = performance.now() - start;
+    return stats;
+}
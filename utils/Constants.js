@@ -6,7 +6,10 @@ export const SPREAD = 20;
 export const MIN_DISTANCE_FROM_CENTER_TREES = 5;
 export const MUSHROOM_COUNT = 150;
 export const MIN_DISTANCE_FROM_GATEWAY_CENTER = 1.0;
-// Terrain parameters
+// Terrain parameters (defaults for the world config, see setTerrainConfig)
+export const TERRAIN_SEED = 0;
+export const TERRAIN_NOISE_TYPE = 'value'; // 'value' | 'simplex' | 'ridged' | 'warped'
+export const TERRAIN_WARP_STRENGTH = 1.5;
 export const GROUND_SEGMENTS_W = 64;
 export const GROUND_SEGMENTS_H = 64;
 export const TERRAIN_MAX_HEIGHT = 3.5;
@@ -14,9 +17,94 @@ export const TERRAIN_BASE_FREQUENCY = 0.04;
 export const TERRAIN_OCTAVES = 5;
 export const TERRAIN_PERSISTENCE = 0.45;
 export const TERRAIN_LACUNARITY = 2.1;
-// Lighting and day/night cycle
+export const TERRAIN_MAX_GRADIENT = null; // Terrain slope bound for raycastTerrain, null to derive it (getTerrainMaxGradient)
+// Terrain chunk streaming
+export const TERRAIN_CHUNK_SIZE = 32;
+export const TERRAIN_CHUNK_SEGMENTS = 64; // Full-resolution segments per chunk edge (power of two)
+export const TERRAIN_LOD_LEVELS = 4; // Each level halves the chunk segments
+export const TERRAIN_LOD_DISTANCE = 24; // Distance from the camera covered by each detail level
+export const TERRAIN_VIEW_RADIUS = 2;
+export const TERRAIN_CHUNKS_PER_UPDATE = 2;
+export const TREES_PER_CHUNK = 192; // At full density; placement rules thin it (utils/PlacementRules.js)
+export const TREE_VARIANTS_PER_SPECIES = 8; // Geometry variants per tree species, grown once and batched once for all chunks
+export const TREE_TEMPLATE_SEED = 7331; // Seed the shared tree variants are grown from
+export const TREE_LOD_DISTANCES = [22, 40]; // Low-poly trees beyond the first distance, impostors beyond the second
+export const TREE_IMPOSTOR_TILE_SIZE = 128; // Pixels per baked impostor view
+export const TREE_IMPOSTOR_FRAMES = 8; // Viewing angles baked per tree variant
+export const MUSHROOMS_PER_CHUNK = 96;
+// Vegetation culling cells (utils/CellCulling.js); cells beyond the fog's far plane are hidden too
+export const CELL_CULLING_FRUSTUM_MARGIN = 6; // Grows the frustum so off-screen trees keep casting shadows
+export const CELL_CULLING_STATS_INTERVAL = 0; // Seconds between culling measurements (getCullingStats in app.js), 0 to disable
+// Optional placement density maps: rule map name -> { url, worldSize }, grayscale images (white = full density)
+// e.g. { forest: { url: 'forest-density.png', worldSize: 256 } }, see utils/PlacementRules.js
+export const PLACEMENT_DENSITY_MAPS = {};
+// Placement exclusion around the gateway until its model has loaded (then its bounding box is used)
+export const GATEWAY_EXCLUSION_HALF_SIZE = 2.5;
+export const GATEWAY_EXCLUSION_MARGIN = 0.3;
+// Gateway clearing and the trail leading up to it (terrain modifiers)
+export const GATEWAY_CLEARING_RADIUS = 4;
+export const GATEWAY_CLEARING_FALLOFF = 3;
+export const GATEWAY_PATH_POINTS = [[0, 3], [1.5, 9], [-2, 16], [-1, 23], [3, 30]];
+export const GATEWAY_PATH_WIDTH = 1.6;
+export const GATEWAY_PATH_DEPTH = 0.12;
+// Optional erosion pass over the terrain around the gateway
+export const TERRAIN_EROSION_ENABLED = false;
+export const TERRAIN_EROSION_RESOLUTION = 257;
+export const TERRAIN_EROSION_WORLD_SIZE = 128;
+// Optional heightmap height source (.png is read as grayscale, anything else as raw Float32)
+export const TERRAIN_HEIGHTMAP_URL = null;
+export const TERRAIN_HEIGHTMAP_WORLD_SIZE = 128;
+export const TERRAIN_HEIGHTMAP_MIN_HEIGHT = -3.5;
+export const TERRAIN_HEIGHTMAP_MAX_HEIGHT = 3.5;
+export const TERRAIN_HEIGHTMAP_EDGE_BLEND = 16;
+// Water
+export const WATER_LEVEL = -1.3; // Terrain below this height is flooded (lakes in the valleys)
+export const WATER_TEXTURE_SIZE = 512; // Reflection render target resolution
+export const WATER_DISTORTION = 0.03; // Ripple distortion of the reflection
+export const WATER_OPACITY = 0.8; // Opacity when looking straight down
+export const SPAWNED_MUSHROOM_FLOAT_CHANCE = 0.7; // Share of spawned mushrooms that float instead of sinking
+export const SPAWNED_MUSHROOM_FLOAT_SETTLE_TIME = 2; // Seconds afloat after which a floating mushroom counts as settled
+export const WATER_DRAG = 3; // Velocity damping per second for mushrooms in water
+export const WATER_SINK_SPEED = 0.6; // Terminal sinking speed
+// Physics of spawned mushrooms (physics/PhysicsWorld.js)
+export const PHYSICS_TIME_STEP = 1 / 120; // Fixed step in seconds, independent of the frame rate
+export const PHYSICS_MAX_SUBSTEPS = 8; // Steps per frame at most; slower frames slow the simulation down
+export const MUSHROOM_RESTITUTION = 0.3; // Share of the impact speed kept when bouncing
+export const MUSHROOM_FRICTION = 0.6;
+// Wind (strength over the day is in the time-of-day keyframes' windStrength, lighting/DayNightCycle.js)
+export const WIND_DIRECTION = [1, 0.35]; // XZ direction the wind blows towards
+export const WIND_FREQUENCY = 1.2; // Sway speed multiplier
+export const TREE_WIND_FLEXIBILITY = 0.2; // Trees bend by the full wind strength 5 units up
+export const MUSHROOM_WIND_FLEXIBILITY = 1.5;
+// Bioluminescent mushrooms (shaders/GlowShader.js, lighting/GlowLights.js)
+export const MUSHROOM_GLOW_FADE_TIME = 4; // Seconds for the glow to fade in at nightfall and out at dawn
+export const MUSHROOM_GLOW_LIGHTS = 4; // Point lights shared by the nearest glowing clusters, 0 to disable
+export const MUSHROOM_GLOW_LIGHT_INTENSITY = 0.6; // Per mushroom in a cluster, scaled by the square root of its size
+export const MUSHROOM_GLOW_LIGHT_DISTANCE = 5;
+// Lighting and time of day (24-hour clock, see lighting/DayNightCycle.js)
 export const LIGHT_ORBIT_RADIUS = 25;
-export const DAY_CYCLE_DURATION = 60;
-export const NIGHT_CYCLE_DURATION = 45;
-export const MAX_SPAWNED_MUSHROOMS = 50;
+export const DAY_CYCLE_DURATION = 60; // Seconds from sunrise to sunset
+export const NIGHT_CYCLE_DURATION = 45; // Seconds from sunset to sunrise
+export const TIME_OF_DAY_START = 9; // Hour the scene starts at
+export const DAY_TOGGLE_HOUR = 9; // Hour the day/night button jumps to when switching to day
+export const NIGHT_TOGGLE_HOUR = 22; // ... and when switching to night
+// Real sun and moon (lighting/Astronomy.js): the clock reads local solar time at this place from this date on
+export const ASTRONOMY_ENABLED = false;
+export const ASTRONOMY_LATITUDE = 47.6; // Degrees north
+export const ASTRONOMY_LONGITUDE = 7.6; // Degrees east
+export const ASTRONOMY_DATE = '2024-06-21'; // Day the scene starts on (UTC calendar day)
+// Sky dome (lighting/SkyDome.js; colors from the time-of-day keyframes' background and fog)
+export const SKY_DOME_RADIUS = 500; // Must stay within the camera's far plane
+export const SKY_CLOUD_COVER = 0.45; // Share of the sky covered by clouds (set by the weather when enabled)
+export const SKY_CLOUD_SPEED = 0.02; // Cloud drift along WIND_DIRECTION
+// Weather (weather/Weather.js, states in WEATHER_STATES; rain and snow in weather/Precipitation.js)
+export const WEATHER_ENABLED = true;
+export const WEATHER_SEED = 2024; // Seed of the random weather
+export const WEATHER_SCHEDULE = null; // Or states to repeat instead, e.g. [{ state: 'rain', duration: 90 }, { state: 'clear', duration: 120 }]
+export const WEATHER_INITIAL_STATE = 'clear';
+export const WEATHER_TRANSITION_TIME = 20; // Seconds to blend one weather into the next
+export const RAIN_PARTICLES = 8000;
+export const SNOW_PARTICLES = 5000;
+export const LIGHTNING_INTENSITY = 3; // Directional light intensity added at the peak of a flash
+export const MAX_SPAWNED_MUSHROOMS = 500; // Capacity of the spawned mushroom pool; the oldest is replaced when full
 export const GRAVITY = 15.0; 
\ No newline at end of file
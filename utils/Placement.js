@@ -0,0 +1,219 @@
+// utils/Placement.js
+
+/**
+ * Shared placement subsystem for scattered objects (trees, mushrooms).
+ * Points are drawn by Poisson-disk dart throwing: random candidates are accepted only if they
+ * keep a minimum spacing to every object already placed, which yields an even, blue-noise
+ * distribution without overlaps. Spacing is defined per pair of categories, so one placement
+ * context can keep trunks apart from each other and mushrooms out of the trunks.
+ * An optional density function (built from the data rules in utils/PlacementRules.js) thins
+ * the candidates so objects follow the terrain and each other.
+ * Every scatter call has a bounded attempt budget and simply places fewer objects when the
+ * constraints are too tight.
+ */
+
+/**
+ * Default minimum spacing between object categories, in world units.
+ * Looked up symmetrically: spacing.tree.mushroom also serves mushroom/tree.
+ */
+export const DEFAULT_PLACEMENT_SPACING = {
+    tree: { tree: 1.8, mushroom: 0.45 },
+    mushroom: { mushroom: 0.3 }
+};
+
+// Candidates tried per requested object before a scatter call gives up
+const DEFAULT_ATTEMPTS_PER_OBJECT = 30;
+
+// Grid samples per edge used to estimate the mean density of an area
+const DENSITY_ESTIMATE_SAMPLES = 8;
+
+// Exclusion zones shared by every placement context, in insertion order
+const exclusionZones = [];
+
+/**
+ * Creates a circular exclusion zone.
+ * @param {number} x - Center X.
+ * @param {number} z - Center Z.
+ * @param {number} radius
+ * @param {Array<string>} [categories] - Categories kept out of the zone; all categories if omitted.
+ * @returns {object} Exclusion zone { contains(x, z), categories }.
+ */
+export function createCircleExclusion({ x, z, radius, categories }) {
+    const radiusSq = radius * radius;
+    return {
+        categories,
+        contains: (px, pz) => (px - x) * (px - x) + (pz - z) * (pz - z) < radiusSq
+    };
+}
+
+/**
+ * Creates an axis-aligned rectangular exclusion zone, e.g. a model's XZ bounding box.
+ * @param {number} minX
+ * @param {number} maxX
+ * @param {number} minZ
+ * @param {number} maxZ
+ * @param {Array<string>} [categories] - Categories kept out of the zone; all categories if omitted.
+ * @returns {object} Exclusion zone { contains(x, z), categories }.
+ */
+export function createBoxExclusion({ minX, maxX, minZ, maxZ, categories }) {
+    return {
+        categories,
+        contains: (px, pz) => px >= minX && px <= maxX && pz >= minZ && pz <= maxZ
+    };
+}
+
+/**
+ * Adds an exclusion zone that every placement context respects. Chunks populated
+ * earlier must be rebuilt to pick it up.
+ * @param {object} zone - Zone from createCircleExclusion or createBoxExclusion.
+ * @returns {object} The zone, for later removal.
+ */
+export function addPlacementExclusionZone(zone) {
+    exclusionZones.push(zone);
+    return zone;
+}
+
+/**
+ * Removes a shared exclusion zone.
+ * @param {object} zone
+ */
+export function removePlacementExclusionZone(zone) {
+    const index = exclusionZones.indexOf(zone);
+    if (index !== -1) exclusionZones.splice(index, 1);
+}
+
+/**
+ * Looks up the minimum spacing between two categories.
+ * @param {object} spacing - Spacing table (see DEFAULT_PLACEMENT_SPACING).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function getSpacing(spacing, a, b) {
+    return spacing[a]?.[b] ?? spacing[b]?.[a] ?? 0;
+}
+
+/**
+ * Creates a placement context for one square area (usually a terrain chunk).
+ * Objects scattered into the same context respect each other's spacing.
+ * @param {number} centerX - World X of the area center.
+ * @param {number} centerZ - World Z of the area center.
+ * @param {number} halfSize - Half the edge length of the area.
+ * @param {object} [spacing=DEFAULT_PLACEMENT_SPACING] - Category spacing table.
+ * @returns {{scatter: function(object): Array<{x: number, z: number}>, add: function(number, number, string): void, isClear: function(number, number, string): boolean, distanceToNearest: function(number, number, string, number): number}}
+ */
+export function createPlacementContext({ centerX, centerZ, halfSize, spacing = DEFAULT_PLACEMENT_SPACING }) {
+    const spacingValues = Object.values(spacing).flatMap(row => Object.values(row));
+    const cellSize = Math.max(...spacingValues, 1e-3);
+    const grid = new Map();
+
+    function cellKey(ix, iz) {
+        return `${ix},${iz}`;
+    }
+
+    /**
+     * Whether an object of the given category may be placed at (x, z): outside all exclusion
+     * zones that apply to it and far enough from every object already placed.
+     */
+    function isClear(x, z, category) {
+        for (const zone of exclusionZones) {
+            if ((!zone.categories || zone.categories.includes(category)) && zone.contains(x, z)) return false;
+        }
+        const ix = Math.floor(x / cellSize);
+        const iz = Math.floor(z / cellSize);
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const cell = grid.get(cellKey(ix + dx, iz + dz));
+                if (!cell) continue;
+                for (const other of cell) {
+                    const minDistance = getSpacing(spacing, category, other.category);
+                    if ((other.x - x) * (other.x - x) + (other.z - z) * (other.z - z) < minDistance * minDistance) return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Registers an object placed by other means so later scatters keep clear of it.
+     */
+    function add(x, z, category) {
+        const key = cellKey(Math.floor(x / cellSize), Math.floor(z / cellSize));
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push({ x, z, category });
+    }
+
+    /**
+     * Distance from (x, z) to the nearest placed object of a category, or Infinity if
+     * none lies within maxDistance.
+     */
+    function distanceToNearest(x, z, category, maxDistance) {
+        const reach = Math.ceil(maxDistance / cellSize);
+        const ix = Math.floor(x / cellSize);
+        const iz = Math.floor(z / cellSize);
+        let nearestSq = maxDistance * maxDistance;
+        let found = false;
+        for (let dz = -reach; dz <= reach; dz++) {
+            for (let dx = -reach; dx <= reach; dx++) {
+                const cell = grid.get(cellKey(ix + dx, iz + dz));
+                if (!cell) continue;
+                for (const other of cell) {
+                    if (other.category !== category) continue;
+                    const distanceSq = (other.x - x) * (other.x - x) + (other.z - z) * (other.z - z);
+                    if (distanceSq <= nearestSq) {
+                        nearestSq = distanceSq;
+                        found = true;
+                    }
+                }
+            }
+        }
+        return found ? Math.sqrt(nearestSq) : Infinity;
+    }
+
+    /**
+     * Mean of a density function over a regular grid covering the square of half edge extent.
+     */
+    function estimateMeanDensity(density, extent) {
+        let sum = 0;
+        for (let j = 0; j < DENSITY_ESTIMATE_SAMPLES; j++) {
+            for (let i = 0; i < DENSITY_ESTIMATE_SAMPLES; i++) {
+                const x = centerX - extent + (2 * extent * (i + 0.5)) / DENSITY_ESTIMATE_SAMPLES;
+                const z = centerZ - extent + (2 * extent * (j + 0.5)) / DENSITY_ESTIMATE_SAMPLES;
+                sum += density(x, z);
+            }
+        }
+        return sum / (DENSITY_ESTIMATE_SAMPLES * DENSITY_ESTIMATE_SAMPLES);
+    }
+
+    /**
+     * Scatters up to count objects of one category by Poisson-disk dart throwing.
+     * The area is inset by half the category's self-spacing, so neighbouring areas
+     * scattered independently still keep their objects apart.
+     * @param {object} prng - Seeded random number generator.
+     * @param {string} category - Category name used for spacing and exclusion zones.
+     * @param {number} count - Number of objects wanted.
+     * @param {number} [maxAttempts=count * 30] - Candidate budget; fewer objects are placed if it runs out.
+     * @param {function(number, number): boolean} [accept] - Extra per-candidate test (e.g. not underwater).
+     * @param {function(number, number): number} [density] - Local density in [0, 1] (see utils/PlacementRules.js).
+     *   count is the number wanted at density 1: it is scaled by the area's mean density, and
+     *   candidates are kept with probability equal to the density at their position.
+     * @returns {Array<{x: number, z: number}>} The accepted points, in placement order.
+     */
+    function scatter({ prng, category, count, maxAttempts = count * DEFAULT_ATTEMPTS_PER_OBJECT, accept, density }) {
+        const extent = Math.max(0, halfSize - getSpacing(spacing, category, category) / 2);
+        const target = density ? Math.round(count * estimateMeanDensity(density, extent)) : count;
+        const points = [];
+        for (let attempt = 0; attempt < maxAttempts && points.length < target; attempt++) {
+            const x = centerX + prng.randFloat(-extent, extent);
+            const z = centerZ + prng.randFloat(-extent, extent);
+            if (!isClear(x, z, category)) continue;
+            if (density && prng.random() >= density(x, z)) continue;
+            if (accept && !accept(x, z)) continue;
+            add(x, z, category);
+            points.push({ x, z });
+        }
+        return points;
+    }
+
+    return { scatter, add, isClear, distanceToNearest };
+}
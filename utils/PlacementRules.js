@@ -0,0 +1,108 @@
+// utils/PlacementRules.js
+import { isInsideHeightmap, sampleHeightmap } from '../terrain/Heightmap.js';
+import { getTerrainSlope } from '../terrain/TerrainGenerator.js';
+
+/**
+ * Ecological placement rules: data describing where each kind of object likes to grow.
+ * A rule turns into a density function (x, z) => [0, 1] that placement contexts use to
+ * thin their candidates (see scatter in utils/Placement.js). The density is the product of
+ *   height   - 1 inside [min, max] world height, fading to 0 over falloff outside it
+ *   slope    - 1 up to maxSlope (radians), fading to 0 over slopeFalloff above it
+ *   map      - value of a named density map at the point (1 where no map covers it)
+ *   shade    - 1 next to objects of another category, fading to open at radius and beyond
+ * scaled by the rule's density. Heights are read from getTerrainHeight, slopes from
+ * getTerrainSlope (terrain/TerrainGenerator.js).
+ * Density maps use the heightmap format (terrain/Heightmap.js) with values in [0, 1], so
+ * grayscale images load with loadHeightmapImage({ minHeight: 0, maxHeight: 1 }).
+ */
+
+/**
+ * Default rules for the generated forest: deciduous trees in the valleys, conifers on the
+ * higher ground, mushrooms clustered in the shade under trees, nothing on steep slopes.
+ */
+export const DEFAULT_PLACEMENT_RULES = {
+    deciduous: {
+        density: 1,
+        height: { min: -Infinity, max: -0.4, falloff: 1 },
+        maxSlope: 0.3,
+        slopeFalloff: 0.08,
+        densityMap: 'forest'
+    },
+    coniferous: {
+        density: 1,
+        height: { min: 0.4, max: Infinity, falloff: 1 },
+        maxSlope: 0.35,
+        slopeFalloff: 0.08,
+        densityMap: 'forest'
+    },
+    mushroom: {
+        density: 1,
+        maxSlope: 0.3,
+        slopeFalloff: 0.1,
+        densityMap: 'mushrooms',
+        shade: { category: 'tree', radius: 2.5, open: 0.15 }
+    }
+};
+
+// Named density maps referenced by rules, see setPlacementDensityMap
+const densityMaps = new Map();
+
+/**
+ * Registers a density map under a name that rules refer to (rule.densityMap).
+ * Chunks populated earlier must be rebuilt to pick it up.
+ * @param {string} name
+ * @param {object} map - Heightmap-format object with values in [0, 1].
+ */
+export function setPlacementDensityMap(name, map) {
+    densityMaps.set(name, map);
+}
+
+/**
+ * Removes a named density map; rules referring to it then treat the map as 1 everywhere.
+ * @param {string} name
+ */
+export function clearPlacementDensityMap(name) {
+    densityMaps.delete(name);
+}
+
+/**
+ * Linear ramp from 1 at edge to 0 at edge + falloff.
+ * @param {number} distance - Distance past the edge (<= 0 inside).
+ * @param {number} falloff
+ * @returns {number}
+ */
+function fadeOutside(distance, falloff) {
+    if (distance <= 0) return 1;
+    if (!(falloff > 0)) return 0;
+    return Math.max(0, 1 - distance / falloff);
+}
+
+/**
+ * Creates the density function for one rule.
+ * @param {object} rule - Rule as in DEFAULT_PLACEMENT_RULES; missing terms are ignored.
+ * @param {function} getTerrainHeight - Function to get terrain height at (x, z).
+ * @param {object} [placement] - Placement context the shade term measures against.
+ * @returns {function(number, number): number} Density in [0, 1].
+ */
+export function createPlacementDensity({ rule, getTerrainHeight, placement }) {
+    const { density = 1, height, maxSlope, slopeFalloff = 0, densityMap, shade } = rule;
+    return (x, z) => {
+        let value = density;
+        if (height) {
+            const y = getTerrainHeight(x, z);
+            value *= fadeOutside(Math.max(height.min - y, y - height.max), height.falloff);
+        }
+        if (value > 0 && maxSlope !== undefined) {
+            value *= fadeOutside(getTerrainSlope(x, z) - maxSlope, slopeFalloff);
+        }
+        const map = densityMap && densityMaps.get(densityMap);
+        if (value > 0 && map && isInsideHeightmap(map, x, z)) {
+            value *= Math.min(1, Math.max(0, sampleHeightmap(map, x, z)));
+        }
+        if (value > 0 && shade && placement) {
+            const distance = placement.distanceToNearest(x, z, shade.category, shade.radius);
+            value *= distance < shade.radius ? 1 - (1 - shade.open) * (distance / shade.radius) : shade.open;
+        }
+        return value;
+    };
+}
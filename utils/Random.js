@@ -42,11 +42,27 @@ export class SeededRandom {
     }
 }
 
+const PLACEMENT_SEED = 54321;
+
 /**
  * Returns a global SeededRandom instance for placement, with a fixed seed.
  * @returns {SeededRandom}
  */
 export function getPlacementPrng() {
-    const PLACEMENT_SEED = 54321;
     return new SeededRandom(PLACEMENT_SEED);
+}
+
+/**
+ * Returns a SeededRandom instance for placement inside one terrain chunk.
+ * The seed is derived from the chunk coordinates, so a chunk that is unloaded
+ * and later regenerated gets exactly the same trees and mushrooms.
+ * @param {number} chunkX - Integer chunk X coordinate.
+ * @param {number} chunkZ - Integer chunk Z coordinate.
+ * @returns {SeededRandom}
+ */
+export function getChunkPrng(chunkX, chunkZ) {
+    let h = Math.imul(chunkX, 0x27d4eb2d) ^ Math.imul(chunkZ, 0x165667b1) ^ PLACEMENT_SEED;
+    h = Math.imul(h ^ h >>> 15, 0x85ebca6b);
+    h = Math.imul(h ^ h >>> 13, 0xc2b2ae35);
+    return new SeededRandom((h ^ h >>> 16) >>> 0);
 } 
\ No newline at end of file
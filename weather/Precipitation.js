@@ -0,0 +1,105 @@
+// weather/Precipitation.js
+import * as THREE from 'three';
+import { precipitationShader } from '../shaders/PrecipitationShader.js';
+import { SeededRandom } from '../utils/Random.js';
+
+/**
+ * Rain and snow around the camera, drawn as GPU particles (shaders/PrecipitationShader.js).
+ * Each kind is one THREE.Points with a fixed number of particles; the weather's rain and snow
+ * amounts set how many of them are drawn, so nothing is allocated as the weather changes.
+ */
+
+/**
+ * Particle kinds, keyed like the rain and snow amounts of the weather states (weather/Weather.js):
+ * fall speed in units per second, point size in world units, opacity, and the share of the wind
+ * drift they follow.
+ */
+export const PRECIPITATION_TYPES = {
+    rain: { define: 'RAIN', fallSpeed: 14, size: 0.6, opacity: 0.45, windCatch: 0.5 },
+    snow: { define: 'SNOW', fallSpeed: 1.5, size: 0.15, opacity: 0.9, windCatch: 1 }
+};
+
+/**
+ * Creates the particles, hidden until the weather brings rain or snow.
+ * @param {object} counts - Particles per kind, e.g. { rain: 8000, snow: 5000 }.
+ * @param {Array<number>} [boxSize=[30, 20, 30]] - Size of the box around the camera they fall in.
+ * @param {number} [seed=1] - Seed of the particles' spots and speeds.
+ * @param {Array<number>} [windDirection=[1, 0]] - XZ direction the wind blows towards.
+ * @param {number} [windDrift=8] - Drift speed per unit of wind strength.
+ * @returns {THREE.Group} One THREE.Points per kind.
+ */
+export function createPrecipitation({ counts, boxSize = [30, 20, 30], seed = 1, windDirection = [1, 0], windDrift = 8 }) {
+    const random = new SeededRandom(seed);
+    const precipitation = new THREE.Group();
+    precipitation.name = 'precipitation';
+    const layers = Object.entries(PRECIPITATION_TYPES).map(([kind, type]) => {
+        const count = counts[kind] || 0;
+        const positions = new Float32Array(count * 3);
+        const speeds = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            positions[i * 3] = random.random();
+            positions[i * 3 + 1] = random.random();
+            positions[i * 3 + 2] = random.random();
+            speeds[i] = random.randFloat(0.8, 1.2);
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('aSpeed', new THREE.BufferAttribute(speeds, 1));
+        const material = new THREE.ShaderMaterial({
+            name: `${precipitationShader.name}-${kind}`,
+            uniforms: THREE.UniformsUtils.clone(precipitationShader.uniforms),
+            vertexShader: precipitationShader.vertexShader,
+            fragmentShader: precipitationShader.fragmentShader,
+            defines: { [type.define]: '' },
+            transparent: true,
+            depthWrite: false
+        });
+        material.uniforms.uBoxSize.value.fromArray(boxSize);
+        material.uniforms.uSize.value = type.size;
+        material.uniforms.uOpacity.value = type.opacity;
+        const points = new THREE.Points(geometry, material);
+        points.name = kind;
+        // The shader moves the particles around the camera, away from their bounding sphere
+        points.frustumCulled = false;
+        points.visible = false;
+        precipitation.add(points);
+        return { kind, type, points, count, fall: 0 };
+    });
+    precipitation.userData = {
+        layers,
+        drift: new THREE.Vector2(),
+        windDirection: new THREE.Vector2().fromArray(windDirection).normalize(),
+        windDrift
+    };
+    return precipitation;
+}
+
+/**
+ * Lets the particles fall and drift, and draws as many of each kind as the weather asks for.
+ * @param {THREE.Group} precipitation - From createPrecipitation.
+ * @param {number} delta - Frame time in seconds.
+ * @param {number} time - Elapsed time in seconds.
+ * @param {THREE.Vector3} focus - World position to center on (the camera).
+ * @param {object} amounts - Share of each kind to draw, 0 to 1 (e.g. the weather's current parameters).
+ * @param {number} wind - Wind strength (the windStrength applied to the scene).
+ * @param {THREE.Color} color - Particle color, e.g. the fog color, so they darken at night.
+ * @param {number} viewHeight - Height of the drawing buffer in pixels, for the point sizes.
+ */
+export function updatePrecipitation({ precipitation, delta, time, focus, amounts, wind, color, viewHeight }) {
+    const { layers, drift, windDirection, windDrift } = precipitation.userData;
+    drift.addScaledVector(windDirection, wind * windDrift * delta);
+    layers.forEach(layer => {
+        const drawn = Math.round(layer.count * THREE.MathUtils.clamp(amounts[layer.kind] || 0, 0, 1));
+        layer.points.visible = drawn > 0;
+        layer.points.geometry.setDrawRange(0, drawn);
+        if (drawn === 0) return;
+        layer.fall += layer.type.fallSpeed * delta;
+        const uniforms = layer.points.material.uniforms;
+        uniforms.uTime.value = time;
+        uniforms.uFocus.value.copy(focus);
+        uniforms.uFall.value = layer.fall;
+        uniforms.uDrift.value.copy(drift).multiplyScalar(layer.type.windCatch);
+        uniforms.uScale.value = viewHeight / 2;
+        uniforms.uColor.value.copy(color);
+    });
+}
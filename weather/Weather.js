@@ -0,0 +1,209 @@
+// weather/Weather.js
+import * as THREE from 'three';
+import { SeededRandom } from '../utils/Random.js';
+import { setSkyDomeWeather } from '../lighting/SkyDome.js';
+import { placeDirectionalLight } from '../lighting/DayNightCycle.js';
+
+/**
+ * Weather: clear skies, clouds, mist, rain, snow and storms.
+ * A weather runs through the states of WEATHER_STATES, either following a schedule or picking the
+ * next state and how long it lasts with a seeded random generator, and crossfades the parameters
+ * of one state into the next. applyWeatherToSettings folds the parameters into the time-of-day
+ * settings (fog, colors, light, wind) before applySceneState; applyWeatherToScene then sets the
+ * sky dome's clouds and the lightning flashes, and weather/Precipitation.js draws rain and snow.
+ */
+
+/**
+ * Weather states. cloudCover: share of the sky dome covered by clouds; fogDensity: the fog
+ * distances are divided by it; overcast: how far the sky, fog and light colors turn grey;
+ * lightDimming: share of the directional light taken away; wind: multiplies the time-of-day
+ * windStrength; gusts: strength of the gusts on top; rain, snow: share of the precipitation
+ * particles falling; lightning: flashes per minute. In random mode, chance weighs how often a
+ * state follows another and duration is its [min, max] length in seconds.
+ */
+export const WEATHER_STATES = {
+    clear: { cloudCover: 0.3, fogDensity: 1, overcast: 0, lightDimming: 0, wind: 1, gusts: 0.05, rain: 0, snow: 0, lightning: 0, chance: 4, duration: [120, 300] },
+    cloudy: { cloudCover: 0.75, fogDensity: 1.2, overcast: 0.3, lightDimming: 0.3, wind: 1.3, gusts: 0.15, rain: 0, snow: 0, lightning: 0, chance: 3, duration: [90, 240] },
+    mist: { cloudCover: 0.55, fogDensity: 3, overcast: 0.45, lightDimming: 0.35, wind: 0.5, gusts: 0, rain: 0, snow: 0, lightning: 0, chance: 1.5, duration: [60, 180] },
+    rain: { cloudCover: 0.9, fogDensity: 1.8, overcast: 0.6, lightDimming: 0.5, wind: 1.6, gusts: 0.3, rain: 1, snow: 0, lightning: 0, chance: 2, duration: [60, 180] },
+    snow: { cloudCover: 0.85, fogDensity: 2.2, overcast: 0.5, lightDimming: 0.4, wind: 1.2, gusts: 0.2, rain: 0, snow: 1, lightning: 0, chance: 1, duration: [60, 180] },
+    storm: { cloudCover: 1, fogDensity: 2.4, overcast: 0.8, lightDimming: 0.7, wind: 2, gusts: 0.5, rain: 1, snow: 0, lightning: 6, chance: 0.8, duration: [45, 120] }
+};
+
+// Parameters crossfaded between states
+const PARAMETERS = ['cloudCover', 'fogDensity', 'overcast', 'lightDimming', 'wind', 'gusts', 'rain', 'snow', 'lightning'];
+// A lightning strike: a few pulses this many seconds apart, each fading over PULSE_DECAY seconds
+const PULSE_INTERVAL = 0.15;
+const PULSE_DECAY = 0.05;
+const LIGHTNING_COLOR = new THREE.Color(0xE8EEFF);
+// Scratch color for turning colors grey and scratch vector for the light's offset
+const grey = new THREE.Color();
+const strikeOffset = new THREE.Vector3();
+
+/**
+ * Creates a weather in its first state.
+ * @param {number} seed - Seed of the random weather and of the lightning.
+ * @param {Array<object>|null} [schedule=null] - States to repeat in order, as { state, duration }
+ *   with the duration in seconds; random weather when null.
+ * @param {string} [initialState='clear'] - First state of the random weather.
+ * @param {number} [transitionTime=20] - Seconds to crossfade from one state into the next.
+ * @param {object} [states=WEATHER_STATES]
+ * @returns {object} Weather; its current parameters are in weather.current.
+ */
+export function createWeather({ seed, schedule = null, initialState = 'clear', transitionTime = 20, states = WEATHER_STATES }) {
+    const weather = {
+        states,
+        schedule,
+        transitionTime,
+        // Separate generators, so the lightning does not change the sequence of states
+        random: new SeededRandom(seed),
+        lightningRandom: new SeededRandom(seed + 1),
+        scheduleIndex: 0,
+        name: null,
+        remaining: 0,
+        blend: 1,
+        from: {},
+        time: 0,
+        strike: { time: Infinity, pulses: 0, direction: new THREE.Vector3() },
+        current: { gust: 0, flash: 0 }
+    };
+    const first = schedule ? schedule[0] : { state: initialState, duration: getRandomDuration(weather, initialState) };
+    PARAMETERS.forEach(key => { weather.current[key] = states[first.state][key]; });
+    setWeather(weather, first.state, first.duration);
+    return weather;
+}
+
+function getRandomDuration(weather, name) {
+    const [min, max] = weather.states[name].duration;
+    return weather.random.randFloat(min, max);
+}
+
+/**
+ * Picks the state following the current one in random mode, never the same one again.
+ */
+function pickNextState(weather) {
+    const names = Object.keys(weather.states).filter(name => name !== weather.name);
+    const total = names.reduce((sum, name) => sum + weather.states[name].chance, 0);
+    let pick = weather.random.random() * total;
+    for (const name of names) {
+        pick -= weather.states[name].chance;
+        if (pick < 0) return name;
+    }
+    return names[names.length - 1];
+}
+
+/**
+ * Starts the crossfade into a state, e.g. to force a storm.
+ * @param {object} weather - From createWeather.
+ * @param {string} name - Key of the state in the weather's states.
+ * @param {number} duration - Seconds until the next state (in schedule mode the schedule's next entry).
+ */
+export function setWeather(weather, name, duration) {
+    if (!weather.states[name]) throw new Error(`Unknown weather state: ${name}`);
+    PARAMETERS.forEach(key => { weather.from[key] = weather.current[key]; });
+    weather.name = name;
+    weather.remaining = duration;
+    weather.blend = 0;
+}
+
+/**
+ * Brightness of the lightning strike in progress, in [0, 1].
+ */
+function getFlash(strike) {
+    let flash = 0;
+    for (let i = 0; i < strike.pulses; i++) {
+        const since = strike.time - i * PULSE_INTERVAL;
+        if (since >= 0) flash = Math.max(flash, Math.exp(-since / PULSE_DECAY));
+    }
+    return flash;
+}
+
+/**
+ * Advances the weather: moves on to the next state when this one is over, crossfades the
+ * parameters, blows the gusts and strikes lightning.
+ * @param {object} weather - From createWeather.
+ * @param {number} delta - Frame time in seconds.
+ * @returns {object} weather.current: the parameters of WEATHER_STATES, plus gust (wind strength
+ *   added by the gusts right now) and flash (lightning brightness in [0, 1]).
+ */
+export function updateWeather(weather, delta) {
+    weather.time += delta;
+    weather.remaining -= delta;
+    if (weather.remaining <= 0) {
+        if (weather.schedule) {
+            weather.scheduleIndex = (weather.scheduleIndex + 1) % weather.schedule.length;
+            const { state, duration } = weather.schedule[weather.scheduleIndex];
+            setWeather(weather, state, duration);
+        } else {
+            const name = pickNextState(weather);
+            setWeather(weather, name, getRandomDuration(weather, name));
+        }
+    }
+    weather.blend = Math.min(1, weather.blend + delta / weather.transitionTime);
+    const t = THREE.MathUtils.smoothstep(weather.blend, 0, 1);
+    const target = weather.states[weather.name];
+    const current = weather.current;
+    PARAMETERS.forEach(key => { current[key] = THREE.MathUtils.lerp(weather.from[key], target[key], t); });
+    // Gusts come and go on two slow waves out of step with each other
+    current.gust = current.gusts * Math.max(0, Math.sin(weather.time * 0.9) * Math.sin(weather.time * 0.37 + 1.3));
+    const strike = weather.strike;
+    strike.time += delta;
+    if (strike.time > strike.pulses * PULSE_INTERVAL + 1 && weather.lightningRandom.random() < current.lightning / 60 * delta) {
+        strike.time = 0;
+        strike.pulses = weather.lightningRandom.randInt(1, 4);
+        // Somewhere in the upper sky, where the flash lights the scene from
+        const azimuth = weather.lightningRandom.random() * Math.PI * 2;
+        const altitude = weather.lightningRandom.randFloat(0.4, 1.2);
+        strike.direction.set(Math.cos(altitude) * Math.cos(azimuth), Math.sin(altitude), Math.cos(altitude) * Math.sin(azimuth));
+    }
+    current.flash = getFlash(strike);
+    return current;
+}
+
+/**
+ * Turns a color towards a grey of its own brightness, darkened a little.
+ */
+function overcastColor(color, amount) {
+    const luminance = 0.2126 * color.r + 0.7152 * color.g + 0.0722 * color.b;
+    return color.lerp(grey.setRGB(luminance * 0.8, luminance * 0.8, luminance * 0.8), amount);
+}
+
+/**
+ * Folds the weather into time-of-day settings before they are applied: thicker fog, grey
+ * skies, dimmer light and stronger, gusty wind.
+ * @param {object} settings - Settings from getTimeOfDaySettings (with THREE.Color values); modified in place.
+ * @param {object} weather - From createWeather.
+ * @returns {object} The settings.
+ */
+export function applyWeatherToSettings(settings, weather) {
+    const { fogDensity, overcast, lightDimming, wind, gust } = weather.current;
+    settings.fog.near /= fogDensity;
+    settings.fog.far /= fogDensity;
+    overcastColor(settings.background, overcast);
+    overcastColor(settings.fog.color, overcast);
+    overcastColor(settings.directionalLightColor, overcast);
+    settings.directionalLightIntensity *= 1 - lightDimming;
+    settings.windStrength = settings.windStrength * wind + gust;
+    return settings;
+}
+
+/**
+ * Applies the weather to the scene after applySceneState: the clouds on the sky dome and the
+ * lightning, which briefly takes over the directional light from wherever it struck.
+ * @param {object} weather - From createWeather.
+ * @param {THREE.DirectionalLight} directionalLight
+ * @param {THREE.Vector3} [focus] - World position the light and its shadows follow, as given to applySceneState.
+ * @param {THREE.AmbientLight} [ambientLight]
+ * @param {THREE.Mesh} [skyDome] - From createSkyDome (lighting/SkyDome.js).
+ * @param {number} lightningIntensity - Directional light intensity added at the peak of a flash.
+ * @param {number} lightningDistance - Distance to put the light at during a flash (LIGHT_ORBIT_RADIUS).
+ */
+export function applyWeatherToScene({ weather, directionalLight, focus, ambientLight, skyDome, lightningIntensity, lightningDistance }) {
+    const { cloudCover, flash } = weather.current;
+    if (skyDome) setSkyDomeWeather({ skyDome, cloudCover, flash });
+    if (flash <= 0.01) return;
+    placeDirectionalLight(directionalLight, strikeOffset.copy(weather.strike.direction).multiplyScalar(lightningDistance), focus);
+    directionalLight.intensity += flash * lightningIntensity;
+    directionalLight.color.lerp(LIGHTNING_COLOR, flash);
+    if (ambientLight) ambientLight.intensity += flash * lightningIntensity * 0.25;
+}